@@ -1,8 +1,14 @@
 import { build } from "esbuild";
 
+// The file transport starts its worker from a sibling file, ./fileWorker.js
 await build({
-	entryPoints: ["src/index.js"],
-	outfile: "dist/index.js",
+	entryPoints: {
+		index: "src/index.js",
+		fileWorker: "src/transports/fileWorker.js",
+		cli: "src/cli.js",
+		http: "src/http.js",
+	},
+	outdir: "dist",
 	bundle: true,
 	minify: true,
 	platform: "node",
@@ -1,20 +1,23 @@
 // scripts/gen-cjs-wrapper.js
-// This script generates dist/index.cjs as a CommonJS wrapper for the ESM build.
+// This script generates dist/index.cjs and dist/http.cjs as CommonJS wrappers for the ESM build.
 import { existsSync, mkdirSync, writeFileSync } from "node:fs";
 import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 
 const cjsWrapper = `// This file is automatically generated to provide CommonJS compatibility for deadslog.\nconst deadslog = require('./index.js').default;\nmodule.exports = deadslog;\n`;
+const httpCjsWrapper = `// This file is automatically generated to provide CommonJS compatibility for deadslog/http.\nmodule.exports = require('./http.js');\n`;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const distDir = join(__dirname, "../dist");
-const outFile = join(distDir, "index.cjs");
 
 if (!existsSync(distDir)) {
 	mkdirSync(distDir, { recursive: true });
 }
 
-writeFileSync(outFile, cjsWrapper);
-console.log("[deadslog/build] Generated dist/index.cjs CommonJS wrapper.");
+writeFileSync(join(distDir, "index.cjs"), cjsWrapper);
+writeFileSync(join(distDir, "http.cjs"), httpCjsWrapper);
+console.log(
+	"[deadslog/build] Generated dist/index.cjs and dist/http.cjs CommonJS wrappers.",
+);
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Command line interface of deadslog.
+ * Tails, pretty-prints, filters and summarizes log files written by deadslog, in the
+ * default text format or NDJSON, including rotated `.gz` and `.br` archives.
+ *
+ * @module deadslog/cli
+ */
+
+import { createInterface } from "node:readline";
+import { colorizeLine } from "./transports/console.js";
+import { codecs } from "./utils/compression.js";
+import { followFile, readLastLines } from "./utils/follow.js";
+import { defaultFormatter } from "./utils/formatters.js";
+import { defaultLevels } from "./utils/levels.js";
+import {
+	createQueryMatcher,
+	parseEntries,
+	parseLine,
+	readLines,
+} from "./utils/query.js";
+
+const usage = `Usage: deadslog <command> [options] [file...]
+
+Commands:
+  tail [-f] [-n <lines>] [--pretty] <file>
+      Print the last lines of a log file (10 by default). With -f, keep printing
+      the lines appended to it, across rotations.
+  pretty [file...]
+      Colorize NDJSON or default-format log lines.
+  grep [--level <level>] [--since <time>] [--until <time>] [--match <regex>] [--pretty] [file...]
+      Print the entries at or above a level, within a time range and matching a
+      regular expression. Exits with 1 when nothing matches.
+  stats [--json] [file...]
+      Count the entries per level and per hour.
+
+Commands read standard input when no file is given. Files may be .gz or .br
+archives. Times are durations before now (30s, 15m, 1h, 7d) or dates.
+`;
+
+/**
+ * Milliseconds of the units of durations.
+ * @constant {Object<string, number>}
+ */
+const durationUnits = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Creates an error reported with the usage, exiting with status 2.
+ * @param {string} message - The error message.
+ * @returns {Error}
+ */
+const usageError = (message) =>
+	Object.assign(new Error(message), { usage: true });
+
+/**
+ * Parses the arguments of a command.
+ * @param {string[]} args - The arguments.
+ * @param {Object} spec - The accepted options.
+ * @param {string[]} [spec.flags=[]] - Options without a value.
+ * @param {string[]} [spec.options=[]] - Options taking a value.
+ * @param {Object<string, string>} [spec.aliases={}] - Short names of options.
+ * @returns {Object} - The options by name, and the other arguments as `files`.
+ */
+const parseArgs = (args, { flags = [], options = [], aliases = {} }) => {
+	const parsed = { files: [] };
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (!arg.startsWith("-") || arg === "-") {
+			parsed.files.push(arg);
+			continue;
+		}
+		const [key, inline] = arg.replace(/^--?/, "").split(/=(.*)/s);
+		const name = aliases[key] ?? key;
+		if (flags.includes(name)) {
+			parsed[name] = true;
+		} else if (options.includes(name)) {
+			const value = inline ?? args[++i];
+			if (typeof value === "undefined")
+				throw usageError(`Option ${arg} requires a value.`);
+			parsed[name] = value;
+		} else {
+			throw usageError(`Unknown option: ${arg}`);
+		}
+	}
+	return parsed;
+};
+
+/**
+ * Parses a time option: a duration before now, e.g. "1h", or a date.
+ * @param {string} value - The option value.
+ * @param {string} name - The option name used in error messages.
+ * @returns {number} - Epoch milliseconds.
+ */
+const parseTime = (value, name) => {
+	const duration = value.match(/^(\d+(?:\.\d+)?)([smhd])$/);
+	if (duration)
+		return Date.now() - Number(duration[1]) * durationUnits[duration[2]];
+	const time = Date.parse(value);
+	if (Number.isNaN(time))
+		throw usageError(
+			`--${name} must be a duration (30s, 15m, 1h, 7d) or a date.`,
+		);
+	return time;
+};
+
+/**
+ * Reads the lines of files, or of standard input when no file is given.
+ * @param {string[]} files - Paths of the files, "-" being standard input.
+ * @returns {AsyncGenerator<string>}
+ */
+async function* inputLines(files) {
+	for (const file of files.length > 0 ? files : ["-"]) {
+		if (file === "-")
+			yield* createInterface({
+				input: process.stdin,
+				crlfDelay: Number.POSITIVE_INFINITY,
+			});
+		else yield* readLines(file);
+	}
+}
+
+/**
+ * Colors a log line like the console transport does.
+ * NDJSON lines are rendered in the default text format first.
+ * @param {string} line - The log line.
+ * @returns {string} - The colored line, or the line as is if it does not start an entry.
+ */
+const prettyLine = (line) => {
+	const record = parseLine(line);
+	if (!record) return line;
+	return colorizeLine(
+		line.startsWith("{") ? defaultFormatter(record) : line,
+		record,
+	);
+};
+
+/**
+ * Writes a line to standard output.
+ * @param {string} line - The line.
+ */
+const print = (line) => {
+	process.stdout.write(`${line}\n`);
+};
+
+const tail = async (args) => {
+	const {
+		files,
+		follow,
+		lines = "10",
+		pretty,
+	} = parseArgs(args, {
+		flags: ["follow", "pretty"],
+		options: ["lines"],
+		aliases: { f: "follow", n: "lines" },
+	});
+	if (files.length !== 1) throw usageError("tail expects a single file.");
+	const count = Number(lines);
+	if (!Number.isInteger(count) || count < 0)
+		throw usageError("--lines must be a non-negative integer.");
+	const [file] = files;
+	const output = pretty ? (line) => print(prettyLine(line)) : print;
+
+	if (Object.values(codecs).some(({ extension }) => file.endsWith(extension))) {
+		if (follow) throw usageError("Archives cannot be followed.");
+		const last = [];
+		for await (const line of readLines(file)) {
+			last.push(line);
+			if (last.length > count) last.shift();
+		}
+		for (const line of last) output(line);
+		return 0;
+	}
+
+	const { lines: last, size } = await readLastLines(file, count);
+	for (const line of last) output(line);
+	if (!follow) return 0;
+	const follower = followFile(file, output, { position: size });
+	await new Promise((resolve) => {
+		process.once("SIGINT", resolve);
+		process.once("SIGTERM", resolve);
+	});
+	await follower.stop();
+	return 0;
+};
+
+const pretty = async (args) => {
+	const { files } = parseArgs(args, {});
+	for await (const line of inputLines(files)) print(prettyLine(line));
+	return 0;
+};
+
+const grep = async (args) => {
+	const options = parseArgs(args, {
+		flags: ["pretty"],
+		options: ["level", "since", "until", "match"],
+	});
+	let levels;
+	if (typeof options.level !== "undefined") {
+		const minValue = defaultLevels[options.level];
+		if (typeof minValue === "undefined")
+			throw usageError(
+				`--level must be one of: ${Object.keys(defaultLevels).join(", ")}.`,
+			);
+		levels = Object.keys(defaultLevels).filter(
+			(level) => defaultLevels[level] >= minValue,
+		);
+	}
+	let regex;
+	if (typeof options.match !== "undefined") {
+		try {
+			regex = new RegExp(options.match);
+		} catch (err) {
+			throw usageError(
+				`--match is not a valid regular expression: ${err.message}`,
+			);
+		}
+	}
+	const matches = createQueryMatcher({
+		levels,
+		from: options.since && parseTime(options.since, "since"),
+		to: options.until && parseTime(options.until, "until"),
+		regex,
+	});
+
+	let found = 0;
+	for await (const entry of parseEntries(inputLines(options.files))) {
+		if (!matches(entry)) continue;
+		found++;
+		for (const line of entry.raw.split("\n"))
+			print(options.pretty ? prettyLine(line) : line);
+	}
+	return found > 0 ? 0 : 1;
+};
+
+const stats = async (args) => {
+	const { files, json } = parseArgs(args, { flags: ["json"] });
+	const levels = {};
+	const hours = {};
+	let total = 0;
+	for await (const { record } of parseEntries(inputLines(files))) {
+		total++;
+		levels[record.level] = (levels[record.level] ?? 0) + 1;
+		const time = Date.parse(record.time);
+		if (Number.isNaN(time)) continue;
+		// Hours are UTC, like the timestamps of records
+		const hour = `${new Date(time).toISOString().slice(0, 13)}:00Z`;
+		hours[hour] = (hours[hour] ?? 0) + 1;
+	}
+
+	// Built-in levels in severity order, then custom levels by name
+	const levelNames = Object.keys(levels).sort(
+		(a, b) =>
+			(defaultLevels[a] ?? Number.POSITIVE_INFINITY) -
+				(defaultLevels[b] ?? Number.POSITIVE_INFINITY) || a.localeCompare(b),
+	);
+	const hourNames = Object.keys(hours).sort();
+	if (json) {
+		print(
+			JSON.stringify({
+				total,
+				levels: Object.fromEntries(
+					levelNames.map((level) => [level, levels[level]]),
+				),
+				hours: Object.fromEntries(hourNames.map((hour) => [hour, hours[hour]])),
+			}),
+		);
+		return 0;
+	}
+
+	const table = (title, rows) => {
+		const width = Math.max(title.length, ...rows.map(([name]) => name.length));
+		print(`${title.padEnd(width)}  Count`);
+		for (const [name, count] of rows) print(`${name.padEnd(width)}  ${count}`);
+	};
+	table(
+		"Level",
+		levelNames.map((level) => [level, levels[level]]),
+	);
+	print("");
+	table(
+		"Hour",
+		hourNames.map((hour) => [hour, hours[hour]]),
+	);
+	print("");
+	print(`Total  ${total}`);
+	return 0;
+};
+
+/**
+ * Commands, keyed by name.
+ * @constant {Object<string, (args: string[]) => Promise<number>>}
+ */
+const commands = { tail, pretty, grep, stats };
+
+const main = async ([command, ...args]) => {
+	if (!command || command === "--help" || command === "-h") {
+		process.stdout.write(usage);
+		return command ? 0 : 2;
+	}
+	if (!Object.keys(commands).includes(command)) {
+		process.stderr.write(`deadslog: unknown command "${command}"\n\n${usage}`);
+		return 2;
+	}
+	try {
+		return await commands[command](args);
+	} catch (err) {
+		if (err.usage) {
+			process.stderr.write(`deadslog ${command}: ${err.message}\n\n${usage}`);
+			return 2;
+		}
+		process.stderr.write(`deadslog ${command}: ${err.message}\n`);
+		return 1;
+	}
+};
+
+// Output piped to a command that exits early, e.g. head, ends the command
+process.stdout.on("error", (err) => {
+	if (err.code === "EPIPE") process.exit(0);
+	throw err;
+});
+
+main(process.argv.slice(2)).then((code) => {
+	process.exitCode = code;
+});
@@ -0,0 +1,331 @@
+/**
+ * HTTP request logging for deadslog.
+ * Logs one record per request, with a level picked from the status code, and gives
+ * each request a logger bound to its request id. Middlewares are provided for
+ * `node:http` and Express, Koa and Fastify.
+ *
+ * @module deadslog/http
+ */
+
+import { randomUUID } from "node:crypto";
+import { elapsedMs, now } from "./utils/timers.js";
+
+/**
+ * Headers redacted by default when they are captured.
+ * @constant {string[]}
+ */
+export const DEFAULT_REDACTED_HEADERS = [
+	"authorization",
+	"proxy-authorization",
+	"cookie",
+	"set-cookie",
+];
+
+/**
+ * Request ids propagated from a request header: printable ASCII without spaces,
+ * so that a client cannot inject text into the logs.
+ * @constant {RegExp}
+ */
+const validRequestId = /^[\x21-\x7e]{1,128}$/;
+
+/**
+ * Options of the request logger.
+ * @typedef {Object} RequestLoggerOptions
+ * @property {string} [requestIdHeader="x-request-id"] - Header propagating the request id, read from the request and set on the response.
+ * @property {(req: import("node:http").IncomingMessage) => string} [generateRequestId] - Generates the ids of requests without one. Defaults to a random UUID.
+ * @property {string[]} [requestHeaders] - Request headers logged as `reqHeaders`.
+ * @property {string[]} [responseHeaders] - Response headers logged as `resHeaders`.
+ * @property {string[]} [redactHeaders] - Captured headers redacted along with the logger's redaction paths, with its censor. Defaults to authorization, proxy-authorization, cookie and set-cookie.
+ * @property {(status: number, err?: Error) => string} [level] - Picks the level of a record. Defaults to error for 5xx statuses and failures, warn for 4xx and info otherwise.
+ * @property {(req: import("node:http").IncomingMessage) => boolean} [ignore] - Requests not to log, e.g. health checks. They still get a request id and a logger.
+ * @property {boolean} [trustProxy=false] - Log the first address of the `x-forwarded-for` header as the remote address.
+ */
+
+/**
+ * Picks the level of a request record from its status code.
+ * @param {number} status - The status code.
+ * @param {Error} [err] - The error the request failed with.
+ * @returns {string}
+ */
+const defaultLevel = (status, err) => {
+	if (err || status >= 500) return "error";
+	if (status >= 400) return "warn";
+	return "info";
+};
+
+/**
+ * Validates an array of header names.
+ * @param {any} headers - The header names.
+ * @param {string} name - The option name used in error messages.
+ */
+const validateHeaderNames = (headers, name) => {
+	if (
+		!Array.isArray(headers) ||
+		!headers.every((header) => typeof header === "string" && header)
+	)
+		throw new Error(`${name} must be an array of header names.`);
+};
+
+/**
+ * Validates the options of the request logger.
+ * @param {RequestLoggerOptions} options - The request logger options.
+ * @param {string} [name="options"] - The option name used in error messages.
+ */
+export const validateRequestLoggerOptions = (options, name = "options") => {
+	if (!options || typeof options !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof options.requestIdHeader !== "undefined") {
+		if (typeof options.requestIdHeader !== "string" || !options.requestIdHeader)
+			throw new Error(`${name}.requestIdHeader must be a non-empty string.`);
+	}
+	for (const key of ["requestHeaders", "responseHeaders", "redactHeaders"]) {
+		if (typeof options[key] !== "undefined")
+			validateHeaderNames(options[key], `${name}.${key}`);
+	}
+	for (const key of ["generateRequestId", "level", "ignore"]) {
+		if (typeof options[key] === "undefined") continue;
+		if (typeof options[key] !== "function")
+			throw new Error(`${name}.${key} must be a function.`);
+	}
+	if (typeof options.trustProxy !== "undefined") {
+		if (typeof options.trustProxy !== "boolean")
+			throw new Error(`${name}.trustProxy must be a boolean.`);
+	}
+};
+
+/**
+ * Picks the captured headers from a set of headers.
+ * @param {string[]} names - Lowercase names of the captured headers.
+ * @param {(name: string) => any} get - Reads a header.
+ * @returns {Object<string, any>|undefined} - The present headers, if any.
+ */
+const pickHeaders = (names, get) => {
+	const picked = {};
+	for (const name of names) {
+		const value = get(name);
+		if (typeof value !== "undefined") picked[name] = value;
+	}
+	return Object.keys(picked).length > 0 ? picked : undefined;
+};
+
+/**
+ * Creates the function tracking a request: it assigns the request id, attaches a child
+ * logger bound to it as `req.log`, counts the bytes of the response body and logs the
+ * request once the response is finished, or closed before that.
+ * @param {Object} logger - A deadslog logger.
+ * @param {RequestLoggerOptions} [options] - The request logger options.
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse) => {log: Object, requestId: string, fail: (err: Error) => void}}
+ */
+const createRequestTracker = (logger, options = {}) => {
+	if (
+		!logger ||
+		typeof logger.child !== "function" ||
+		typeof logger.runWithContext !== "function"
+	)
+		throw new Error("logger must be a deadslog logger.");
+	validateRequestLoggerOptions(options);
+	const {
+		requestIdHeader = "x-request-id",
+		generateRequestId = () => randomUUID(),
+		requestHeaders = [],
+		responseHeaders = [],
+		redactHeaders = DEFAULT_REDACTED_HEADERS,
+		level = defaultLevel,
+		ignore,
+		trustProxy = false,
+	} = options;
+	const idHeader = requestIdHeader.toLowerCase();
+	const reqHeaderNames = requestHeaders.map((header) => header.toLowerCase());
+	const resHeaderNames = responseHeaders.map((header) => header.toLowerCase());
+	// Captured headers go through the logger's redaction, which their paths extend
+	const redactPaths =
+		reqHeaderNames.length > 0 || resHeaderNames.length > 0
+			? redactHeaders.flatMap((header) => [
+					`reqHeaders.${header}`,
+					`resHeaders.${header}`,
+				])
+			: [];
+	const requestLogger =
+		redactPaths.length > 0
+			? logger.child({}, { redact: { paths: redactPaths } })
+			: logger;
+
+	const remoteAddress = (req) => {
+		const forwarded = req.headers["x-forwarded-for"];
+		if (trustProxy && typeof forwarded === "string")
+			return forwarded.split(",")[0].trim();
+		return req.socket?.remoteAddress;
+	};
+
+	return (req, res) => {
+		const start = now();
+		const incoming = req.headers[idHeader];
+		const requestId =
+			typeof incoming === "string" && validRequestId.test(incoming)
+				? incoming
+				: String(generateRequestId(req));
+		if (!res.headersSent) res.setHeader(requestIdHeader, requestId);
+		const log = requestLogger.child({ requestId });
+		req.log = log;
+
+		const method = req.method;
+		// Routers rewrite req.url, so the original one is read before them
+		const url = req.originalUrl ?? req.url;
+		let bytes = 0;
+		let failure;
+		let logged = false;
+
+		// The body is counted as it is written, as chunked responses have no content-length
+		const { write, end } = res;
+		const count = (chunk, encoding) => {
+			if (typeof chunk === "string")
+				bytes += Buffer.byteLength(
+					chunk,
+					typeof encoding === "string" ? encoding : "utf8",
+				);
+			else if (chunk) bytes += chunk.length;
+		};
+		res.write = (chunk, encoding, ...rest) => {
+			count(chunk, encoding);
+			return write.call(res, chunk, encoding, ...rest);
+		};
+		res.end = (chunk, encoding, ...rest) => {
+			if (typeof chunk !== "function") count(chunk, encoding);
+			return end.call(res, chunk, encoding, ...rest);
+		};
+
+		const done = (aborted) => {
+			if (logged) return;
+			logged = true;
+			res.removeListener("finish", onFinish);
+			res.removeListener("close", onClose);
+			if (ignore?.(req)) return;
+
+			const status = res.statusCode;
+			const reqHeaders = pickHeaders(
+				reqHeaderNames,
+				(name) => req.headers[name],
+			);
+			const resHeaders = pickHeaders(resHeaderNames, (name) =>
+				res.getHeader(name),
+			);
+			const userAgent = req.headers["user-agent"];
+			const fields = {
+				method,
+				url,
+				status,
+				durationMs: elapsedMs(start),
+				bytes,
+				remoteAddress: remoteAddress(req),
+				...(userAgent && { userAgent }),
+				...(reqHeaders && { reqHeaders }),
+				...(resHeaders && { resHeaders }),
+				...(failure && { err: failure }),
+			};
+			let recordLevel = aborted ? "warn" : level(status, failure);
+			if (typeof log[recordLevel] !== "function") {
+				console.error(
+					`[deadslog/system] Invalid request log level: "${recordLevel}".`,
+				);
+				recordLevel = "info";
+			}
+			log[recordLevel](
+				aborted ? "request aborted" : "request completed",
+				fields,
+			);
+		};
+		const onFinish = () => done(false);
+		const onClose = () => done(!res.writableFinished);
+		res.on("finish", onFinish);
+		res.on("close", onClose);
+
+		return {
+			log,
+			requestId,
+			fail: (err) => {
+				failure = err;
+			},
+		};
+	};
+};
+
+/**
+ * Creates a request logging middleware for `node:http` servers and Express.
+ * The rest of the request is handled within an async context carrying the request id,
+ * so that every record it logs includes it.
+ * @example
+ * const logRequest = httpLogger(logger);
+ * http.createServer((req, res) => logRequest(req, res, () => handle(req, res)));
+ * app.use(httpLogger(logger)); // Express
+ * @param {Object} logger - A deadslog logger.
+ * @param {RequestLoggerOptions} [options] - The request logger options.
+ * @returns {(req: import("node:http").IncomingMessage, res: import("node:http").ServerResponse, next?: Function) => any}
+ */
+export const httpLogger = (logger, options) => {
+	const track = createRequestTracker(logger, options);
+	return (req, res, next) => {
+		const { requestId } = track(req, res);
+		if (typeof next === "function")
+			return logger.runWithContext({ requestId }, next);
+	};
+};
+
+/**
+ * Creates a request logging middleware for Koa.
+ * The request logger is attached as `ctx.log` too, and errors thrown by the downstream
+ * middlewares are logged with the request before being rethrown.
+ * @example
+ * app.use(koaLogger(logger));
+ * @param {Object} logger - A deadslog logger.
+ * @param {RequestLoggerOptions} [options] - The request logger options.
+ * @returns {(ctx: Object, next: () => Promise<any>) => Promise<void>}
+ */
+export const koaLogger = (logger, options) => {
+	const track = createRequestTracker(logger, options);
+	return async (ctx, next) => {
+		const { log, requestId, fail } = track(ctx.req, ctx.res);
+		ctx.log = log;
+		try {
+			await logger.runWithContext({ requestId }, next);
+		} catch (err) {
+			fail(err);
+			throw err;
+		}
+	};
+};
+
+/**
+ * Creates a request logging plugin for Fastify.
+ * The request logger is attached as `request.deadslog`, leaving Fastify's own pino
+ * `request.log` in place. The plugin applies to the whole application, like plugins
+ * wrapped by `fastify-plugin`.
+ * @example
+ * await app.register(fastifyLogger(logger));
+ * @param {Object} logger - A deadslog logger.
+ * @param {RequestLoggerOptions} [options] - The request logger options.
+ * @returns {(fastify: Object, opts: Object, done: () => void) => void}
+ */
+export const fastifyLogger = (logger, options) => {
+	const track = createRequestTracker(logger, options);
+	// Error recorders of the requests in flight
+	const failures = new WeakMap();
+	const plugin = (fastify, opts, done) => {
+		if (!fastify.hasRequestDecorator("deadslog"))
+			fastify.decorateRequest("deadslog", null);
+		fastify.addHook("onRequest", (request, reply, next) => {
+			const { log, requestId, fail } = track(request.raw, reply.raw);
+			request.deadslog = log;
+			failures.set(request, fail);
+			logger.runWithContext({ requestId }, next);
+		});
+		fastify.addHook("onError", (request, reply, err, next) => {
+			failures.get(request)?.(err);
+			next();
+		});
+		done();
+	};
+	// Registers the hooks on the parent instance instead of an encapsulated one
+	plugin[Symbol.for("skip-override")] = true;
+	plugin[Symbol.for("fastify.display-name")] = "deadslog";
+	return plugin;
+};
@@ -5,127 +5,216 @@
  * @module deadslog
  */
 
+import { AsyncLocalStorage } from "node:async_hooks";
 import {
-	greenBright,
-	gray,
-	blue,
-	green,
-	yellow,
-	red,
-	white,
-	bgBlack,
-	bgWhite,
-} from "yoctocolors";
-import { stat, unlink, rename, writeFile } from "node:fs/promises";
-import { parse, join, resolve, dirname } from "node:path";
-import { gzipSync } from "node:zlib";
+	defaultFormatter,
+	formatLogArgs,
+	jsonFormatter,
+	legacyFormatter,
+	stringifyMessage,
+} from "./utils/formatters.js";
 import {
-	existsWithRetry,
-	statWithRetry,
-	mkdirWithRetry,
-	readFileWithRetry,
-	writeFileWithRetry,
-	createWriteStreamWithRetry,
-} from "./utils/fileHelpers.js";
+	resolveLevels,
+	validateColors,
+	validateLevels,
+	validateMinLevel,
+} from "./utils/levels.js";
+import { createErrorSerializer, validateErrorOptions } from "./utils/errors.js";
+import {
+	DEBUG_ENV_VAR,
+	isNamespaceSelected,
+	parseNamespaceSelection,
+	validateNamespace,
+} from "./utils/namespaces.js";
+import { queryLogs, validateQueryOptions } from "./utils/query.js";
+import { createRedactor, validateRedactOptions } from "./utils/redact.js";
+import {
+	attachReconfigureTriggers,
+	validateReconfigureTriggers,
+} from "./utils/reload.js";
+import {
+	createDeduplicator,
+	createRateLimiter,
+	createSampler,
+	validateDedupeOptions,
+	validateRateLimitOptions,
+	validateSamplingOptions,
+} from "./utils/throttle.js";
+import {
+	captureConsole,
+	defaultConsoleLevels,
+	passThroughConsole,
+	releaseConsole,
+	validateConsoleLevels,
+} from "./utils/capture.js";
+import {
+	registerCrashHandler,
+	unregisterCrashHandler,
+	validateCrashOptions,
+} from "./utils/crash.js";
+import {
+	createDurationHistogram,
+	elapsedMs,
+	now,
+	validateTimerOptions,
+} from "./utils/timers.js";
+import {
+	createConsoleTransport,
+	validateConsoleOptions,
+} from "./transports/console.js";
+import { createFileTransport, validateFileOptions } from "./transports/file.js";
+import { createHttpTransport, validateHttpOptions } from "./transports/http.js";
+import {
+	createSyslogTransport,
+	validateSyslogOptions,
+} from "./transports/syslog.js";
 
+// Constants
 /**
- * Default formatter function for log messages.
- * @param {string} level - The log level (e.g., "info", "error").
- * @param {any} message - The log message, which can be of any type.
- * @returns {string} - A formatted log message string.
+ * Keys of a log record that cannot be overridden by metadata fields.
+ * @constant {string[]}
  */
-const defaultFormatter = (level, message) => {
-	const timestamp = new Date().toISOString();
-
-	switch (typeof message) {
-		case "undefined":
-			return `[${level}] [${timestamp}] - [Message is undefined]`;
-		case "object":
-			if (message === null) {
-				return `[${level}] [${timestamp}] - null`;
-			}
-			try {
-				// Handle circular references
-				const cache = new Set();
-				const stringified = JSON.stringify(message, (key, value) => {
-					if (typeof value === "object" && value !== null) {
-						if (cache.has(value)) {
-							return "[Circular Reference]";
-						}
-						cache.add(value);
-					}
+const reservedKeys = ["level", "time", "msg"];
 
-					// Special handling for Error objects
-					if (value instanceof Error) {
-						return {
-							message: value.message,
-							name: value.name,
-							stack: value.stack,
-							cause: value.cause,
-						};
-					}
+/**
+ * Factories of the built-in transports, keyed by transport type.
+ * @constant {Object<string, Function>}
+ */
+const transportFactories = {
+	console: createConsoleTransport,
+	file: createFileTransport,
+	syslog: createSyslogTransport,
+	http: createHttpTransport,
+};
 
-					return value;
-				});
+/**
+ * Option validators of the built-in transports, keyed by transport type.
+ * @constant {Object<string, Function>}
+ */
+const transportValidators = {
+	console: validateConsoleOptions,
+	file: validateFileOptions,
+	syslog: validateSyslogOptions,
+	http: validateHttpOptions,
+};
 
-				return `[${level}] [${timestamp}] - ${stringified}`;
-			} catch (err) {
-				return `[${level}] [${timestamp}] - [Non-serializable object: ${err.message}]`;
-			}
-		default:
-			return `[${level}] [${timestamp}] - ${message.toString()}`;
+/**
+ * Async context shared by all logger instances.
+ * Holds the fields set by `runWithContext` for the current async call chain.
+ * @constant {AsyncLocalStorage<Object>}
+ */
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Validates a filters configuration object.
+ * @param {Object} filters - The filters to validate.
+ * @param {string} [name="filters"] - The option name used in error messages.
+ */
+const validateFilters = (filters, name = "filters") => {
+	if (filters && typeof filters !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof filters.include !== "undefined") {
+		if (typeof filters.include !== "string")
+			throw new Error(`${name}.include must be a string.`);
+	}
+	if (typeof filters.exclude !== "undefined") {
+		if (typeof filters.exclude !== "string")
+			throw new Error(`${name}.exclude must be a string.`);
 	}
 };
 
-// Constants
 /**
- * Maximum size of the write queue.
- * @constant {number}
+ * Validates the console output configuration.
+ * @param {Object} consoleOutput - The console output options.
  */
-const MAX_QUEUE_SIZE = 100000;
+const validateConsoleOutput = (consoleOutput) => {
+	if (consoleOutput && typeof consoleOutput !== "object")
+		throw new Error("consoleOutput must be an object.");
+	if (typeof consoleOutput.enabled !== "boolean")
+		throw new Error("consoleOutput.enabled must be a boolean.");
+	if (consoleOutput.enabled) validateConsoleOptions(consoleOutput);
+};
 
 /**
- * Valid strategies for handling max log files.
- * @constant {string[]}
+ * Validates the file output configuration.
+ * @param {Object} fileOutput - The file output options.
  */
-const validStrategies = ["deleteOld", "archiveOld"];
+const validateFileOutput = (fileOutput) => {
+	if (fileOutput && typeof fileOutput !== "object")
+		throw new Error("fileOutput must be an object.");
+	if (typeof fileOutput.enabled !== "boolean")
+		throw new Error("fileOutput.enabled must be a boolean.");
+	if (fileOutput.enabled) validateFileOptions(fileOutput);
+};
 
 /**
- * Order of log levels.
+ * Options accepted by `reconfigure()`.
  * @constant {string[]}
  */
-const levelOrder = [
-	"trace",
-	"debug",
-	"info",
-	"success",
-	"warn",
-	"error",
-	"fatal",
+const reconfigurableOptions = [
+	"minLevel",
+	"filters",
+	"consoleOutput",
+	"fileOutput",
 ];
 
 /**
- * Composes two functions to apply transformations.
- * @param {Function} f - The first function.
- * @param {Function} g - The second function.
- * @returns {Function} - A composed function.
+ * Validates the transports configuration.
+ * @param {Transport[]} transports - The transports to validate.
+ * @param {string[]} levels - The valid levels.
  */
-const compose = (f, g) => (x) => f(g(x));
+const validateTransports = (transports, levels) => {
+	if (!Array.isArray(transports))
+		throw new Error("transports must be an array.");
+	for (const [i, spec] of transports.entries()) {
+		const name = `transports[${i}]`;
+		if (!spec || typeof spec !== "object")
+			throw new Error(`${name} must be an object.`);
+		if (typeof spec.type !== "undefined") {
+			if (!Object.keys(transportFactories).includes(spec.type))
+				throw new Error(
+					`Invalid value for ${name}.type: "${spec.type}". ` +
+						`Valid values are: ${Object.keys(transportFactories).join(", ")}.`,
+				);
+			transportValidators[spec.type](spec, name);
+		} else if (typeof spec.write !== "function") {
+			throw new Error(`${name} must have a type or a write function.`);
+		}
+		if (typeof spec.minLevel !== "undefined")
+			validateMinLevel(spec.minLevel, `${name}.minLevel`, levels);
+		if (
+			typeof spec.formatter !== "undefined" &&
+			typeof spec.formatter !== "function"
+		)
+			throw new Error(`${name}.formatter must be a function.`);
+		if (typeof spec.filters !== "undefined")
+			validateFilters(spec.filters, `${name}.filters`);
+	}
+};
 
 /**
- * Map of log levels to their respective colors.
- * @constant {Object}
+ * Wraps a transport with its level, formatter and filters.
+ * @param {Object} spec - The transport options.
+ * @param {Object} transport - The transport.
+ * @param {Function} defaultFormat - Formatter used when the options do not provide one.
+ * @param {Object<string, number>} levelValues - Values of the logger's levels.
+ * @returns {Object} - The output used by the logger.
  */
-const colorMap = {
-	trace: compose(greenBright, bgBlack),
-	debug: gray,
-	info: blue,
-	success: green,
-	warn: yellow,
-	error: red,
-	fatal: compose(bgWhite, red),
-	default: white,
-};
+const createOutput = (spec, transport, defaultFormat, levelValues) => ({
+	name: spec.name ?? transport.name ?? "custom",
+	transport,
+	minLevelValue: spec.minLevel
+		? levelValues[spec.minLevel]
+		: Number.NEGATIVE_INFINITY,
+	formatter:
+		spec.formatter ?? (spec.format === "json" ? jsonFormatter : defaultFormat),
+	includePattern: spec.filters?.include
+		? new RegExp(spec.filters.include)
+		: null,
+	excludePattern: spec.filters?.exclude
+		? new RegExp(spec.filters.exclude)
+		: null,
+});
 
 // Global cleanup
 /**
@@ -161,12 +250,34 @@ const attachGlobalCleanup = () => {
 	cleanupAttached = true;
 };
 
+/**
+ * @typedef {import("./utils/formatters.js").LogRecord} LogRecord
+ */
+
+/**
+ * Log transport: either a built-in transport (`type` plus the options of that type)
+ * or a custom sink implementing `write`.
+ * @typedef {Object} Transport
+ * @property {string} [type] - Built-in transport type: "console", "file", "syslog" or "http".
+ * @property {string} [name] - Name used in metrics and diagnostics.
+ * @property {string} [minLevel] - Minimum log level for this transport.
+ * @property {Function} [formatter] - Formatter for this transport. Defaults to the logger formatter.
+ * @property {{include?: string, exclude?: string}} [filters] - Filters for this transport.
+ * @property {(line: string, record: LogRecord) => (void|Promise<void>)} [write] - Write a formatted line. Required for custom transports.
+ * @property {() => Promise<void>} [flush] - Flush buffered lines.
+ * @property {() => Promise<void>} [close] - Flush and release the transport's resources.
+ * @property {() => Object} [getMetrics] - Get the transport's metrics.
+ * @property {() => void} [drainSync] - Synchronously write or persist the buffered lines, when the process is about to exit after a fatal error.
+ */
+
 /**
  * Logger configuration object.
  * @typedef {Object} LoggerConfig
  * @property {Object} consoleOutput - Configuration for console output.
- * @property {boolean} consoleOutput.enabled - Whether console output is enabled.
+ * @property {boolean} consoleOutput.enabled - Whether console output is enabled. Defaults to `false` when `transports` are given.
  * @property {boolean} consoleOutput.coloredCoding - Whether to use colored output in the console.
+ * @property {string} [consoleOutput.mode] - Console output: "plain" (default) prints formatted lines, "pretty" renders records for development and "json" prints NDJSON.
+ * @property {{depth?: number, maxStringLength?: number, maxArrayLength?: number}} [consoleOutput.pretty] - Object depth and truncation limits of the pretty mode.
  * @property {Object} fileOutput - Configuration for file output.
  * @property {boolean} fileOutput.enabled - Whether file output is enabled.
  * @property {string} fileOutput.logFilePath - Path to the log file.
@@ -174,20 +285,99 @@ const attachGlobalCleanup = () => {
  * @property {number} fileOutput.maxLogSize - Maximum size of a log file before rotation.
  * @property {number} fileOutput.maxLogFiles - Maximum number of log files to retain.
  * @property {string} fileOutput.onMaxLogFilesReached - Strategy for handling max log files.
- * @property {Function} formatter - Function to format log messages.
+ * @property {string} [fileOutput.format] - Output format of the log file: "text" (default) or "json" (NDJSON).
+ * @property {Object} [fileOutput.queue] - Bounds of the write queue and policy for messages written to a full queue.
+ * @property {number} [fileOutput.queue.maxSize] - Maximum number of queued messages. Defaults to 100000.
+ * @property {number} [fileOutput.queue.maxBytes] - Maximum size of the queued messages in bytes.
+ * @property {string} [fileOutput.queue.policy] - "dropNewest" (default), "dropOldest", "block" (level methods wait for room) or "spillToDisk".
+ * @property {(event: {policy: string, queueSize: number, queueBytes: number}) => void} [fileOutput.queue.onShed] - Called when the queue starts overflowing.
+ * @property {boolean} [fileOutput.worker] - Whether to write, rotate and compress from a worker thread.
+ * @property {Array<Transport & Object<string, any>>} [transports] - Additional transports receiving every record.
+ * @property {Object} [errors] - Serialization of the Errors logged as the message or as top-level fields.
+ * @property {number} [errors.maxDepth] - Maximum depth of nested causes and aggregated errors. Defaults to 5.
+ * @property {boolean|RegExp[]} [errors.trimStack] - Stack frames to strip: `true` for node_modules and Node.js internals, or patterns of frames.
+ * @property {Object} [redact] - Redaction applied to every record before it is formatted.
+ * @property {string[]} [redact.paths] - Key paths to redact, e.g. `password`, `headers.authorization`, `*.token`.
+ * @property {Array<RegExp|string>} [redact.patterns] - Patterns of values to redact, or built-in pattern names: "creditCard", "jwt", "email".
+ * @property {string} [redact.censor] - How to redact: "mask" (default), "hash" or "remove".
+ * @property {string} [redact.mask] - Replacement used by the "mask" censor. Defaults to "[REDACTED]".
+ * @property {Object<string, number>} [sampling] - Share of records to keep per level, between 0 and 1, e.g. `{ debug: 0.1 }`.
+ * @property {Object} [rateLimit] - Token bucket rate limiting.
+ * @property {number|Object<string, number>} rateLimit.perSecond - Messages allowed per second, for every level or keyed by level.
+ * @property {string} [rateLimit.by] - Bucket key: "level" (default) or "message".
+ * @property {boolean} [dedupe] - Collapse consecutive identical messages into a "Last message repeated N times" line.
+ * @property {boolean} [handleExceptions] - Log uncaught exceptions at the fatal level, write the queued lines synchronously, run the `onFatal` hooks and exit.
+ * @property {boolean} [handleRejections] - Do the same for unhandled promise rejections.
+ * @property {Function|Function[]} [onFatal] - Hooks run before exiting, with the error and `{ event }`. Promises they return are awaited for up to 5 seconds.
+ * @property {number} [exitCode] - Exit code after an uncaught exception or unhandled rejection. Defaults to 1.
+ * @property {Object} [timers] - Timing helpers.
+ * @property {string} [timers.level] - Level of the records logged by `timeEnd()`, `startTimer()` and `profile()`. Defaults to "info".
+ * @property {boolean} [timers.histogram] - Summarize the measured durations per label in `getMetrics().durations`.
+ * @property {Function} formatter - Function to format log records. Receives the whole record; wrap formatters of the `(level, message)` form with `deadslog.legacyFormatter`.
  * @property {string} minLevel - Minimum log level to log.
+ * @property {Object<string, number>} [levels] - Custom levels and their values, e.g. `{ audit: 35, http: 25 }`. Built-in levels range from trace (10) to fatal (60).
+ * @property {Object<string, string|Function>} [colors] - Console colors keyed by level: names of `yoctocolors` functions or color functions.
  * @property {Object} filters - Configuration for filters.
  * @property {string} filters.include - Word filter to include in log.
  * @property {string} filters.exclude - Word filter to exclude in log.
+ * @property {string} [name] - Namespace of the logger, e.g. "db:pool". Its debug output can be selected with the `DEADSLOG_DEBUG` environment variable.
+ * @property {Object} [reconfigureOn] - Triggers of runtime reconfiguration.
+ * @property {string} [reconfigureOn.signal] - Signal toggling verbose logging, e.g. "SIGUSR2".
+ * @property {string} [reconfigureOn.verboseLevel] - Level set by the signal. Defaults to "debug".
+ * @property {string} [reconfigureOn.configFile] - JSON file of `reconfigure()` options, applied whenever it changes.
+ * @property {number} [reconfigureOn.interval] - Polling interval of the config file in milliseconds. Defaults to 1000.
+ */
+
+/**
+ * Logs a message of a level with optional metadata fields.
+ * A message string may contain `util.format` specifiers (`%s`, `%d`, `%j`, `%o`...) consuming the
+ * following arguments; remaining objects are merged as fields, Errors set `err` and other values are appended.
+ * @typedef {(msg: any, ...args: any[]) => void} LogMethod
+ */
+
+/**
+ * Logger instance with logging methods for various levels.
+ *
+ * @template {string} [CustomLevel=never]
+ * @typedef {Object} BaseLoggerInstance
+ * @property {LogMethod} trace - Log a trace-level message with optional metadata fields.
+ * @property {LogMethod} debug - Log a debug-level message with optional metadata fields.
+ * @property {LogMethod} info - Log an info-level message with optional metadata fields.
+ * @property {LogMethod} success - Log a success-level message with optional metadata fields.
+ * @property {LogMethod} warn - Log a warning-level message with optional metadata fields.
+ * @property {LogMethod} error - Log an error-level message with optional metadata fields.
+ * @property {LogMethod} fatal - Log a fatal-level message with optional metadata fields.
+ * @property {(bindings: Object, options?: {minLevel?: string, name?: string, redact?: {paths?: string[]}}) => LoggerInstance<CustomLevel>} child - Create a child logger that adds `bindings` to every record. A `name` extends the parent's namespace, and `redact.paths` extend the parent's redacted paths.
+ * @property {<T>(fields: Object, fn: () => T) => T} runWithContext - Run `fn` with `fields` added to every record logged within its async call chain.
+ * @property {(label?: string) => void} time - Start a timer. Timers are shared by a logger and its children.
+ * @property {(label?: string, level?: string) => Promise<void>} timeEnd - Stop a timer and log its label with the elapsed `durationMs`.
+ * @property {() => (options?: {msg?: string, level?: string, fields?: Object}) => Promise<void>} startTimer - Start a timer and return a function logging `msg` and `fields` with the elapsed `durationMs`.
+ * @property {<T>(label: string, fn: () => T | Promise<T>) => Promise<T>} profile - Run `fn`, logging when it starts, ends or fails, with its `durationMs`. Failures are logged at the error level and rethrown.
+ * @property {(methods?: Object<string, string>) => void} captureConsole - Route `console.log`, `info`, `warn`, `error` and `debug` through the logger, at the levels of `methods` or info, info, warn, error and debug. deadslog's own console output still goes to the original methods.
+ * @property {() => void} releaseConsole - Restore the console methods captured by the logger or one of its children.
+ * @property {(level: string) => void} setLevel - Change the minimum level. Children without a level of their own follow their parent's.
+ * @property {(filters: {include?: string, exclude?: string}) => void} setFilters - Replace the filters of the logger.
+ * @property {(config: {minLevel?: string, filters?: Object, consoleOutput?: Object, fileOutput?: Object}) => Promise<void>} reconfigure - Validate and apply new settings, replacing the console or file output without losing queued messages.
+ * @property {(options?: import("./utils/query.js").QueryOptions) => AsyncGenerator<Object>} query - Search the logger's log file and its rotated files, once queued messages are flushed. Yields the matching records in time order.
+ * @property  {() => Promise<void>} flush - Flush all queued log messages of every transport.
+ * @property  {() => Promise<void>} destroy - Clean up resources and close the logger and its transports.
+ * @property {(msg: any) => void} getMetrics - Get current metrics of the logger's transports. Top-level fields are those of the first transport reporting metrics; `suppressed` counts the sampled, rate limited and deduplicated messages per level; `durations` summarizes the timed durations per label when `timers.histogram` is set.
+ */
+
+/**
+ * Logger instance, with a logging method for each custom level.
+ * @template {string} [CustomLevel=never]
+ * @typedef {BaseLoggerInstance<CustomLevel> & Record<CustomLevel, LogMethod>} LoggerInstance
  */
 
 /**
  * Creates a logger instance.
- * @param {LoggerConfig} config - Configuration for the logger.
- * @returns {LoggerInstance}
+ * @template {Object<string, number>} [Levels={}]
+ * @param {LoggerConfig & {levels?: Levels}} config - Configuration for the logger.
+ * @returns {LoggerInstance<Extract<keyof Levels, string>>}
  */
 const deadslog = ({
-	consoleOutput = { enabled: true, coloredCoding: true },
+	consoleOutput,
 	fileOutput = {
 		enabled: false,
 		logFilePath: null,
@@ -196,465 +386,786 @@ const deadslog = ({
 		maxLogFiles: null,
 		onMaxLogFilesReached: null,
 	},
+	transports = [],
 	formatter = defaultFormatter,
 	minLevel = "info",
 	filters = {},
+	errors,
+	redact,
+	sampling,
+	rateLimit,
+	dedupe = false,
+	timers = {},
+	handleExceptions = false,
+	handleRejections = false,
+	onFatal = [],
+	exitCode = 1,
+	levels,
+	colors,
+	reconfigureOn,
+	name,
 } = {}) => {
+	// levels configuration
+	if (typeof levels !== "undefined") validateLevels(levels);
+	const levelConfig = resolveLevels(levels, colors);
+	const levelValues = levelConfig.values;
+	if (typeof colors !== "undefined") validateColors(colors, levelConfig.order);
+	// transports configuration
+	validateTransports(transports, levelConfig.order);
 	// console output configuration
-	if (consoleOutput && typeof consoleOutput !== "object")
-		throw new Error("consoleOutput must be an object.");
-	if (typeof consoleOutput.enabled !== "boolean")
-		throw new Error("consoleOutput.enabled must be a boolean.");
-	if (consoleOutput.enabled) {
-		if (typeof consoleOutput.coloredCoding !== "undefined")
-			if (typeof consoleOutput.coloredCoding !== "boolean")
-				throw new Error("consoleOutput.coloredCoding must be a boolean.");
+	if (typeof consoleOutput === "undefined") {
+		consoleOutput =
+			transports.length > 0
+				? { enabled: false }
+				: { enabled: true, coloredCoding: true };
 	}
+	validateConsoleOutput(consoleOutput);
 	// file output configuration
-	if (fileOutput && typeof fileOutput !== "object")
-		throw new Error("fileOutput must be an object.");
-	if (typeof fileOutput.enabled !== "boolean")
-		throw new Error("fileOutput.enabled must be a boolean.");
-	if (fileOutput.enabled) {
-		if (!fileOutput.logFilePath)
-			throw new Error("File logging is enabled but no log file path provided.");
-		if (typeof fileOutput.logFilePath !== "string")
-			throw new Error("fileOutput.logFilePath must be a string.");
-		// rotate configuration
-		if (typeof fileOutput.rotate !== "undefined") {
-			if (typeof fileOutput.rotate !== "boolean")
-				throw new Error("fileOutput.rotate must be a boolean.");
-			if (
-				typeof fileOutput.maxLogSize !== "number" ||
-				fileOutput.maxLogSize < 1
-			)
-				throw new Error("Invalid maxLogSize value for file rotation.");
-			if (
-				typeof fileOutput.maxLogFiles !== "number" ||
-				fileOutput.maxLogFiles < 1
-			)
-				throw new Error("Invalid maxLogFiles value for file rotation.");
-			if (typeof fileOutput.onMaxLogFilesReached !== "string")
-				throw new Error("Invalid onMaxFilesReached for file rotation.");
-			if (!validStrategies.includes(fileOutput.onMaxLogFilesReached))
-				throw new Error(
-					`Invalid value for onMaxLogFilesReached: "${fileOutput.onMaxLogFilesReached}". ` +
-						`Valid values are: ${validStrategies.join(", ")}.`,
-				);
-		}
-	}
+	validateFileOutput(fileOutput);
 	// formatter configuration
 	if (typeof formatter !== "function") {
 		console.warn("Formatter passed is not a function. Using default formatter");
 		formatter = defaultFormatter;
 	}
 	// minLevel configuration
-	if (typeof minLevel !== "string")
-		throw new Error("minLevel must be a string.");
-	if (!levelOrder.includes(minLevel))
-		throw new Error(
-			`Invalid value for minLevel: ${minLevel}. Valid levels are: ${levelOrder.join(", ")}.`,
-		);
+	validateMinLevel(minLevel, "minLevel", levelConfig.order);
 	// filters configuration
-	if (filters && typeof filters !== "object")
-		throw new Error("filters must be an object.");
-	if (typeof filters.include !== "undefined") {
-		if (typeof filters.include !== "string")
-			throw new Error("filters.include must be a string.");
-	}
-	if (typeof filters.exclude !== "undefined") {
-		if (typeof filters.exclude !== "string")
-			throw new Error("filters.exclude must be a string.");
-	}
+	validateFilters(filters);
+	// errors configuration
+	if (typeof errors !== "undefined") validateErrorOptions(errors);
+	// redact configuration
+	if (typeof redact !== "undefined") validateRedactOptions(redact);
+	// throttling configuration
+	if (typeof sampling !== "undefined")
+		validateSamplingOptions(sampling, "sampling", levelConfig.order);
+	if (typeof rateLimit !== "undefined")
+		validateRateLimitOptions(rateLimit, "rateLimit", levelConfig.order);
+	validateDedupeOptions(dedupe);
+	// timers configuration
+	validateTimerOptions(timers, "timers", levelConfig.order);
+	// crash capture configuration
+	validateCrashOptions({
+		handleExceptions,
+		handleRejections,
+		onFatal,
+		exitCode,
+	});
+	// namespace configuration
+	if (typeof name !== "undefined") validateNamespace(name);
+	// reconfiguration triggers
+	if (typeof reconfigureOn !== "undefined")
+		validateReconfigureTriggers(reconfigureOn, levelConfig.order);
 
 	// initialization
-	let logFilePath = null;
-	let fileStream = null;
-	let fileSystemFailures = 0;
-	let circuitOpen = false;
-	const circuitResetTimeout = 30000;
-	let isRotating = false;
-	let isProcessingQueue = false;
-	const writeQueue = [];
-	const minLevelIndex = levelOrder.indexOf(minLevel.toLowerCase());
-	const includePattern = filters.include ? new RegExp(filters.include) : null;
-	const excludePattern = filters.exclude ? new RegExp(filters.exclude) : null;
-
-	// metrics
-	const metrics = {
-		messagesLogged: 0,
-		bytesWritten: 0,
-		queueHighWaterMark: 0,
-		writeFailures: 0,
-		averageWriteTime: 0,
-		rotations: 0,
-		lastWriteTime: 0,
-		writeLatencies: [],
+	const minLevelValue = levelValues[minLevel];
+	const transportSettings = {
+		colors: levelConfig.colors,
+		levels: levelValues,
+	};
+	const namespaceSelection = parseNamespaceSelection(
+		process.env[DEBUG_ENV_VAR],
+	);
+	let includePattern = filters.include ? new RegExp(filters.include) : null;
+	let excludePattern = filters.exclude ? new RegExp(filters.exclude) : null;
+	const serializeErrors = createErrorSerializer(errors);
+	const redactRecord = redact ? createRedactor(redact) : null;
+	const keepSample = sampling ? createSampler(sampling) : null;
+	const withinRateLimit = rateLimit ? createRateLimiter(rateLimit) : null;
+	const deduplicator = dedupe ? createDeduplicator() : null;
+	// Messages dropped by sampling, rate limiting and duplicate suppression, per level
+	const suppressed = { sampled: {}, rateLimited: {}, deduplicated: {} };
+	const countSuppressed = (reason, level) => {
+		suppressed[reason][level] = (suppressed[reason][level] ?? 0) + 1;
 	};
+	const timerLevel = timers.level ?? "info";
+	const durationHistogram = timers.histogram ? createDurationHistogram() : null;
+	// Start times of the timers of time(), keyed by label
+	const runningTimers = new Map();
+
+	const createConsoleOutput = (options) =>
+		createOutput(
+			{},
+			createConsoleTransport(options, transportSettings),
+			formatter,
+			levelValues,
+		);
+	const createFileOutput = (options) =>
+		createOutput(options, createFileTransport(options), formatter, levelValues);
 
+	const outputs = [];
+	// The built-in outputs, which reconfigure() can replace
+	const builtinOutputs = {
+		console: { options: consoleOutput, output: null },
+		file: { options: fileOutput, output: null },
+	};
+	if (consoleOutput.enabled) {
+		builtinOutputs.console.output = createConsoleOutput(consoleOutput);
+		outputs.push(builtinOutputs.console.output);
+	}
 	if (fileOutput.enabled) {
-		logFilePath = resolve(fileOutput.logFilePath);
-		const logFileDir = dirname(logFilePath);
-		try {
-			if (!existsWithRetry(logFileDir)) {
-				mkdirWithRetry(logFileDir);
-			}
-			if (!statWithRetry(logFileDir).isDirectory()) {
-				throw new Error(`Path ${logFileDir} is not a directory.`);
-			}
-			if (!existsWithRetry(logFilePath)) {
-				writeFileWithRetry(logFilePath, "");
-			}
-		} catch (err) {
-			throw new Error(
-				`Failed to initialize log file or directory: ${err.message}. Ensure the paths are valid and writable.`,
-			);
-		}
-		fileStream = createWriteStreamWithRetry(logFilePath, { flags: "a" });
-		fileStream.on("error", (err) => {
-			console.error("[deadslog/system] Logging stream error:", err);
-		});
+		builtinOutputs.file.output = createFileOutput(fileOutput);
+		outputs.push(builtinOutputs.file.output);
+	}
+	for (const spec of transports) {
+		const transport = spec.type
+			? transportFactories[spec.type](spec, transportSettings)
+			: spec;
+		outputs.push(createOutput(spec, transport, formatter, levelValues));
 	}
 
-	const rotateLogs = async () => {
-		if (isRotating) return;
-		isRotating = true;
-
-		try {
-			let stats;
-			try {
-				stats = await stat(logFilePath);
-			} catch (err) {
-				if (err.code === "ENOENT") return; // File doesn't exist, no need to rotate
-				throw err;
+	const createRecord = (
+		msgLevel,
+		message,
+		context,
+		bindings,
+		fields,
+		namespace,
+	) => {
+		const record = {
+			level: msgLevel,
+			time: new Date().toISOString(),
+			msg: message,
+		};
+		if (namespace) record.namespace = namespace;
+		for (const source of [context, bindings, fields]) {
+			if (!source || typeof source !== "object") continue;
+			for (const [key, value] of Object.entries(source)) {
+				if (reservedKeys.includes(key)) continue;
+				if (namespace && key === "namespace") continue;
+				record[key] = value;
 			}
+		}
+		return record;
+	};
 
-			if (stats.size < fileOutput.maxLogSize) return;
-
-			const { dir, name, ext } = parse(logFilePath);
-
-			if (fileOutput.onMaxLogFilesReached === "deleteOld") {
-				const oldest = join(dir, `${name}.${fileOutput.maxLogFiles}${ext}`);
-				try {
-					await unlink(oldest);
-				} catch (err) {
-					if (err.code !== "ENOENT") throw err;
-				}
+	/**
+	 * Tells whether a namespace has its debug output enabled (true), disabled (false)
+	 * or left to the level (null) by the `DEADSLOG_DEBUG` selection.
+	 * @param {string|null} namespace - The namespace of a logger.
+	 * @returns {boolean|null}
+	 */
+	const debugSelection = (namespace) =>
+		namespaceSelection && namespace
+			? isNamespaceSelected(namespaceSelection, namespace)
+			: null;
 
-				for (let i = fileOutput.maxLogFiles - 1; i >= 1; i--) {
-					const src = join(dir, `${name}.${i}${ext}`);
-					const dest = join(dir, `${name}.${i + 1}${ext}`);
-					try {
-						await rename(src, dest);
-					} catch (err) {
-						if (err.code !== "ENOENT") throw err;
-					}
-				}
+	/**
+	 * Computes the lowest level value a logger view writes.
+	 * Selected namespaces write every level, other named loggers nothing below info.
+	 * @param {Object} view - The logger view.
+	 * @returns {number}
+	 */
+	const thresholdOf = (view) => {
+		if (view.debugSelected === true) return Number.NEGATIVE_INFINITY;
+		if (view.debugSelected === false)
+			return Math.max(view.minLevelValue, levelValues.info);
+		return view.minLevelValue;
+	};
 
-				const newLogFile = join(dir, `${name}.1${ext}`);
-				await rename(logFilePath, newLogFile);
+	/**
+	 * Formats a record and writes it to every output whose level and filters it passes.
+	 * @param {LogRecord} record - The log record.
+	 * @param {Object} [context] - The async context of the record.
+	 * @param {Object[]} [targets=outputs] - The outputs to write to.
+	 * @returns {Promise<void>[]} - The pending writes of asynchronous transports.
+	 */
+	const writeToOutputs = (record, context, targets = outputs) => {
+		const msgLevelValue = levelValues[record.level];
+		// Transports sharing a formatter share the formatted line
+		const lines = new Map();
+		const pending = [];
+		for (const output of targets) {
+			if (msgLevelValue < output.minLevelValue) continue;
+			// Outputs being replaced hold their records for their replacement
+			if (output.held) {
+				output.held.push({ record, context });
+				continue;
 			}
 
-			if (fileOutput.onMaxLogFilesReached === "archiveOld") {
-				const oldest = join(dir, `${name}.${fileOutput.maxLogFiles}${ext}.gz`);
+			let line = lines.get(output.formatter);
+			if (line === undefined) {
+				// A failing formatter only loses the lines of the outputs using it
 				try {
-					await unlink(oldest);
+					line = output.formatter(record);
 				} catch (err) {
-					if (err.code !== "ENOENT") throw err;
-				}
-
-				for (let i = fileOutput.maxLogFiles - 1; i >= 1; i--) {
-					const src = join(dir, `${name}.${i}${ext}.gz`);
-					const dest = join(dir, `${name}.${i + 1}${ext}.gz`);
-					try {
-						await rename(src, dest);
-					} catch (err) {
-						if (err.code !== "ENOENT") throw err;
-					}
+					console.error(
+						`[deadslog/system] Error formatting a record for transport "${output.name}":`,
+						err,
+					);
+					line = null;
 				}
-
-				const compressedPath = join(dir, `${name}.1${ext}.gz`);
-				const inputBuffer = readFileWithRetry(logFilePath);
-				const compressedBuffer = gzipSync(inputBuffer);
-				await writeFile(compressedPath, compressedBuffer);
+				lines.set(output.formatter, line);
 			}
+			if (line === null) continue;
+
+			// Filters match the formatted line as well as the async context values
+			const matches = (pattern) =>
+				pattern.test(line) ||
+				(context !== undefined && pattern.test(stringifyMessage(context)));
+			if (excludePattern && matches(excludePattern)) continue;
+			if (output.excludePattern && matches(output.excludePattern)) continue;
+			if (includePattern && !matches(includePattern)) continue;
+			if (output.includePattern && !matches(output.includePattern)) continue;
 
-			fileStream.end();
-			await writeFile(logFilePath, "", "utf8");
-			fileStream = createWriteStreamWithRetry(logFilePath, { flags: "a" });
-			fileStream.on("error", (err) => {
+			const reportFailure = (err) => {
 				console.error(
-					"[deadslog/system] Logging stream error after rotation:",
+					`[deadslog/system] Error writing to transport "${output.name}":`,
 					err,
 				);
-			});
-		} catch (err) {
-			console.error("[deadslog/system] Error during log rotation:", err);
-		} finally {
-			isRotating = false;
-			processWriteQueue();
+			};
+			try {
+				const result = output.transport.write(line, record);
+				// Level methods are rarely awaited, so failed writes never reject them
+				if (typeof result?.then === "function")
+					pending.push(result.then(undefined, reportFailure));
+			} catch (err) {
+				reportFailure(err);
+			}
 		}
+
+		return pending;
 	};
 
-	const processWriteQueue = async () => {
-		if (isProcessingQueue) return;
-		isProcessingQueue = true;
+	/**
+	 * Writes a record to the outputs, with console output going to the original
+	 * console methods so that a captured console does not log it again.
+	 * @see writeToOutputs
+	 */
+	const dispatch = (record, context, targets) =>
+		passThroughConsole(() => writeToOutputs(record, context, targets));
 
-		while (writeQueue.length > 0) {
-			const { message, resolve, reject } = writeQueue.shift();
-			if (fileOutput.rotate) await rotateLogs();
-			try {
-				if (!fileStream || fileStream.writableEnded) {
-					console.warn(
-						"[deadslog/system] Attempted to write to closed file stream.",
-					);
-					reject(new Error("File stream is closed."));
-					continue;
-				}
+	const log = async (view, msgLevel, message, fields) => {
+		if (levelValues[msgLevel] < thresholdOf(view)) return;
+		if (keepSample && !keepSample(msgLevel)) {
+			countSuppressed("sampled", msgLevel);
+			return;
+		}
 
-				fileStream.write(`${message}\n`, (err) => {
-					if (err) {
-						console.error("[deadslog/system] Error writing to log file:", err);
-						fileSystemFailures++;
-
-						if (fileSystemFailures >= 5) {
-							circuitOpen = true;
-							console.error(
-								"[deadslog/system] Circuit breaker opened due to file system failures",
-							);
-
-							// Try to reset circuit after delay
-							setTimeout(() => {
-								console.info(
-									"[deadslog/system] Attempting to reset circuit breaker",
-								);
-								circuitOpen = false;
-								fileSystemFailures = 0;
-
-								// Try to reopen the stream
-								try {
-									if (fileStream) fileStream.end();
-									fileStream = createWriteStreamWithRetry(logFilePath, {
-										flags: "a",
-									});
-									fileStream.on("error", (err) => {
-										console.error(
-											"[deadslog/system] Logging stream error:",
-											err,
-										);
-										fileSystemFailures++;
-									});
-									console.info(
-										"[deadslog/system] Circuit breaker reset successful",
-									);
-								} catch (err) {
-									console.error(
-										"[deadslog/system] Failed to reset circuit breaker:",
-										err,
-									);
-									// Will try again on next write attempt
-								}
-							}, circuitResetTimeout); // Wait 30 seconds before resetting
-						}
-
-						reject(err);
-						return;
-					}
-					fileSystemFailures = 0;
-					resolve();
-				});
-			} catch (err) {
-				console.error(
-					"[deadslog/system] Unexpected error during log write:",
-					err,
-				);
-				fileSystemFailures++;
-				reject(err);
+		const context = contextStorage.getStore();
+		let record = createRecord(
+			msgLevel,
+			message,
+			context,
+			view.bindings,
+			fields,
+			view.namespace,
+		);
+		// Errors are serialized first so that their properties can be redacted
+		record = serializeErrors(record);
+		// Redacting the record covers every formatter and transport
+		if (view.redactRecord) record = view.redactRecord(record);
+
+		const pending = [];
+		if (deduplicator) {
+			const { duplicate, summary } = deduplicator.check(record);
+			if (summary) pending.push(...dispatch(summary));
+			if (duplicate) {
+				countSuppressed("deduplicated", msgLevel);
+				if (pending.length > 0) await Promise.all(pending);
+				return;
 			}
 		}
+		if (withinRateLimit && !withinRateLimit(record)) {
+			countSuppressed("rateLimited", msgLevel);
+		} else {
+			pending.push(...dispatch(record, context));
+		}
 
-		isProcessingQueue = false;
+		if (pending.length > 0) await Promise.all(pending);
+	};
+
+	/**
+	 * Writes the summary of the pending run of repeated messages, if any.
+	 * @returns {Promise<void>}
+	 */
+	const flushRepeats = async () => {
+		const summary = deduplicator?.flush();
+		if (summary) await Promise.all(dispatch(summary));
 	};
 
-	const writeMetrics = (message) => {
-		metrics.messagesLogged++;
-		metrics.bytesWritten += message.length + 1;
-		metrics.queueHighWaterMark = Math.max(
-			metrics.queueHighWaterMark,
-			writeQueue.length,
+	/**
+	 * Creates the level methods of a logger bound to a view.
+	 * @param {{bindings: Object, minLevelValue: number}} view - Bound fields and minimum level value of the logger.
+	 * @returns {Object} - The level methods, one per built-in and custom level.
+	 */
+	const levelMethods = (view) =>
+		Object.fromEntries(
+			levelConfig.order.map((level) => [
+				level,
+				(msg, ...args) => {
+					const formatted = formatLogArgs(msg, args);
+					return log(view, level, formatted.msg, formatted.fields);
+				},
+			]),
 		);
+
+	/**
+	 * Logs a measured duration and records it in the histogram.
+	 * @param {Object} view - The view of the logger.
+	 * @param {string} level - The level of the record.
+	 * @param {string} label - The label of the duration in the histogram.
+	 * @param {any} msg - The message.
+	 * @param {bigint} start - The start of the measure.
+	 * @param {Object} [fields] - Additional fields.
+	 * @returns {Promise<void>}
+	 */
+	const logDuration = (view, level, label, msg, start, fields) => {
+		const durationMs = elapsedMs(start);
+		durationHistogram?.record(label, durationMs);
+		return log(view, level, msg, { ...fields, durationMs });
 	};
 
-	const latencyMetrics = (startTime) => {
-		const latency = Date.now() - startTime;
-		metrics.writeLatencies.push(latency);
-		if (metrics.writeLatencies.length > 100) {
-			metrics.writeLatencies.shift();
-		}
-		metrics.averageWriteTime =
-			metrics.writeLatencies.reduce((a, b) => a + b, 0) /
-			metrics.writeLatencies.length;
-		metrics.lastWriteTime = Date.now();
+	/**
+	 * Creates the timing helpers of a logger bound to a view.
+	 * @param {{bindings: Object, minLevelValue: number}} view - Bound fields and minimum level value of the logger.
+	 * @returns {Object} - `time`, `timeEnd`, `startTimer` and `profile`.
+	 */
+	const timerMethods = (view) => ({
+		time: (label = "default") => {
+			if (typeof label !== "string")
+				throw new Error("timer label must be a string.");
+			if (runningTimers.has(label)) {
+				console.error(`[deadslog/system] Timer "${label}" already exists.`);
+				return;
+			}
+			runningTimers.set(label, now());
+		},
+		timeEnd: (label = "default", level = timerLevel) => {
+			validateMinLevel(level, "level", levelConfig.order);
+			const start = runningTimers.get(label);
+			if (typeof start === "undefined") {
+				console.error(`[deadslog/system] No such timer: "${label}".`);
+				return Promise.resolve();
+			}
+			runningTimers.delete(label);
+			return logDuration(view, level, label, label, start);
+		},
+		startTimer: () => {
+			const start = now();
+			return ({ msg = "timer", level = timerLevel, fields } = {}) => {
+				validateMinLevel(level, "level", levelConfig.order);
+				return logDuration(view, level, String(msg), msg, start, fields);
+			};
+		},
+		profile: async (label, fn) => {
+			if (typeof label !== "string")
+				throw new Error("profile label must be a string.");
+			if (typeof fn !== "function")
+				throw new Error("profile requires a function.");
+			await log(view, timerLevel, `${label} started`, { profile: label });
+			const start = now();
+			let result;
+			try {
+				result = await fn();
+			} catch (err) {
+				await logDuration(view, "error", label, `${label} failed`, start, {
+					profile: label,
+					err,
+				});
+				throw err;
+			}
+			await logDuration(view, timerLevel, label, `${label} completed`, start, {
+				profile: label,
+			});
+			return result;
+		},
+	});
+
+	/**
+	 * Runs a function with fields attached to every record logged within its async call chain.
+	 * Nested calls merge their fields into the outer context.
+	 * @param {Object} fields - The context fields.
+	 * @param {Function} fn - The function to run.
+	 * @returns {any} - The return value of `fn`.
+	 */
+	const runWithContext = (fields, fn) => {
+		if (!fields || typeof fields !== "object")
+			throw new Error("context fields must be an object.");
+		if (typeof fn !== "function")
+			throw new Error("runWithContext requires a function.");
+		return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
 	};
 
-	const writeToFile = (message, startTime) => {
-		return new Promise((resolve, reject) => {
-			writeQueue.push({
-				message,
-				resolve: () => {
-					writeMetrics(message);
-					latencyMetrics(startTime);
-					resolve();
+	/**
+	 * Creates the `captureConsole()` method of a logger bound to a view.
+	 * @param {{bindings: Object, minLevelValue: number}} view - Bound fields and minimum level value of the logger.
+	 * @returns {(methods?: Object<string, string>) => void} - Routes console methods to the logger, with levels keyed by method.
+	 */
+	const consoleCapturer =
+		(view) =>
+		(methods = {}) => {
+			validateConsoleLevels(methods, "captureConsole", levelConfig.order);
+			const logAt = levelMethods(view);
+			const writers = Object.fromEntries(
+				Object.entries({ ...defaultConsoleLevels, ...methods }).map(
+					([method, level]) => [method, logAt[level]],
+				),
+			);
+			// The root logger owns the capture, whichever of its children started it
+			captureConsole(LoggerInstance, writers);
+		};
+
+	/**
+	 * Creates the `child()` method of a logger bound to a view.
+	 * Children share the parent's transports, write queue, rotation and metrics.
+	 * @param {{bindings: Object, minLevelValue: number}} parentView - The parent's view.
+	 * @returns {Function} - The child factory.
+	 */
+	const childFactory =
+		(parentView) =>
+		(bindings, options = {}) => {
+			if (!bindings || typeof bindings !== "object")
+				throw new Error("child bindings must be an object.");
+			if (!options || typeof options !== "object")
+				throw new Error("child options must be an object.");
+			if (typeof options.minLevel !== "undefined")
+				validateMinLevel(options.minLevel, "minLevel", levelConfig.order);
+			if (typeof options.name !== "undefined")
+				validateNamespace(options.name, "child name");
+			if (typeof options.redact !== "undefined")
+				validateRedactOptions(options.redact, "child redact");
+
+			// Child names extend the parent's namespace
+			let namespace = parentView.namespace;
+			if (typeof options.name !== "undefined")
+				namespace = namespace ? `${namespace}:${options.name}` : options.name;
+
+			// Child paths extend the parent's, redacted with the logger's censor and patterns
+			let { redactPaths, redactRecord: redactView } = parentView;
+			if (options.redact?.paths?.length > 0) {
+				redactPaths = [...redactPaths, ...options.redact.paths];
+				redactView = createRedactor({ ...redact, paths: redactPaths });
+			}
+
+			const view = {
+				bindings: { ...parentView.bindings, ...bindings },
+				namespace,
+				redactPaths,
+				redactRecord: redactView,
+				debugSelected: debugSelection(namespace),
+				ownMinLevelValue:
+					typeof options.minLevel !== "undefined"
+						? levelValues[options.minLevel]
+						: null,
+				// Without a level of its own, a child follows its parent's level
+				get minLevelValue() {
+					return this.ownMinLevelValue ?? parentView.minLevelValue;
 				},
-				reject: (err) => {
-					metrics.writeFailures++;
-					reject(err);
+			};
+			return {
+				...levelMethods(view),
+				...timerMethods(view),
+				child: childFactory(view),
+				runWithContext,
+				captureConsole: consoleCapturer(view),
+				releaseConsole: () => LoggerInstance.releaseConsole(),
+				setLevel: (level) => {
+					validateMinLevel(level, "level", levelConfig.order);
+					view.ownMinLevelValue = levelValues[level];
 				},
-			});
-			processWriteQueue();
-		});
+				// Filters and outputs are shared, so children change them on the root logger
+				setFilters: (newFilters) => LoggerInstance.setFilters(newFilters),
+				reconfigure: (config) => LoggerInstance.reconfigure(config),
+				// Children do not own the shared resources, so destroying one only flushes them
+				flush: () => LoggerInstance.flush(),
+				destroy: () => LoggerInstance.flush(),
+				query: (options) => LoggerInstance.query(options),
+				getMetrics: () => LoggerInstance.getMetrics(),
+			};
+		};
+
+	const rootView = {
+		bindings: {},
+		minLevelValue,
+		namespace: name ?? null,
+		redactPaths: redact?.paths ?? [],
+		redactRecord,
+		debugSelected: debugSelection(name),
 	};
+	let currentMinLevel = minLevel;
 
-	const log = async (msgLevel, message) => {
-		const msgLevelIndex = levelOrder.indexOf(msgLevel);
-		if (msgLevelIndex < minLevelIndex) return;
-
-		const upperLevel = msgLevel.toUpperCase();
-		const formatted = formatter(upperLevel, message);
-
-		if (excludePattern?.test(formatted)) return;
-		if (includePattern && !includePattern.test(formatted)) return;
-
-		if (consoleOutput.enabled) {
-			if (consoleOutput.coloredCoding) {
-				const levelStr = upperLevel;
-				const levelIndex = formatted.indexOf(levelStr);
-				let outputMessage;
-				if (levelIndex !== -1) {
-					const before = formatted.slice(0, levelIndex);
-					const after = formatted.slice(levelIndex + levelStr.length);
-					const colorFn = colorMap[msgLevel] || colorMap.default;
-					outputMessage = before + colorFn(levelStr) + after;
-				} else {
-					outputMessage = colorMap.default(formatted);
-				}
-				console.log(outputMessage);
-			} else {
-				console.log(formatted);
-			}
+	const setLevel = (level) => {
+		validateMinLevel(level, "level", levelConfig.order);
+		rootView.minLevelValue = levelValues[level];
+		currentMinLevel = level;
+	};
+
+	const setFilters = (newFilters) => {
+		validateFilters(newFilters);
+		includePattern = newFilters.include ? new RegExp(newFilters.include) : null;
+		excludePattern = newFilters.exclude ? new RegExp(newFilters.exclude) : null;
+	};
+
+	const closeTransport = async ({ transport }) => {
+		if (typeof transport.close === "function") {
+			await transport.close();
+		} else {
+			await transport.flush?.();
 		}
+	};
 
-		if (fileOutput.enabled) {
-			if (circuitOpen) {
-				return Promise.reject(
-					new Error("Circuit breaker open: Too many file system failures"),
+	/**
+	 * Replaces a built-in output with one created from new options.
+	 * The old transport is closed first, so its queue drains to the old destination;
+	 * records logged meanwhile are held and written to the new output once it is ready.
+	 * If the new output cannot be created, the previous options are restored.
+	 * @param {string} kind - The built-in output: "console" or "file".
+	 * @param {Object} options - The new options of the output.
+	 * @param {(options: Object) => Object} create - Creates the output from options.
+	 */
+	const replaceBuiltinOutput = async (kind, options, create) => {
+		const previous = builtinOutputs[kind];
+		const index = outputs.indexOf(previous.output);
+		const held = [];
+		if (previous.output) {
+			outputs[index] = { ...previous.output, held };
+			try {
+				await closeTransport(previous.output);
+			} catch (err) {
+				console.error(
+					`[deadslog/system] Error closing transport "${previous.output.name}":`,
+					err,
 				);
 			}
+		}
 
-			if (!fileStream) {
-				console.warn(
-					"[deadslog/system] Attempted to write to log file but file stream is closed.",
-				);
-				return Promise.reject(new Error("File stream is closed."));
+		let next = null;
+		let failure = null;
+		try {
+			next = options.enabled ? create(options) : null;
+			builtinOutputs[kind] = { options, output: next };
+		} catch (err) {
+			failure = err;
+			next = previous.options.enabled ? create(previous.options) : null;
+			builtinOutputs[kind] = { options: previous.options, output: next };
+		}
+		if (index === -1) {
+			if (next) outputs.push(next);
+		} else if (next) {
+			outputs[index] = next;
+		} else {
+			outputs.splice(index, 1);
+		}
+
+		if (next) {
+			await Promise.all(
+				held.flatMap(({ record, context }) =>
+					dispatch(record, context, [next]),
+				),
+			);
+		}
+		if (failure) throw failure;
+	};
+
+	// Reconfigurations apply one at a time. When none is in progress, the level, the
+	// filters and the holding of records for replaced outputs take effect immediately.
+	let reconfiguration = null;
+
+	const reconfigure = (config) => {
+		try {
+			if (!config || typeof config !== "object")
+				throw new Error("reconfigure options must be an object.");
+			for (const key of Object.keys(config)) {
+				if (!reconfigurableOptions.includes(key))
+					throw new Error(
+						`Invalid option for reconfigure: "${key}". ` +
+							`Valid options are: ${reconfigurableOptions.join(", ")}.`,
+					);
 			}
+			if (typeof config.minLevel !== "undefined")
+				validateMinLevel(config.minLevel, "minLevel", levelConfig.order);
+			if (typeof config.filters !== "undefined")
+				validateFilters(config.filters);
+			if (typeof config.consoleOutput !== "undefined")
+				validateConsoleOutput(config.consoleOutput);
+			if (typeof config.fileOutput !== "undefined")
+				validateFileOutput(config.fileOutput);
+		} catch (err) {
+			return Promise.reject(err);
+		}
 
-			if (writeQueue.length >= MAX_QUEUE_SIZE) {
-				return Promise.reject(
-					new Error("Write queue is full. Log message dropped."),
+		const apply = async () => {
+			if (typeof config.minLevel !== "undefined") setLevel(config.minLevel);
+			if (typeof config.filters !== "undefined") setFilters(config.filters);
+			const replacements = [];
+			if (typeof config.consoleOutput !== "undefined")
+				replacements.push(
+					replaceBuiltinOutput(
+						"console",
+						config.consoleOutput,
+						createConsoleOutput,
+					),
 				);
-			}
+			if (typeof config.fileOutput !== "undefined")
+				replacements.push(
+					replaceBuiltinOutput("file", config.fileOutput, createFileOutput),
+				);
+			await Promise.all(replacements);
+		};
 
-			const startTime = Date.now();
+		const applied = reconfiguration ? reconfiguration.then(apply) : apply();
+		const settled = applied
+			.catch(() => {})
+			.then(() => {
+				if (reconfiguration === settled) reconfiguration = null;
+			});
+		reconfiguration = settled;
+		return applied;
+	};
 
-			try {
-				writeToFile(formatted, startTime);
-			} catch (err) {
-				console.error("[deadslog] Failed to write log to file:", err);
-			}
+	// Level restored when verbose logging is toggled off
+	let levelBeforeVerbose = null;
+	const toggleVerbose = () => {
+		if (levelBeforeVerbose === null) {
+			levelBeforeVerbose = currentMinLevel;
+			setLevel(reconfigureOn.verboseLevel ?? "debug");
+		} else {
+			setLevel(levelBeforeVerbose);
+			levelBeforeVerbose = null;
 		}
+		console.info(`[deadslog/system] Log level set to ${currentMinLevel}`);
 	};
 
-	/**
-	 * Logger instance with logging methods for various levels.
-	 *
-	 * @typedef {Object} LoggerInstance
-	 * @property {(msg: any) => void} trace - Log a trace-level message.
-	 * @property {(msg: any) => void} debug - Log a debug-level message.
-	 * @property {(msg: any) => void} info - Log an info-level message.
-	 * @property {(msg: any) => void} success - Log a success-level message.
-	 * @property {(msg: any) => void} warn - Log a warning-level message.
-	 * @property {(msg: any) => void} error - Log an error-level message.
-	 * @property {(msg: any) => void} fatal - Log a fatal-level message.
-	 * @property  {() => Promise<void>} flush - Flush all queued log messages to file.
-	 * @property  {() => Promise<void>} destroy - Clean up resources and close the logger.
-	 * @property {(msg: any) => void} getMetrics - Get current file writing operations metrics of the logger.
-	 */
+	const detachTriggers = reconfigureOn
+		? attachReconfigureTriggers(reconfigureOn, {
+				onSignal: toggleVerbose,
+				onConfig: reconfigure,
+			})
+		: null;
+
+	// Records logged before the query are searched too, including rotated files being archived
+	async function* queryFlushed(logFilePath, options) {
+		await LoggerInstance.flush();
+		await Promise.all(outputs.map(({ transport }) => transport.idle?.()));
+		yield* queryLogs(logFilePath, options);
+	}
+
 	const LoggerInstance = {
-		trace: (msg) => log("trace", msg),
-		debug: (msg) => log("debug", msg),
-		info: (msg) => log("info", msg),
-		success: (msg) => log("success", msg),
-		warn: (msg) => log("warn", msg),
-		error: (msg) => log("error", msg),
-		fatal: (msg) => log("fatal", msg),
+		...levelMethods(rootView),
+		...timerMethods(rootView),
+		child: childFactory(rootView),
+		runWithContext,
+		captureConsole: consoleCapturer(rootView),
+		releaseConsole: () => {
+			releaseConsole(LoggerInstance);
+		},
+		setLevel,
+		setFilters,
+		reconfigure,
 		flush: async () => {
-			if (!fileStream || LoggerInstance._isFlushing) return;
-			LoggerInstance._isFlushing = true;
-			try {
-				while (writeQueue.length > 0) {
-					const pendingWrites = [...writeQueue];
-					writeQueue.length = 0;
-					await Promise.allSettled(
-						pendingWrites.map(async ({ message }) => {
-							try {
-								return await writeToFile(message);
-							} catch (err) {
-								console.error("[deadslog/system] Flush write error:", err);
-							}
-						}),
-					);
-				}
-			} finally {
-				LoggerInstance._isFlushing = false;
-			}
+			await flushRepeats();
+			await Promise.all(
+				outputs.map(async ({ name, transport }) => {
+					try {
+						await transport.flush?.();
+					} catch (err) {
+						console.error(
+							`[deadslog/system] Error flushing transport "${name}":`,
+							err,
+						);
+					}
+				}),
+			);
 		},
 		destroy: async () => {
-			LoggerInstance._isDestroyed = true;
-			if (LoggerInstance._isDestroyed) {
-				try {
-					await LoggerInstance.flush();
-					if (fileStream) {
-						await new Promise((resolve, reject) => {
-							fileStream.end((err) => (err ? reject(err) : resolve()));
-						});
-						fileStream = null;
-					}
-					activeLoggers.delete(LoggerInstance);
-				} catch (error) {
-					console.error("[deadslog/system] Error during destroy:", error);
-					throw error;
-				} finally {
-					LoggerInstance._isDestroyed = false;
+			try {
+				releaseConsole(LoggerInstance);
+				detachTriggers?.();
+				await reconfiguration;
+				await flushRepeats();
+				for (const output of outputs) {
+					await closeTransport(output);
 				}
+				activeLoggers.delete(LoggerInstance);
+				unregisterCrashHandler(LoggerInstance);
+			} catch (error) {
+				console.error("[deadslog/system] Error during destroy:", error);
+				throw error;
 			}
 		},
+		query: (options = {}) => {
+			validateQueryOptions(options);
+			const { options: fileOptions } = builtinOutputs.file;
+			const logFilePath = fileOptions.enabled
+				? fileOptions.logFilePath
+				: transports.find((spec) => spec.type === "file")?.logFilePath;
+			if (!logFilePath) throw new Error("query requires a file output.");
+			return queryFlushed(logFilePath, options);
+		},
 		getMetrics: () => {
-			if (!fileOutput.enabled)
-				return "fileOutput is disabled. No metrics available";
+			const transportMetrics = outputs
+				.filter(({ transport }) => typeof transport.getMetrics === "function")
+				.map(({ name, transport }) => ({ name, ...transport.getMetrics() }));
+			const throttled = keepSample || withinRateLimit || deduplicator;
+			if (transportMetrics.length === 0 && !throttled && !durationHistogram)
+				return "No transport reports metrics. No metrics available";
 			return {
-				...metrics,
-				currentQueueSize: writeQueue.length,
-				isProcessingQueue,
-				isRotating,
-				isFlushing: LoggerInstance._isFlushing || false,
+				...transportMetrics[0],
+				suppressed: Object.fromEntries(
+					Object.entries(suppressed).map(([reason, counts]) => [
+						reason,
+						{ ...counts },
+					]),
+				),
+				...(durationHistogram && { durations: durationHistogram.summary() }),
+				transports: transportMetrics,
 			};
 		},
 	};
 
+	/**
+	 * Logs an uncaught exception or unhandled rejection at the fatal level.
+	 * Sampling, rate limiting and duplicate suppression do not apply.
+	 * @param {any} error - The error, or the reason of the rejection.
+	 * @param {string} event - "uncaughtException" or "unhandledRejection".
+	 */
+	const logFatal = (error, event) => {
+		const summary = deduplicator?.flush();
+		if (summary) dispatch(summary);
+		const context = contextStorage.getStore();
+		let record = createRecord(
+			"fatal",
+			event === "unhandledRejection"
+				? "Unhandled rejection"
+				: "Uncaught exception",
+			context,
+			rootView.bindings,
+			{ err: error },
+			rootView.namespace,
+		);
+		record = serializeErrors(record);
+		if (redactRecord) record = redactRecord(record);
+		dispatch(record, context);
+	};
+
 	activeLoggers.add(LoggerInstance);
 	attachGlobalCleanup();
+	registerCrashHandler(LoggerInstance, {
+		events: [
+			...(handleExceptions ? ["uncaughtException"] : []),
+			...(handleRejections ? ["unhandledRejection"] : []),
+		],
+		logFatal,
+		drainSync: () => {
+			for (const { transport } of outputs) transport.drainSync?.();
+		},
+		onFatal: Array.isArray(onFatal) ? onFatal : [onFatal],
+		exitCode,
+	});
 
 	return LoggerInstance;
 };
 
+/**
+ * Searches a log file and its rotated files, decompressing archives.
+ * @see queryLogs
+ */
+deadslog.query = queryLogs;
+
+/**
+ * Adapts a formatter of the `(level, message)` form.
+ * @see legacyFormatter
+ */
+deadslog.legacyFormatter = legacyFormatter;
+
 export default deadslog;
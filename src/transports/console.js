@@ -0,0 +1,99 @@
+/**
+ * Console transport for deadslog.
+ * Prints log lines to the console, as formatted lines, pretty records for development
+ * or JSON.
+ *
+ * @module deadslog/transports/console
+ */
+
+import { jsonFormatter } from "../utils/formatters.js";
+import { colorMap, defaultLevels } from "../utils/levels.js";
+import { namespaceColor } from "../utils/namespaces.js";
+import {
+	createPrettyFormatter,
+	validatePrettyOptions,
+} from "../utils/pretty.js";
+
+/**
+ * Valid output modes of the console transport.
+ * @constant {string[]}
+ */
+export const validConsoleModes = ["plain", "pretty", "json"];
+
+/**
+ * Validates console transport options.
+ * @param {Object} options - The console transport options.
+ * @param {string} [name="consoleOutput"] - The option name used in error messages.
+ */
+export const validateConsoleOptions = (options, name = "consoleOutput") => {
+	if (typeof options.coloredCoding !== "undefined")
+		if (typeof options.coloredCoding !== "boolean")
+			throw new Error(`${name}.coloredCoding must be a boolean.`);
+	if (typeof options.mode !== "undefined") {
+		if (!validConsoleModes.includes(options.mode))
+			throw new Error(
+				`Invalid value for ${name}.mode: "${options.mode}". ` +
+					`Valid values are: ${validConsoleModes.join(", ")}.`,
+			);
+	}
+	if (typeof options.pretty !== "undefined")
+		validatePrettyOptions(options.pretty, `${name}.pretty`);
+};
+
+/**
+ * Colors the level of a log line, and its namespace if the record has one.
+ * Lines not containing the level are colored with the default color.
+ * @param {string} line - The formatted line.
+ * @param {{level: string, namespace?: string}} record - The log record.
+ * @param {Object<string, Function>} [colors] - Color functions keyed by level.
+ * @returns {string} - The colored line.
+ */
+export const colorizeLine = (line, record, colors = colorMap) => {
+	const levelStr = record.level.toUpperCase();
+	const levelIndex = line.indexOf(levelStr);
+	if (levelIndex === -1) return colors.default(line);
+	const before = line.slice(0, levelIndex);
+	let after = line.slice(levelIndex + levelStr.length);
+	const colorFn = colors[record.level] || colors.default;
+	if (typeof record.namespace === "string") {
+		after = after.replace(record.namespace, (namespace) =>
+			namespaceColor(namespace)(namespace),
+		);
+	}
+	return before + colorFn(levelStr) + after;
+};
+
+/**
+ * Creates a transport printing log lines to the console.
+ * In "plain" mode, the formatted line is printed. The "pretty" mode renders records for
+ * development, with multi-line objects and highlighted stack traces, and the "json" mode
+ * prints them as NDJSON; both ignore the formatter.
+ * @param {Object} options - The console transport options.
+ * @param {boolean} [options.coloredCoding] - Whether to color the level in the output. The pretty mode is colored unless it is `false`.
+ * @param {string} [options.mode="plain"] - Output mode: "plain", "pretty" or "json".
+ * @param {{depth?: number, maxStringLength?: number, maxArrayLength?: number}} [options.pretty] - Options of the pretty mode.
+ * @param {Object} [settings] - Settings of the logger owning the transport.
+ * @param {Object<string, Function>} [settings.colors] - Color functions keyed by level, including custom levels.
+ * @param {Object<string, number>} [settings.levels] - Values of the logger's levels, including custom levels.
+ * @returns {Object} - The console transport.
+ */
+export const createConsoleTransport = (
+	{ coloredCoding, mode = "plain", pretty } = {},
+	{ colors = colorMap, levels = defaultLevels } = {},
+) => {
+	const prettyFormat =
+		mode === "pretty" &&
+		createPrettyFormatter(pretty, {
+			colored: coloredCoding !== false,
+			colors,
+			levels: Object.keys(levels),
+		});
+
+	const write = (line, record) => {
+		if (mode === "json") console.log(jsonFormatter(record));
+		else if (prettyFormat) console.log(prettyFormat(record));
+		else console.log(coloredCoding ? colorizeLine(line, record, colors) : line);
+	};
+
+	return { name: "console", write };
+};
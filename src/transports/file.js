@@ -0,0 +1,1204 @@
+/**
+ * File transport for deadslog.
+ * Writes log lines to a file through a write queue, with optional size and time-based rotation.
+ *
+ * @module deadslog/transports/file
+ */
+
+import {
+	access,
+	readdir,
+	stat,
+	unlink,
+	rename,
+	writeFile,
+} from "node:fs/promises";
+import { appendFileSync, closeSync, openSync } from "node:fs";
+import { resolve, dirname, join } from "node:path";
+import { Worker } from "node:worker_threads";
+import {
+	existsWithRetry,
+	statWithRetry,
+	mkdirWithRetry,
+	writeFileWithRetry,
+	createWriteStreamWithRetry,
+} from "../utils/fileHelpers.js";
+import {
+	codecs,
+	compressFile,
+	validateCompressionOptions,
+} from "../utils/compression.js";
+import {
+	rotationIntervals,
+	resolveInterval,
+	periodStart,
+	formatStamp,
+	numberedFilePath,
+	datedFilePath,
+	listRotatedFiles,
+	parseRotatedName,
+} from "../utils/rotation.js";
+import {
+	applyRetention,
+	validateRetentionOptions,
+} from "../utils/retention.js";
+import {
+	DEFAULT_QUEUE_SIZE,
+	createSpool,
+	validateQueueOptions,
+} from "../utils/queue.js";
+
+/**
+ * Valid strategies for handling max log files.
+ * @constant {string[]}
+ */
+const validStrategies = ["deleteOld", "archiveOld"];
+
+/**
+ * Suffix of rotated files waiting to be compressed.
+ * The raw content is kept under this name until its archive is complete.
+ * @constant {string}
+ */
+const PENDING_SUFFIX = ".pending";
+
+/**
+ * Suffix of the spool file holding the lines spilled by the "spillToDisk" policy.
+ * It is kept next to the log file, so that lines left by a crash are replayed at startup.
+ * @constant {string}
+ */
+const SPOOL_SUFFIX = ".spool";
+
+/**
+ * Valid output formats for file logging.
+ * @constant {string[]}
+ */
+export const validFormats = ["text", "json"];
+
+/**
+ * Validates file transport options.
+ * @param {Object} fileOutput - The file transport options.
+ * @param {string} [name="fileOutput"] - The option name used in error messages.
+ */
+export const validateFileOptions = (fileOutput, name = "fileOutput") => {
+	if (!fileOutput.logFilePath)
+		throw new Error("File logging is enabled but no log file path provided.");
+	if (typeof fileOutput.logFilePath !== "string")
+		throw new Error(`${name}.logFilePath must be a string.`);
+	// rotate configuration
+	if (typeof fileOutput.rotate !== "undefined") {
+		if (typeof fileOutput.rotate !== "boolean")
+			throw new Error(`${name}.rotate must be a boolean.`);
+		if (typeof fileOutput.rotateInterval !== "undefined") {
+			const interval = resolveInterval(fileOutput.rotateInterval);
+			if (!Number.isInteger(interval) || interval < 1)
+				throw new Error(
+					`Invalid value for rotateInterval: "${fileOutput.rotateInterval}". ` +
+						`Valid values are: ${Object.keys(rotationIntervals).join(", ")} or a number of milliseconds.`,
+				);
+		}
+		// maxLogSize is optional when rotating on a time interval
+		if (
+			typeof fileOutput.rotateInterval === "undefined" ||
+			typeof fileOutput.maxLogSize !== "undefined"
+		) {
+			if (
+				typeof fileOutput.maxLogSize !== "number" ||
+				fileOutput.maxLogSize < 1
+			)
+				throw new Error("Invalid maxLogSize value for file rotation.");
+		}
+		if (
+			typeof fileOutput.maxLogFiles !== "number" ||
+			fileOutput.maxLogFiles < 1
+		)
+			throw new Error("Invalid maxLogFiles value for file rotation.");
+		if (typeof fileOutput.onMaxLogFilesReached !== "string")
+			throw new Error("Invalid onMaxFilesReached for file rotation.");
+		if (!validStrategies.includes(fileOutput.onMaxLogFilesReached))
+			throw new Error(
+				`Invalid value for onMaxLogFilesReached: "${fileOutput.onMaxLogFilesReached}". ` +
+					`Valid values are: ${validStrategies.join(", ")}.`,
+			);
+		if (typeof fileOutput.compression !== "undefined")
+			validateCompressionOptions(fileOutput.compression, `${name}.compression`);
+	}
+	// retention configuration
+	if (typeof fileOutput.retention !== "undefined")
+		validateRetentionOptions(fileOutput.retention, `${name}.retention`);
+	// queue configuration
+	if (typeof fileOutput.queue !== "undefined")
+		validateQueueOptions(fileOutput.queue, `${name}.queue`);
+	// worker configuration
+	if (typeof fileOutput.worker !== "undefined") {
+		if (typeof fileOutput.worker !== "boolean")
+			throw new Error(`${name}.worker must be a boolean.`);
+	}
+	// format configuration
+	if (typeof fileOutput.format !== "undefined") {
+		if (!validFormats.includes(fileOutput.format))
+			throw new Error(
+				`Invalid value for ${name}.format: "${fileOutput.format}". ` +
+					`Valid values are: ${validFormats.join(", ")}.`,
+			);
+	}
+};
+
+/**
+ * Creates the log file and its directory if needed.
+ * @param {string} path - Path of the log file.
+ * @returns {string} - The absolute path of the log file.
+ * @throws {Error} If the directory or the file cannot be created.
+ */
+const initLogFile = (path) => {
+	const logFilePath = resolve(path);
+	const logFileDir = dirname(logFilePath);
+	try {
+		if (!existsWithRetry(logFileDir)) {
+			mkdirWithRetry(logFileDir);
+		}
+		if (!statWithRetry(logFileDir).isDirectory()) {
+			throw new Error(`Path ${logFileDir} is not a directory.`);
+		}
+		if (!existsWithRetry(logFilePath)) {
+			writeFileWithRetry(logFilePath, "");
+		}
+	} catch (err) {
+		throw new Error(
+			`Failed to initialize log file or directory: ${err.message}. Ensure the paths are valid and writable.`,
+		);
+	}
+	return logFilePath;
+};
+
+/**
+ * Creates a transport writing log lines to a file.
+ * @param {Object} fileOutput - The file transport options.
+ * @param {string} fileOutput.logFilePath - Path to the log file.
+ * @param {boolean} [fileOutput.rotate] - Whether to rotate log files.
+ * @param {number} [fileOutput.maxLogSize] - Maximum size of a log file before rotation.
+ * @param {string|number} [fileOutput.rotateInterval] - Rotate on time boundaries: "hourly", "daily" or a number of milliseconds.
+ * @param {number} [fileOutput.maxLogFiles] - Maximum number of log files to retain.
+ * @param {string} [fileOutput.onMaxLogFilesReached] - Strategy for handling max log files.
+ * @param {{codec?: string, level?: number}} [fileOutput.compression] - Codec ("gzip" or "brotli") and level used by the "archiveOld" strategy.
+ * @param {{maxAgeDays?: number, maxTotalSize?: number, onPrune?: (report: import("../utils/retention.js").RetentionReport) => void}} [fileOutput.retention] - Limits on the age and total size of rotated files, applied at startup and after each rotation.
+ * @param {{maxSize?: number, maxBytes?: number, policy?: string, onShed?: (event: {policy: string, queueSize: number, queueBytes: number}) => void}} [fileOutput.queue] - Limits of the write queue and policy for messages written to a full queue: "dropNewest" (default), "dropOldest", "block" or "spillToDisk".
+ * @param {boolean} [fileOutput.worker] - Whether to write from a worker thread.
+ * @returns {Object} - The file transport.
+ */
+export const createFileTransport = (fileOutput) => {
+	if (fileOutput.worker) return createWorkerFileTransport(fileOutput);
+
+	// initialization
+	let logFilePath;
+	let fileStream = null;
+	let fileSystemFailures = 0;
+	let circuitOpen = false;
+	const circuitResetTimeout = 30000;
+	let isRotating = false;
+	let isProcessingQueue = false;
+	const writeQueue = [];
+	// Message taken from the queue, until it is handed to the stream
+	let dequeued = null;
+	// Settles once the queue has handed its last message to the stream
+	let queueDrained = Promise.resolve();
+	let isFlushing = false;
+	// Once drained synchronously, lines are appended synchronously through this descriptor
+	let syncFd = null;
+
+	const {
+		maxSize = DEFAULT_QUEUE_SIZE,
+		maxBytes = Number.POSITIVE_INFINITY,
+		policy = "dropNewest",
+		onShed,
+	} = fileOutput.queue ?? {};
+	let queuedBytes = 0;
+	// Writes waiting for room in the queue, with the "block" policy
+	const blockedWrites = [];
+	// Overflowing lines, with the "spillToDisk" policy
+	const spool =
+		policy === "spillToDisk"
+			? createSpool(`${resolve(fileOutput.logFilePath)}${SPOOL_SUFFIX}`)
+			: null;
+	// Replay of the spool, while lines are read back into the queue
+	let spoolReplay = null;
+	let isShedding = false;
+
+	// metrics
+	const metrics = {
+		messagesLogged: 0,
+		bytesWritten: 0,
+		queueHighWaterMark: 0,
+		writeFailures: 0,
+		averageWriteTime: 0,
+		rotations: 0,
+		filesPruned: 0,
+		overflows: { dropNewest: 0, dropOldest: 0, block: 0, spillToDisk: 0 },
+		lastWriteTime: 0,
+		writeLatencies: [],
+	};
+
+	logFilePath = initLogFile(fileOutput.logFilePath);
+	const logFileDir = dirname(logFilePath);
+	fileStream = createWriteStreamWithRetry(logFilePath, { flags: "a" });
+	fileStream.on("error", (err) => {
+		console.error("[deadslog/system] Logging stream error:", err);
+	});
+
+	const rotationInterval = fileOutput.rotateInterval
+		? resolveInterval(fileOutput.rotateInterval)
+		: null;
+	// Start of the rotation period whose lines the active file holds
+	let currentPeriod = null;
+	let rotationTimer = null;
+	if (fileOutput.rotate && rotationInterval) {
+		const { size, mtimeMs } = statWithRetry(logFilePath);
+		currentPeriod = periodStart(
+			size > 0 ? mtimeMs : Date.now(),
+			rotationInterval,
+		);
+	}
+
+	const compression = { codec: "gzip", ...fileOutput.compression };
+	// Compression of the last archived file, which later rotations wait for
+	let pendingArchive = Promise.resolve();
+	let isArchiving = false;
+
+	const exists = async (path) => {
+		try {
+			await access(path);
+			return true;
+		} catch {
+			return false;
+		}
+	};
+
+	const archiveFile = async (pendingPath, archivePath) => {
+		const codec = Object.keys(codecs).find((key) =>
+			archivePath.endsWith(codecs[key].extension),
+		);
+		const level = codec === compression.codec ? compression.level : undefined;
+		try {
+			if (!(await exists(archivePath))) {
+				await compressFile(pendingPath, archivePath, { codec, level });
+			}
+			await unlink(pendingPath);
+		} catch (err) {
+			console.error("[deadslog/system] Error archiving rotated log:", err);
+		}
+	};
+
+	// Finish archives interrupted by a crash, whose raw content is still pending
+	const recoverPendingArchives = async () => {
+		let entries;
+		try {
+			entries = await readdir(logFileDir);
+		} catch (err) {
+			console.error("[deadslog/system] Error recovering archives:", err);
+			return;
+		}
+		for (const fileName of entries) {
+			if (!fileName.endsWith(PENDING_SUFFIX)) continue;
+			const archiveName = fileName.slice(0, -PENDING_SUFFIX.length);
+			if (!parseRotatedName(logFilePath, archiveName)?.archived) continue;
+			await archiveFile(
+				join(logFileDir, fileName),
+				join(logFileDir, archiveName),
+			);
+		}
+	};
+
+	const shiftNumberedFiles = async (suffix) => {
+		const oldest = numberedFilePath(
+			logFilePath,
+			fileOutput.maxLogFiles,
+			suffix,
+		);
+		try {
+			await unlink(oldest);
+		} catch (err) {
+			if (err.code !== "ENOENT") throw err;
+		}
+
+		for (let i = fileOutput.maxLogFiles - 1; i >= 1; i--) {
+			const src = numberedFilePath(logFilePath, i, suffix);
+			const dest = numberedFilePath(logFilePath, i + 1, suffix);
+			try {
+				await rename(src, dest);
+			} catch (err) {
+				if (err.code !== "ENOENT") throw err;
+			}
+		}
+
+		return numberedFilePath(logFilePath, 1, suffix);
+	};
+
+	const nextDatedFile = async (suffix) => {
+		const stamp = formatStamp(currentPeriod, rotationInterval);
+		let index = 0;
+		const taken = async (path) =>
+			(await exists(path)) || (await exists(`${path}${PENDING_SUFFIX}`));
+		while (await taken(datedFilePath(logFilePath, stamp, index, suffix))) {
+			index++;
+		}
+		return datedFilePath(logFilePath, stamp, index, suffix);
+	};
+
+	const pruneDatedFiles = async () => {
+		const dated = (await listRotatedFiles(logFilePath)).filter(
+			(file) => file.stamp,
+		);
+		const excess = dated.length - fileOutput.maxLogFiles;
+		for (const file of dated.slice(0, Math.max(excess, 0))) {
+			try {
+				await unlink(file.path);
+			} catch (err) {
+				if (err.code !== "ENOENT") throw err;
+			}
+		}
+	};
+
+	const enforceRetention = async (trigger) => {
+		if (!fileOutput.retention) return;
+		try {
+			const report = await applyRetention(
+				logFilePath,
+				fileOutput.retention,
+				trigger,
+			);
+			if (report.deleted.length === 0) return;
+			metrics.filesPruned += report.deleted.length;
+			fileOutput.retention.onPrune?.(report);
+		} catch (err) {
+			console.error("[deadslog/system] Error applying log retention:", err);
+		}
+	};
+
+	const rotateLogs = async () => {
+		if (isRotating) return;
+		isRotating = true;
+
+		try {
+			let stats;
+			try {
+				stats = await stat(logFilePath);
+			} catch (err) {
+				if (err.code === "ENOENT") return; // File doesn't exist, no need to rotate
+				throw err;
+			}
+
+			const now = Date.now();
+			const sizeExceeded =
+				typeof fileOutput.maxLogSize === "number" &&
+				stats.size >= fileOutput.maxLogSize;
+			const periodEnded =
+				rotationInterval !== null &&
+				periodStart(now, rotationInterval) !== currentPeriod;
+			if (!sizeExceeded && !periodEnded) return;
+
+			// Nothing was logged during the period, so there is nothing to rotate
+			if (stats.size === 0) {
+				currentPeriod = periodStart(now, rotationInterval);
+				return;
+			}
+
+			const archive = fileOutput.onMaxLogFilesReached === "archiveOld";
+			const suffix = archive ? codecs[compression.codec].extension : "";
+			// Shifting numbered files must not race the previous compression or retention run
+			await pendingArchive;
+			const rotatedPath = rotationInterval
+				? await nextDatedFile(suffix)
+				: await shiftNumberedFiles(suffix);
+
+			// Renaming is atomic, so the rotated content is never lost, even if a
+			// crash interrupts the compression below
+			const pendingPath = `${rotatedPath}${PENDING_SUFFIX}`;
+			await rename(logFilePath, archive ? pendingPath : rotatedPath);
+
+			const previousStream = fileStream;
+			await writeFile(logFilePath, "", "utf8");
+			fileStream = createWriteStreamWithRetry(logFilePath, { flags: "a" });
+			fileStream.on("error", (err) => {
+				console.error(
+					"[deadslog/system] Logging stream error after rotation:",
+					err,
+				);
+			});
+			metrics.rotations++;
+			if (rotationInterval) currentPeriod = periodStart(now, rotationInterval);
+
+			if (archive) {
+				// Compress in the background while the queue keeps writing to the new file
+				isArchiving = true;
+				pendingArchive = (async () => {
+					await new Promise((resolve) => previousStream.end(resolve));
+					await archiveFile(pendingPath, rotatedPath);
+					if (rotationInterval) await pruneDatedFiles();
+					await enforceRetention("rotation");
+				})()
+					.catch((err) => {
+						console.error("[deadslog/system] Error during log rotation:", err);
+					})
+					.finally(() => {
+						isArchiving = false;
+					});
+			} else {
+				previousStream.end();
+				if (rotationInterval) await pruneDatedFiles();
+				await enforceRetention("rotation");
+			}
+		} catch (err) {
+			console.error("[deadslog/system] Error during log rotation:", err);
+		} finally {
+			isRotating = false;
+			processWriteQueue();
+		}
+	};
+
+	// Rotate on period boundaries even when nothing is being written
+	const scheduleRotation = () => {
+		const now = Date.now();
+		const delay = periodStart(now, rotationInterval) + rotationInterval - now;
+		rotationTimer = setTimeout(async () => {
+			await rotateLogs();
+			scheduleRotation();
+		}, delay);
+		rotationTimer.unref();
+	};
+
+	if (fileOutput.rotate && rotationInterval) scheduleRotation();
+	pendingArchive = (async () => {
+		if (fileOutput.rotate) await recoverPendingArchives();
+		await enforceRetention("startup");
+	})();
+
+	const processWriteQueue = async () => {
+		if (isProcessingQueue) return;
+		isProcessingQueue = true;
+		let markDrained;
+		queueDrained = new Promise((resolve) => {
+			markDrained = resolve;
+		});
+
+		while (writeQueue.length > 0) {
+			const { message, bytes, resolve, reject } = writeQueue.shift();
+			dequeued = message;
+			queuedBytes -= bytes;
+			refillQueue();
+			if (fileOutput.rotate) await rotateLogs();
+			dequeued = null;
+			// drainSync() wrote the message while the rotation was pending
+			if (syncFd !== null) {
+				resolve();
+				continue;
+			}
+			try {
+				if (!fileStream || fileStream.writableEnded) {
+					console.warn(
+						"[deadslog/system] Attempted to write to closed file stream.",
+					);
+					reject(new Error("File stream is closed."));
+					continue;
+				}
+
+				const stream = fileStream;
+				const accepted = fileStream.write(`${message}\n`, (err) => {
+					// Lines buffered by the stream were written by drainSync()
+					if (err && syncFd !== null) {
+						resolve();
+						return;
+					}
+					if (err) {
+						console.error("[deadslog/system] Error writing to log file:", err);
+						fileSystemFailures++;
+
+						if (fileSystemFailures >= 5) {
+							circuitOpen = true;
+							console.error(
+								"[deadslog/system] Circuit breaker opened due to file system failures",
+							);
+
+							// Try to reset circuit after delay
+							setTimeout(() => {
+								console.info(
+									"[deadslog/system] Attempting to reset circuit breaker",
+								);
+								circuitOpen = false;
+								fileSystemFailures = 0;
+
+								// Try to reopen the stream
+								try {
+									if (fileStream) fileStream.end();
+									fileStream = createWriteStreamWithRetry(logFilePath, {
+										flags: "a",
+									});
+									fileStream.on("error", (err) => {
+										console.error(
+											"[deadslog/system] Logging stream error:",
+											err,
+										);
+										fileSystemFailures++;
+									});
+									console.info(
+										"[deadslog/system] Circuit breaker reset successful",
+									);
+								} catch (err) {
+									console.error(
+										"[deadslog/system] Failed to reset circuit breaker:",
+										err,
+									);
+									// Will try again on next write attempt
+								}
+							}, circuitResetTimeout); // Wait 30 seconds before resetting
+						}
+
+						reject(err);
+						return;
+					}
+					fileSystemFailures = 0;
+					resolve();
+				});
+				// Let the stream catch up, so that bursts build up in the queue
+				if (!accepted) await waitForDrain(stream);
+			} catch (err) {
+				console.error(
+					"[deadslog/system] Unexpected error during log write:",
+					err,
+				);
+				fileSystemFailures++;
+				reject(err);
+			}
+		}
+
+		isProcessingQueue = false;
+		if (!hasOverflow()) isShedding = false;
+		markDrained();
+	};
+
+	const byteSize = (message) => Buffer.byteLength(message) + 1;
+
+	// An empty queue always has room, even for a message larger than maxBytes
+	const hasRoom = (bytes) =>
+		writeQueue.length === 0 ||
+		(writeQueue.length < maxSize && queuedBytes + bytes <= maxBytes);
+
+	const hasOverflow = () =>
+		blockedWrites.length > 0 || spool?.size > 0 || spoolReplay !== null;
+
+	// Counts the messages shed by the full queue and reports the start of shedding
+	const shed = (count = 1) => {
+		metrics.overflows[policy] += count;
+		if (isShedding) return;
+		isShedding = true;
+		try {
+			onShed?.({
+				policy,
+				queueSize: writeQueue.length,
+				queueBytes: queuedBytes,
+			});
+		} catch (err) {
+			console.error("[deadslog/system] Error in queue onShed handler:", err);
+		}
+	};
+
+	const waitForDrain = (stream) =>
+		new Promise((resolve) => {
+			const done = () => {
+				stream.off("drain", done);
+				stream.off("close", done);
+				stream.off("error", done);
+				resolve();
+			};
+			stream.on("drain", done);
+			stream.on("close", done);
+			stream.on("error", done);
+		});
+
+	// Failures are reported and counted in the metrics by the queue
+	const enqueue = (line) => {
+		writeToFile(line, Date.now()).catch(() => {});
+	};
+
+	const replaySpool = () => {
+		spoolReplay = (async () => {
+			while (spool.size > 0 && writeQueue.length < maxSize) {
+				const lines = await spool.shift(maxSize - writeQueue.length);
+				for (const line of lines) enqueue(line);
+			}
+		})().finally(() => {
+			spoolReplay = null;
+			// Lines spilled during the last read are replayed once there is room
+			if (spool.size > 0 && writeQueue.length === 0) replaySpool();
+		});
+	};
+
+	// Moves blocked or spilled writes into the queue as it empties, in order
+	const refillQueue = () => {
+		while (
+			blockedWrites.length > 0 &&
+			hasRoom(byteSize(blockedWrites[0].line))
+		) {
+			const { line, resolve } = blockedWrites.shift();
+			enqueue(line);
+			resolve();
+		}
+		if (spool && spool.size > 0 && spoolReplay === null) replaySpool();
+	};
+
+	const writeMetrics = (message) => {
+		metrics.messagesLogged++;
+		metrics.bytesWritten += message.length + 1;
+		metrics.queueHighWaterMark = Math.max(
+			metrics.queueHighWaterMark,
+			writeQueue.length,
+		);
+	};
+
+	const latencyMetrics = (startTime) => {
+		const latency = Date.now() - startTime;
+		metrics.writeLatencies.push(latency);
+		if (metrics.writeLatencies.length > 100) {
+			metrics.writeLatencies.shift();
+		}
+		metrics.averageWriteTime =
+			metrics.writeLatencies.reduce((a, b) => a + b, 0) /
+			metrics.writeLatencies.length;
+		metrics.lastWriteTime = Date.now();
+	};
+
+	const writeToFile = (message, startTime) => {
+		return new Promise((resolve, reject) => {
+			const bytes = byteSize(message);
+			queuedBytes += bytes;
+			writeQueue.push({
+				message,
+				bytes,
+				resolve: () => {
+					writeMetrics(message);
+					latencyMetrics(startTime);
+					resolve();
+				},
+				reject: (err) => {
+					metrics.writeFailures++;
+					reject(err);
+				},
+			});
+			processWriteQueue();
+		});
+	};
+
+	const write = (line) => {
+		if (syncFd !== null) {
+			try {
+				appendFileSync(syncFd, `${line}\n`, "utf8");
+				writeMetrics(line);
+			} catch (err) {
+				metrics.writeFailures++;
+				console.error("[deadslog/system] Error writing to log file:", err);
+			}
+			return;
+		}
+
+		if (circuitOpen) {
+			return Promise.reject(
+				new Error("Circuit breaker open: Too many file system failures"),
+			);
+		}
+
+		if (!fileStream) {
+			console.warn(
+				"[deadslog/system] Attempted to write to log file but file stream is closed.",
+			);
+			return Promise.reject(new Error("File stream is closed."));
+		}
+
+		const bytes = byteSize(line);
+		// Once writes are blocked or spilled, later ones follow them to keep the order
+		if (policy === "block" && (blockedWrites.length > 0 || !hasRoom(bytes))) {
+			shed();
+			return new Promise((resolve) => {
+				blockedWrites.push({ line, resolve });
+			});
+		}
+		if (policy === "spillToDisk" && (hasOverflow() || !hasRoom(bytes))) {
+			shed();
+			spool.push(line);
+			return;
+		}
+		if (!hasRoom(bytes)) {
+			if (policy === "dropNewest") {
+				shed();
+				return;
+			}
+			// Every message dropped to make room counts as an overflow
+			let evicted = 0;
+			let freedBytes = 0;
+			while (
+				evicted < writeQueue.length &&
+				(writeQueue.length - evicted >= maxSize ||
+					queuedBytes - freedBytes + bytes > maxBytes)
+			) {
+				freedBytes += writeQueue[evicted].bytes;
+				evicted++;
+			}
+			shed(evicted);
+			writeQueue.splice(0, evicted);
+			queuedBytes -= freedBytes;
+		}
+
+		enqueue(line);
+	};
+
+	const flush = async () => {
+		if (!fileStream || isFlushing) return;
+		isFlushing = true;
+		try {
+			while (writeQueue.length > 0 || hasOverflow()) {
+				if (writeQueue.length === 0) {
+					refillQueue();
+					if (spoolReplay) await spoolReplay;
+					continue;
+				}
+				const pendingWrites = [...writeQueue];
+				writeQueue.length = 0;
+				queuedBytes = 0;
+				await Promise.allSettled(
+					pendingWrites.map(async ({ message }) => {
+						try {
+							return await writeToFile(message);
+						} catch (err) {
+							console.error("[deadslog/system] Flush write error:", err);
+						}
+					}),
+				);
+			}
+			// Write callbacks run in order, so an empty write settles after every earlier line
+			await queueDrained;
+			await new Promise((resolve) => {
+				if (!fileStream || fileStream.writableEnded) resolve();
+				else fileStream.write("", resolve);
+			});
+		} finally {
+			isFlushing = false;
+		}
+	};
+
+	/**
+	 * Synchronously appends every line not yet written to the file: those buffered by the
+	 * stream, the queued and the blocked ones. Lines spilled to disk stay in the spool, which
+	 * the next transport writing to the same file replays.
+	 * Later lines are appended synchronously too. Used when the process is about to exit.
+	 */
+	const drainSync = () => {
+		clearTimeout(rotationTimer);
+		rotationTimer = null;
+		if (syncFd !== null) return;
+		const pending = [];
+		// The stream writes one chunk at a time, and the rest waits in its buffer
+		for (const { chunk } of fileStream?.writableBuffer ?? [])
+			pending.push(chunk.toString());
+		if (dequeued !== null) pending.push(`${dequeued}\n`);
+		for (const { message } of writeQueue) pending.push(`${message}\n`);
+		for (const { line } of blockedWrites) pending.push(`${line}\n`);
+
+		try {
+			syncFd = openSync(logFilePath, "a");
+			appendFileSync(syncFd, pending.join(""), "utf8");
+		} catch (err) {
+			console.error("[deadslog/system] Error draining log file:", err);
+		}
+		fileStream?.destroy();
+		fileStream = null;
+		for (const { resolve } of writeQueue) resolve();
+		for (const { resolve } of blockedWrites) resolve();
+		writeQueue.length = 0;
+		blockedWrites.length = 0;
+		queuedBytes = 0;
+	};
+
+	const close = async () => {
+		clearTimeout(rotationTimer);
+		rotationTimer = null;
+		if (syncFd !== null) {
+			closeSync(syncFd);
+			syncFd = null;
+			return;
+		}
+		await flush();
+		// The message being written, possibly waiting on a rotation, is no longer queued
+		await queueDrained;
+		if (fileStream) {
+			await new Promise((resolve, reject) => {
+				fileStream.end((err) => (err ? reject(err) : resolve()));
+			});
+			fileStream = null;
+		}
+		await spool?.close();
+		await pendingArchive;
+	};
+
+	const getMetrics = () => ({
+		...metrics,
+		currentQueueSize: writeQueue.length,
+		currentQueueBytes: queuedBytes,
+		blockedWrites: blockedWrites.length,
+		spooledMessages: spool?.size ?? 0,
+		isProcessingQueue,
+		isRotating,
+		isArchiving,
+		isFlushing,
+	});
+
+	// Settles once background archiving and retention are done
+	const idle = () => pendingArchive;
+
+	// Lines spilled by a process that exited before replaying them
+	if (spool?.size > 0) replaySpool();
+
+	return { name: "file", write, flush, close, getMetrics, idle, drainSync };
+};
+
+/**
+ * Creates a file transport whose writing, rotation and archiving run in a worker thread.
+ * Lines wait on the main thread while the worker writes the previous batch, and are then
+ * posted to it in one batch. The write queue limits and policy apply to these waiting
+ * lines, so a stalled worker does not grow the memory of the main thread. The worker is
+ * only kept alive while batches are unacknowledged, so a process exiting on its own still
+ * gets every line written. `getMetrics()` returns the metrics last reported by the worker,
+ * along with those of the queue.
+ * @param {Object} fileOutput - The file transport options, see `createFileTransport`.
+ * @returns {Object} - The file transport.
+ */
+const createWorkerFileTransport = (fileOutput) => {
+	const { retention } = fileOutput;
+	const {
+		maxSize = DEFAULT_QUEUE_SIZE,
+		maxBytes = Number.POSITIVE_INFINITY,
+		policy = "dropNewest",
+		onShed,
+	} = fileOutput.queue ?? {};
+	// Invalid paths fail here, like they do without a worker, rather than in the worker
+	const logFilePath = initLogFile(fileOutput.logFilePath);
+	const worker = new Worker(new URL("./fileWorker.js", import.meta.url), {
+		workerData: {
+			// Callbacks cannot be cloned to the worker, which reports events instead.
+			// The queue is bounded here, as the worker only gets one batch at a time.
+			options: {
+				...fileOutput,
+				retention: retention && { ...retention, onPrune: undefined },
+				queue: undefined,
+			},
+			events: {
+				prune: typeof retention?.onPrune === "function",
+			},
+		},
+	});
+	worker.unref();
+
+	let metrics = {};
+	// Lines waiting for the batch being written by the worker
+	let batch = [];
+	let batchBytes = 0;
+	let batchTimer = null;
+	// Settles once the batch being written is acknowledged, successfully or not
+	let writing = null;
+	// Writes waiting for room in the queue, with the "block" policy
+	const blockedWrites = [];
+	// Overflowing lines, with the "spillToDisk" policy
+	const spool =
+		policy === "spillToDisk"
+			? createSpool(`${logFilePath}${SPOOL_SUFFIX}`)
+			: null;
+	// Replay of the spool, while lines are read back into the queue
+	let spoolReplay = null;
+	let isShedding = false;
+	const overflows = { dropNewest: 0, dropOldest: 0, block: 0, spillToDisk: 0 };
+	let isClosed = false;
+	let awaitingIdle = false;
+	let failure = null;
+	let nextId = 0;
+	const requests = new Map();
+	// Once drained synchronously, lines are appended synchronously through this descriptor
+	let syncFd = null;
+
+	const request = (type, payload = {}) => {
+		if (failure) return Promise.reject(failure);
+		return new Promise((resolve, reject) => {
+			const id = nextId++;
+			// Lines are kept until the worker acknowledges them, for drainSync()
+			requests.set(id, { resolve, reject, lines: payload.lines });
+			// Unacknowledged requests keep the process alive until the worker is done
+			worker.ref();
+			worker.postMessage({ type, id, ...payload });
+		});
+	};
+
+	const handlers = {
+		metrics: (message) => {
+			metrics = message.metrics;
+		},
+		prune: (message) => retention.onPrune(message.report),
+		done: (message) => {
+			if (message.metrics) metrics = message.metrics;
+			// Keep the worker alive while it archives in the background
+			if (metrics.isArchiving && !awaitingIdle && !isClosed) {
+				awaitingIdle = true;
+				request("idle")
+					.catch(() => {})
+					.finally(() => {
+						awaitingIdle = false;
+					});
+			}
+			const { resolve, reject } = requests.get(message.id);
+			requests.delete(message.id);
+			if (requests.size === 0) worker.unref();
+			if (message.error) reject(new Error(message.error));
+			else resolve();
+		},
+	};
+
+	worker.on("message", (message) => {
+		try {
+			handlers[message.type](message);
+		} catch (err) {
+			console.error(
+				"[deadslog/system] Error handling file worker message:",
+				err,
+			);
+		}
+	});
+	const fail = (err) => {
+		failure = err;
+		for (const { reject } of requests.values()) reject(err);
+		requests.clear();
+	};
+	worker.on("error", (err) => {
+		console.error("[deadslog/system] File worker error:", err);
+		fail(err);
+	});
+	worker.on("exit", (code) => {
+		if (!isClosed && !failure)
+			fail(new Error(`File worker exited unexpectedly with code ${code}.`));
+	});
+
+	const byteSize = (line) => Buffer.byteLength(line) + 1;
+
+	// An empty queue always has room, even for a line larger than maxBytes
+	const hasRoom = (bytes) =>
+		batch.length === 0 ||
+		(batch.length < maxSize && batchBytes + bytes <= maxBytes);
+
+	const hasOverflow = () =>
+		blockedWrites.length > 0 || spool?.size > 0 || spoolReplay !== null;
+
+	// Counts the lines shed by the full queue and reports the start of shedding
+	const shed = (count = 1) => {
+		overflows[policy] += count;
+		if (isShedding) return;
+		isShedding = true;
+		try {
+			onShed?.({ policy, queueSize: batch.length, queueBytes: batchBytes });
+		} catch (err) {
+			console.error("[deadslog/system] Error in queue onShed handler:", err);
+		}
+	};
+
+	// The batch is posted on the next tick, or once the worker has written the previous one
+	const enqueue = (line) => {
+		batch.push(line);
+		batchBytes += byteSize(line);
+		if (!batchTimer && !writing) batchTimer = setImmediate(sendBatch);
+	};
+
+	const replaySpool = () => {
+		spoolReplay = (async () => {
+			while (spool.size > 0 && batch.length < maxSize) {
+				const lines = await spool.shift(maxSize - batch.length);
+				for (const line of lines) enqueue(line);
+			}
+		})().finally(() => {
+			spoolReplay = null;
+		});
+	};
+
+	// Moves blocked or spilled writes into the queue as it empties, in order
+	const refillQueue = () => {
+		while (
+			blockedWrites.length > 0 &&
+			hasRoom(byteSize(blockedWrites[0].line))
+		) {
+			const { line, resolve } = blockedWrites.shift();
+			enqueue(line);
+			resolve();
+		}
+		if (spool && spool.size > 0 && spoolReplay === null) replaySpool();
+		if (!hasOverflow()) isShedding = false;
+	};
+
+	const sendBatch = () => {
+		clearImmediate(batchTimer);
+		batchTimer = null;
+		if (writing || batch.length === 0 || failure) return;
+		const lines = batch;
+		batch = [];
+		batchBytes = 0;
+		const next = () => {
+			writing = null;
+			if (isClosed || failure) return;
+			refillQueue();
+			sendBatch();
+		};
+		// Failures are reported by the worker
+		writing = request("write", { lines }).then(next, next);
+		refillQueue();
+	};
+
+	// Settles once every queued, blocked and spilled line is acknowledged by the worker
+	const drain = async () => {
+		while (batch.length > 0 || writing || hasOverflow()) {
+			if (failure) throw failure;
+			if (writing) await writing;
+			else if (batch.length > 0) sendBatch();
+			else {
+				refillQueue();
+				if (spoolReplay) await spoolReplay;
+			}
+		}
+		if (failure) throw failure;
+	};
+
+	const write = (line) => {
+		if (syncFd !== null) {
+			try {
+				appendFileSync(syncFd, `${line}\n`, "utf8");
+			} catch (err) {
+				console.error("[deadslog/system] Error writing to log file:", err);
+			}
+			return;
+		}
+
+		if (isClosed || failure) {
+			console.warn(
+				"[deadslog/system] Attempted to write to log file but file stream is closed.",
+			);
+			return Promise.reject(new Error("File stream is closed."));
+		}
+
+		const bytes = byteSize(line);
+		// Once writes are blocked or spilled, later ones follow them to keep the order
+		if (policy === "block" && (blockedWrites.length > 0 || !hasRoom(bytes))) {
+			shed();
+			return new Promise((resolve) => {
+				blockedWrites.push({ line, resolve });
+			});
+		}
+		if (policy === "spillToDisk" && (hasOverflow() || !hasRoom(bytes))) {
+			shed();
+			spool.push(line);
+			return;
+		}
+		if (!hasRoom(bytes)) {
+			if (policy === "dropNewest") {
+				shed();
+				return;
+			}
+			// Every line dropped to make room counts as an overflow
+			let evicted = 0;
+			let freedBytes = 0;
+			while (
+				evicted < batch.length &&
+				(batch.length - evicted >= maxSize ||
+					batchBytes - freedBytes + bytes > maxBytes)
+			) {
+				freedBytes += byteSize(batch[evicted]);
+				evicted++;
+			}
+			shed(evicted);
+			batch.splice(0, evicted);
+			batchBytes -= freedBytes;
+		}
+
+		enqueue(line);
+	};
+
+	const flush = async () => {
+		if (failure) throw failure;
+		if (isClosed) return;
+		await drain();
+		await request("flush");
+	};
+
+	/**
+	 * Stops the worker and synchronously appends the lines it has not acknowledged and
+	 * those not yet posted to it, blocked ones included. Lines spilled to disk stay in the
+	 * spool. Lines the worker was writing at that moment may be written twice. Used when
+	 * the process is about to exit.
+	 */
+	const drainSync = () => {
+		if (syncFd !== null) return;
+		clearImmediate(batchTimer);
+		batchTimer = null;
+		const pending = [];
+		for (const { lines } of requests.values())
+			if (lines) pending.push(...lines);
+		pending.push(...batch);
+		for (const { line, resolve } of blockedWrites.splice(0)) {
+			pending.push(line);
+			resolve();
+		}
+		batch = [];
+		batchBytes = 0;
+		isClosed = true;
+		worker.terminate().catch(() => {});
+
+		try {
+			syncFd = openSync(logFilePath, "a");
+			appendFileSync(
+				syncFd,
+				pending.map((line) => `${line}\n`).join(""),
+				"utf8",
+			);
+		} catch (err) {
+			console.error("[deadslog/system] Error draining log file:", err);
+		}
+	};
+
+	const close = async () => {
+		if (syncFd !== null) {
+			closeSync(syncFd);
+			syncFd = null;
+			return;
+		}
+		if (isClosed) return;
+		try {
+			if (!failure) {
+				await drain();
+				isClosed = true;
+				await request("close");
+				await spool?.close();
+			}
+		} finally {
+			isClosed = true;
+			await worker.terminate();
+		}
+	};
+
+	const getMetrics = () => ({
+		...metrics,
+		overflows: { ...overflows },
+		currentQueueSize: (metrics.currentQueueSize ?? 0) + batch.length,
+		currentQueueBytes: (metrics.currentQueueBytes ?? 0) + batchBytes,
+		blockedWrites: blockedWrites.length,
+		spooledMessages: spool?.size ?? 0,
+		worker: true,
+	});
+
+	const idle = async () => {
+		if (isClosed || failure) return;
+		await request("idle");
+	};
+
+	// Lines spilled by a process that exited before replaying them
+	if (spool?.size > 0) replaySpool();
+
+	return { name: "file", write, flush, close, getMetrics, idle, drainSync };
+};
@@ -0,0 +1,56 @@
+/**
+ * Worker thread entry of the file transport.
+ * Owns a file transport, so that writing, rotation, archiving and retries stay off the
+ * main thread. Messages from the main thread are handled one at a time, in order.
+ *
+ * @module deadslog/transports/fileWorker
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+import { createFileTransport } from "./file.js";
+
+const { options, events } = workerData;
+
+const post = (message) => parentPort.postMessage(message);
+
+// Callbacks cannot cross threads, so they are replaced by events
+const transport = createFileTransport({
+	...options,
+	worker: false,
+	retention: options.retention && {
+		...options.retention,
+		onPrune: events.prune
+			? (report) => post({ type: "prune", report })
+			: undefined,
+	},
+});
+
+const handlers = {
+	// Lines are acknowledged once written, so the main thread knows nothing is left in memory
+	write: async ({ lines }) => {
+		await Promise.allSettled(lines.map((line) => transport.write(line)));
+		await transport.flush();
+	},
+	flush: () => transport.flush(),
+	idle: () => transport.idle(),
+	close: () => transport.close(),
+};
+
+const handle = async ({ type, id, ...payload }) => {
+	try {
+		await handlers[type](payload);
+		post({ type: "done", id, metrics: transport.getMetrics() });
+	} catch (err) {
+		post({ type: "done", id, error: err.message });
+	}
+	if (type === "close") parentPort.close();
+};
+
+let tasks = Promise.resolve();
+parentPort.on("message", (message) => {
+	// Waiting for background archiving must not hold up the writes behind it
+	if (message.type === "idle") handle(message);
+	else tasks = tasks.then(() => handle(message));
+});
+
+post({ type: "metrics", metrics: transport.getMetrics() });
@@ -0,0 +1,499 @@
+/**
+ * HTTP transport for deadslog.
+ * Sends batches of log records to a collector: a generic JSON or NDJSON endpoint,
+ * an Elasticsearch bulk endpoint or Loki.
+ *
+ * @module deadslog/transports/http
+ */
+
+import { createHash } from "node:crypto";
+import {
+	appendFileSync,
+	readFileSync,
+	unlinkSync,
+	writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { gzip as gzipCallback } from "node:zlib";
+import { jsonFormatter } from "../utils/formatters.js";
+import {
+	backoffDelay,
+	buildRequestBody,
+	sendRequest,
+	validHttpFormats,
+} from "../utils/http.js";
+
+const gzip = promisify(gzipCallback);
+
+/**
+ * Default batching limits: a batch is sent once it holds `maxCount` records or `maxBytes`
+ * bytes of serialized records, or `interval` milliseconds after its first record.
+ * @constant {{maxCount: number, maxBytes: number, interval: number}}
+ */
+const DEFAULT_BATCH = { maxCount: 100, maxBytes: 1048576, interval: 1000 };
+
+/**
+ * Default retry policy: up to `maxRetries` retries per batch, with delays doubling from
+ * `minDelay` up to `maxDelay` milliseconds.
+ * @constant {{maxRetries: number, minDelay: number, maxDelay: number}}
+ */
+const DEFAULT_RETRY = { maxRetries: 5, minDelay: 500, maxDelay: 30000 };
+
+/**
+ * Default circuit breaker: opens after `threshold` consecutive failed requests, and lets
+ * a request through again after `resetTimeout` milliseconds.
+ * @constant {{threshold: number, resetTimeout: number}}
+ */
+const DEFAULT_CIRCUIT_BREAKER = { threshold: 5, resetTimeout: 30000 };
+
+/**
+ * Maximum number of batches waiting to be sent.
+ * Older batches are moved to the spool file.
+ * @constant {number}
+ */
+const MAX_QUEUED_BATCHES = 1000;
+
+/**
+ * Maximum number of batches kept in the spool file.
+ * Batches spooled beyond it are dropped.
+ * @constant {number}
+ */
+const MAX_SPOOLED_BATCHES = 10000;
+
+/**
+ * Whether a failed request may succeed if retried.
+ * @param {number} [status] - The status code, or undefined when no response was received.
+ * @returns {boolean}
+ */
+const isRetryable = (status) =>
+	typeof status === "undefined" ||
+	status === 408 ||
+	status === 429 ||
+	status >= 500;
+
+/**
+ * Validates that the given keys of an options object are positive integers.
+ * @param {Object} options - The options.
+ * @param {string[]} keys - The keys to validate.
+ * @param {string} name - The option name used in error messages.
+ * @param {number} [min=1] - The smallest valid value.
+ */
+const validateIntegers = (options, keys, name, min = 1) => {
+	for (const key of keys) {
+		if (typeof options[key] !== "undefined") {
+			if (!Number.isInteger(options[key]) || options[key] < min)
+				throw new Error(
+					`${name}.${key} must be ${min === 0 ? "a non-negative" : "a positive"} integer.`,
+				);
+		}
+	}
+};
+
+/**
+ * Validates that an option is an object of strings.
+ * @param {*} value - The option value.
+ * @param {string} name - The option name used in error messages.
+ */
+const validateStringMap = (value, name) => {
+	if (!value || typeof value !== "object" || Array.isArray(value))
+		throw new Error(`${name} must be an object.`);
+	for (const [key, item] of Object.entries(value)) {
+		if (typeof item !== "string")
+			throw new Error(`${name}.${key} must be a string.`);
+	}
+};
+
+/**
+ * Validates HTTP transport options.
+ * @param {Object} options - The HTTP transport options.
+ * @param {string} [name="http"] - The option name used in error messages.
+ */
+export const validateHttpOptions = (options, name = "http") => {
+	let url = null;
+	try {
+		url = new URL(options.url);
+	} catch {
+		// Reported below
+	}
+	if (
+		typeof options.url !== "string" ||
+		!url ||
+		!["http:", "https:"].includes(url.protocol)
+	)
+		throw new Error(`${name}.url must be an http or https URL.`);
+	if (typeof options.format !== "undefined") {
+		if (!validHttpFormats.includes(options.format))
+			throw new Error(
+				`Invalid value for ${name}.format: "${options.format}". ` +
+					`Valid values are: ${validHttpFormats.join(", ")}.`,
+			);
+	}
+	for (const key of ["method", "index", "spoolPath"]) {
+		if (typeof options[key] !== "undefined") {
+			if (typeof options[key] !== "string" || !options[key])
+				throw new Error(`${name}.${key} must be a non-empty string.`);
+		}
+	}
+	if (typeof options.headers !== "undefined")
+		validateStringMap(options.headers, `${name}.headers`);
+	if (typeof options.labels !== "undefined")
+		validateStringMap(options.labels, `${name}.labels`);
+	if (typeof options.gzip !== "undefined") {
+		if (typeof options.gzip !== "boolean")
+			throw new Error(`${name}.gzip must be a boolean.`);
+	}
+	validateIntegers(options, ["timeout"], name);
+	for (const key of ["batch", "retry", "circuitBreaker"]) {
+		if (typeof options[key] !== "undefined") {
+			if (!options[key] || typeof options[key] !== "object")
+				throw new Error(`${name}.${key} must be an object.`);
+		}
+	}
+	if (options.batch)
+		validateIntegers(
+			options.batch,
+			["maxCount", "maxBytes", "interval"],
+			`${name}.batch`,
+		);
+	if (options.retry) {
+		validateIntegers(options.retry, ["maxRetries"], `${name}.retry`, 0);
+		validateIntegers(options.retry, ["minDelay", "maxDelay"], `${name}.retry`);
+	}
+	if (options.circuitBreaker)
+		validateIntegers(
+			options.circuitBreaker,
+			["threshold", "resetTimeout"],
+			`${name}.circuitBreaker`,
+		);
+};
+
+/**
+ * Creates a transport sending batches of log records over HTTP.
+ * Batches are sent one at a time, in order. Requests failing with a network error, a
+ * timeout, 408, 429 or a 5xx status are retried with exponential backoff and jitter; other
+ * statuses reject the batch, which is dropped. A batch still failing after its retries, and
+ * every batch left when the transport closes, is appended to a spool file of at most
+ * 10000 batches. Spooled batches are sent again once the queue is emptied by a successful
+ * request, when the circuit lets a request through again, and by the next transport
+ * created with the same spool file.
+ * After `circuitBreaker.threshold` consecutive failed requests the circuit opens: batches
+ * wait until `circuitBreaker.resetTimeout` has passed, and a single failure then opens it again.
+ * @param {Object} options - The HTTP transport options.
+ * @param {string} options.url - The collector endpoint.
+ * @param {string} [options.method="POST"] - The HTTP method.
+ * @param {Object<string, string>} [options.headers] - Extra request headers, e.g. authorization.
+ * @param {string} [options.format="json"] - Body format: "json", "ndjson", "elasticsearch" or "loki".
+ * @param {string} [options.index="logs"] - Index of the "elasticsearch" format.
+ * @param {Object<string, string>} [options.labels={app: "deadslog"}] - Stream labels of the "loki" format, along with the level.
+ * @param {{maxCount?: number, maxBytes?: number, interval?: number}} [options.batch] - Batching limits.
+ * @param {boolean} [options.gzip=true] - Whether to gzip request bodies.
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds.
+ * @param {{maxRetries?: number, minDelay?: number, maxDelay?: number}} [options.retry] - Retry policy.
+ * @param {{threshold?: number, resetTimeout?: number}} [options.circuitBreaker] - Circuit breaker settings.
+ * @param {string} [options.spoolPath] - Spool file of unsent batches. Defaults to a file in the temporary directory named after the URL.
+ * @returns {Object} - The HTTP transport.
+ */
+export const createHttpTransport = ({
+	url,
+	method = "POST",
+	headers = {},
+	format = "json",
+	index = "logs",
+	labels = { app: "deadslog" },
+	batch = {},
+	gzip: compress = true,
+	timeout = 10000,
+	retry = {},
+	circuitBreaker = {},
+	spoolPath = join(
+		tmpdir(),
+		`deadslog-http-${createHash("sha1").update(url).digest("hex").slice(0, 12)}.spool`,
+	),
+}) => {
+	const destination = new URL(url);
+	const { maxCount, maxBytes, interval } = { ...DEFAULT_BATCH, ...batch };
+	const retryPolicy = { ...DEFAULT_RETRY, ...retry };
+	const { threshold, resetTimeout } = {
+		...DEFAULT_CIRCUIT_BREAKER,
+		...circuitBreaker,
+	};
+
+	// metrics
+	const metrics = {
+		batchesSent: 0,
+		messagesSent: 0,
+		bytesSent: 0,
+		requestFailures: 0,
+		retries: 0,
+		batchesRejected: 0,
+		batchesSpooled: 0,
+		batchesReplayed: 0,
+		batchesDropped: 0,
+	};
+
+	let entries = [];
+	let entriesBytes = 0;
+	let batchTimer = null;
+	const batches = [];
+	let inFlight = 0;
+	let running = null;
+	let failures = 0;
+	let circuitOpen = false;
+	let circuitTimer = null;
+	let wakeUp = null;
+	let isClosing = false;
+	// Batches in the spool file, counted when it is read at startup
+	let spooled = 0;
+
+	// Batches are written synchronously, so that a process exiting meanwhile keeps them
+	const persist = (entriesOfBatch) => {
+		if (spooled >= MAX_SPOOLED_BATCHES) {
+			if (metrics.batchesDropped++ === 0)
+				console.error(
+					`[deadslog/system] HTTP spool file ${spoolPath} is full, dropping batches.`,
+				);
+			return;
+		}
+		try {
+			appendFileSync(spoolPath, `${JSON.stringify(entriesOfBatch)}\n`, "utf8");
+			spooled++;
+			metrics.batchesSpooled++;
+		} catch (err) {
+			console.error("[deadslog/system] Error writing HTTP spool file:", err);
+		}
+	};
+
+	// Moves the oldest spooled batches to the front of the queue, as long as it has room
+	const replaySpool = () => {
+		let text;
+		try {
+			text = readFileSync(spoolPath, "utf8");
+		} catch (err) {
+			if (err.code !== "ENOENT")
+				console.error("[deadslog/system] Error reading HTTP spool file:", err);
+			spooled = 0;
+			return;
+		}
+		const lines = text.split("\n").filter(Boolean);
+		const room = Math.max(0, MAX_QUEUED_BATCHES - batches.length);
+		const replayed = [];
+		for (const line of lines.slice(0, room)) {
+			try {
+				replayed.push(JSON.parse(line));
+			} catch {
+				console.error("[deadslog/system] Skipped corrupt HTTP spool entry.");
+			}
+		}
+		const rest = lines.slice(room);
+		try {
+			if (rest.length > 0)
+				writeFileSync(spoolPath, `${rest.join("\n")}\n`, "utf8");
+			else unlinkSync(spoolPath);
+		} catch (err) {
+			console.error("[deadslog/system] Error writing HTTP spool file:", err);
+			return;
+		}
+		spooled = rest.length;
+		batches.unshift(...replayed);
+		metrics.batchesReplayed += replayed.length;
+	};
+
+	const sleep = (delay) =>
+		new Promise((resolve) => {
+			const timer = setTimeout(() => {
+				wakeUp = null;
+				resolve();
+			}, delay);
+			timer.unref();
+			wakeUp = () => {
+				clearTimeout(timer);
+				wakeUp = null;
+				resolve();
+			};
+		});
+
+	const openCircuit = () => {
+		circuitOpen = true;
+		console.error(
+			`[deadslog/system] Circuit breaker opened for ${destination.origin} due to request failures`,
+		);
+		circuitTimer = setTimeout(() => {
+			circuitTimer = null;
+			circuitOpen = false;
+			// One more failure opens the circuit again
+			failures = threshold - 1;
+			if (spooled > 0) replaySpool();
+			run();
+		}, resetTimeout);
+		circuitTimer.unref();
+	};
+
+	/**
+	 * Sends a batch, retrying failed requests.
+	 * @returns {Promise<string>} - "sent", "rejected", "failed" once retries are exhausted,
+	 * or "paused" when the circuit opened.
+	 */
+	const sendBatch = async (entriesOfBatch) => {
+		const { body, contentType } = buildRequestBody(format, entriesOfBatch, {
+			index,
+			labels,
+		});
+		const payload = compress ? await gzip(body) : body;
+		const requestHeaders = {
+			"Content-Type": contentType,
+			...(compress && { "Content-Encoding": "gzip" }),
+			...headers,
+		};
+		for (let attempt = 1; ; attempt++) {
+			let status;
+			let error = null;
+			try {
+				status = await sendRequest(destination, {
+					method,
+					headers: requestHeaders,
+					body: payload,
+					timeout,
+				});
+			} catch (err) {
+				error = err;
+			}
+			if (status >= 200 && status < 300) {
+				failures = 0;
+				metrics.batchesSent++;
+				metrics.messagesSent += entriesOfBatch.length;
+				metrics.bytesSent += Buffer.byteLength(payload);
+				return "sent";
+			}
+			if (!isRetryable(status)) {
+				metrics.batchesRejected++;
+				console.error(
+					`[deadslog/system] HTTP collector rejected a batch of ${entriesOfBatch.length} records with status ${status}.`,
+				);
+				return "rejected";
+			}
+			metrics.requestFailures++;
+			failures++;
+			// A collector that stays down is reported on the first failure of each batch only
+			if (attempt === 1)
+				console.error(
+					"[deadslog/system] Error sending logs over HTTP:",
+					error ?? new Error(`Status ${status}`),
+				);
+			if (failures >= threshold && !circuitOpen) {
+				openCircuit();
+				return "paused";
+			}
+			// Closing leaves no time for retries
+			if (attempt > retryPolicy.maxRetries || isClosing) return "failed";
+			metrics.retries++;
+			await sleep(backoffDelay(attempt, retryPolicy));
+			if (isClosing) return "failed";
+		}
+	};
+
+	const drain = async () => {
+		while (batches.length > 0 && !circuitOpen) {
+			const entriesOfBatch = batches.shift();
+			inFlight++;
+			let result;
+			try {
+				result = await sendBatch(entriesOfBatch);
+			} catch (err) {
+				console.error("[deadslog/system] Error preparing HTTP batch:", err);
+				result = "failed";
+			}
+			inFlight--;
+			if (result === "paused") batches.unshift(entriesOfBatch);
+			if (result === "failed") persist(entriesOfBatch);
+			// The collector is reachable again, so the spooled batches are sent next
+			if (
+				result === "sent" &&
+				batches.length === 0 &&
+				spooled > 0 &&
+				!isClosing
+			)
+				replaySpool();
+		}
+	};
+
+	const run = () => {
+		if (!running)
+			running = drain().then(() => {
+				running = null;
+				// Batches sealed while the last one was sent
+				if (batches.length > 0 && !circuitOpen) return run();
+			});
+		return running;
+	};
+
+	const seal = () => {
+		clearTimeout(batchTimer);
+		batchTimer = null;
+		if (entries.length === 0) return;
+		batches.push(entries);
+		entries = [];
+		entriesBytes = 0;
+		if (batches.length > MAX_QUEUED_BATCHES) persist(batches.shift());
+		run();
+	};
+
+	const write = (line, record) => {
+		if (isClosing) return;
+		const json = jsonFormatter(record);
+		entries.push({ line, json, level: record.level, time: record.time });
+		entriesBytes += Buffer.byteLength(json);
+		if (entries.length >= maxCount || entriesBytes >= maxBytes) {
+			seal();
+		} else if (!batchTimer) {
+			batchTimer = setTimeout(seal, interval);
+			batchTimer.unref();
+		}
+	};
+
+	// Settles once the queued batches are sent or spooled, or as soon as the circuit opens.
+	// Batches held by an open circuit are sent once it closes, or spooled by close().
+	const flush = async () => {
+		seal();
+		await run();
+	};
+
+	const close = async () => {
+		if (isClosing) return;
+		isClosing = true;
+		seal();
+		wakeUp?.();
+		await run();
+		for (const entriesOfBatch of batches.splice(0)) persist(entriesOfBatch);
+		clearTimeout(circuitTimer);
+		circuitTimer = null;
+	};
+
+	// Spools the queued batches and the entries of the next one when the process is about to exit
+	const drainSync = () => {
+		if (isClosing) return;
+		isClosing = true;
+		clearTimeout(batchTimer);
+		batchTimer = null;
+		clearTimeout(circuitTimer);
+		circuitTimer = null;
+		if (entries.length > 0) batches.push(entries);
+		entries = [];
+		entriesBytes = 0;
+		for (const entriesOfBatch of batches.splice(0)) persist(entriesOfBatch);
+	};
+
+	const getMetrics = () => ({
+		...metrics,
+		circuitOpen,
+		spooledBatches: spooled,
+		queuedBatches: batches.length + inFlight,
+		pendingMessages: entries.length,
+	});
+
+	replaySpool();
+	if (batches.length > 0) run();
+
+	return { name: "http", write, flush, close, getMetrics, drainSync };
+};
@@ -0,0 +1,390 @@
+/**
+ * Syslog transport for deadslog.
+ * Sends RFC 5424 or RFC 3164 messages over UDP, TCP or a Unix socket.
+ *
+ * @module deadslog/transports/syslog
+ */
+
+import { createSocket } from "node:dgram";
+import { createConnection, isIPv6 } from "node:net";
+import { hostname as osHostname } from "node:os";
+import { basename, extname } from "node:path";
+import { stringifyMessage } from "../utils/formatters.js";
+import { defaultLevels } from "../utils/levels.js";
+import {
+	createSeverityMap,
+	formatRfc3164,
+	formatRfc5424,
+	resolveFacility,
+	syslogFacilities,
+} from "../utils/syslog.js";
+
+/**
+ * Valid protocols of the syslog transport.
+ * @constant {string[]}
+ */
+export const validSyslogProtocols = ["udp", "tcp", "unix"];
+
+/**
+ * Valid message formats of the syslog transport.
+ * @constant {string[]}
+ */
+export const validSyslogFormats = ["rfc5424", "rfc3164"];
+
+/**
+ * Maximum number of messages kept while a TCP or Unix socket reconnects.
+ * The oldest messages are dropped first.
+ * @constant {number}
+ */
+const MAX_PENDING_MESSAGES = 10000;
+
+/**
+ * Delays between reconnection attempts, doubling from the first to the last, in milliseconds.
+ * @constant {{min: number, max: number}}
+ */
+const RECONNECT_DELAY = { min: 100, max: 30000 };
+
+/**
+ * Validates syslog transport options.
+ * @param {Object} options - The syslog transport options.
+ * @param {string} [name="syslog"] - The option name used in error messages.
+ */
+export const validateSyslogOptions = (options, name = "syslog") => {
+	if (typeof options.protocol !== "undefined") {
+		if (!validSyslogProtocols.includes(options.protocol))
+			throw new Error(
+				`Invalid value for ${name}.protocol: "${options.protocol}". ` +
+					`Valid values are: ${validSyslogProtocols.join(", ")}.`,
+			);
+	}
+	if (typeof options.format !== "undefined") {
+		if (!validSyslogFormats.includes(options.format))
+			throw new Error(
+				`Invalid value for ${name}.format: "${options.format}". ` +
+					`Valid values are: ${validSyslogFormats.join(", ")}.`,
+			);
+	}
+	if (typeof options.facility !== "undefined") {
+		const valid =
+			typeof options.facility === "number"
+				? Number.isInteger(options.facility) &&
+					options.facility >= 0 &&
+					options.facility <= 23
+				: Object.keys(syslogFacilities).includes(options.facility);
+		if (!valid)
+			throw new Error(
+				`Invalid value for ${name}.facility: "${options.facility}". ` +
+					`Valid values are a number from 0 to 23 or: ${Object.keys(syslogFacilities).join(", ")}.`,
+			);
+	}
+	// Node.js only opens Unix stream sockets, while /dev/log is usually a datagram socket
+	if (options.protocol === "unix" && typeof options.path === "undefined")
+		throw new Error(
+			`${name}.path is required with the "unix" protocol. It must be a stream socket.`,
+		);
+	for (const key of ["host", "path", "appName", "hostname", "sdId"]) {
+		if (typeof options[key] !== "undefined") {
+			if (typeof options[key] !== "string" || !options[key])
+				throw new Error(`${name}.${key} must be a non-empty string.`);
+		}
+	}
+	if (typeof options.port !== "undefined") {
+		if (
+			!Number.isInteger(options.port) ||
+			options.port < 1 ||
+			options.port > 65535
+		)
+			throw new Error(`${name}.port must be an integer from 1 to 65535.`);
+	}
+	if (typeof options.structuredData !== "undefined") {
+		if (typeof options.structuredData !== "boolean")
+			throw new Error(`${name}.structuredData must be a boolean.`);
+	}
+	if (typeof options.severities !== "undefined") {
+		if (!options.severities || typeof options.severities !== "object")
+			throw new Error(`${name}.severities must be an object.`);
+		for (const [level, severity] of Object.entries(options.severities)) {
+			if (!Number.isInteger(severity) || severity < 0 || severity > 7)
+				throw new Error(
+					`${name}.severities.${level} must be an integer from 0 to 7.`,
+				);
+		}
+	}
+};
+
+/**
+ * Creates a transport sending log records to a syslog server.
+ * The message is the record's `msg`, with its metadata fields as RFC 5424 structured data,
+ * or appended as JSON in RFC 3164 messages and when `structuredData` is off. A `formatter`
+ * given to the transport produces the whole message instead.
+ * TCP messages are framed by octet counting; Unix sockets are stream sockets, as Node.js
+ * cannot open datagram Unix sockets, and messages are separated by newlines. Both reconnect
+ * with backoff and keep up to 10000 messages meanwhile. A Unix socket that turns out to be
+ * a datagram socket, such as the usual `/dev/log`, is reported and no longer retried.
+ * @param {Object} options - The syslog transport options.
+ * @param {string} [options.protocol="udp"] - "udp", "tcp" or "unix".
+ * @param {string} [options.host="localhost"] - Host of the syslog server.
+ * @param {number} [options.port=514] - Port of the syslog server.
+ * @param {string} [options.path] - Path of the Unix stream socket. Required with the "unix" protocol.
+ * @param {string} [options.format="rfc5424"] - Message format: "rfc5424" or "rfc3164".
+ * @param {string|number} [options.facility="user"] - Facility name or number.
+ * @param {string} [options.appName] - APP-NAME or TAG. Defaults to the name of the main script.
+ * @param {string} [options.hostname] - HOSTNAME. Defaults to the host name of the machine.
+ * @param {boolean} [options.structuredData=true] - Whether to send metadata fields as RFC 5424 structured data.
+ * @param {string} [options.sdId="meta@32473"] - SD-ID of the metadata fields.
+ * @param {Object<string, number>} [options.severities] - Severities keyed by level, overriding the defaults.
+ * @param {Function} [options.formatter] - Formatter producing the message.
+ * @param {Object} [settings] - Settings of the logger owning the transport.
+ * @param {Object<string, number>} [settings.levels] - Values of the logger's levels, including custom levels.
+ * @returns {Object} - The syslog transport.
+ */
+export const createSyslogTransport = (
+	{
+		protocol = "udp",
+		host = "localhost",
+		port = 514,
+		path,
+		format = "rfc5424",
+		facility = "user",
+		appName = basename(
+			process.argv[1] ?? "node",
+			extname(process.argv[1] ?? ""),
+		),
+		hostname = osHostname(),
+		structuredData = true,
+		sdId = "meta@32473",
+		severities,
+		formatter,
+	} = {},
+	{ levels = defaultLevels } = {},
+) => {
+	const facilityNumber = resolveFacility(facility);
+	const severityOf = createSeverityMap(levels, severities);
+	const withStructuredData = format === "rfc5424" && structuredData;
+
+	// metrics
+	const metrics = {
+		messagesSent: 0,
+		bytesSent: 0,
+		sendFailures: 0,
+		messagesDropped: 0,
+		reconnects: 0,
+	};
+
+	const buildMessage = (line, record) => {
+		let message = line;
+		if (!formatter) {
+			const { level, time, msg, namespace, ...fields } = record;
+			message = stringifyMessage(msg);
+			if (!withStructuredData && Object.keys(fields).length > 0)
+				message += ` ${stringifyMessage(fields)}`;
+		}
+		const options = {
+			priority: facilityNumber * 8 + severityOf(record.level),
+			hostname,
+			appName,
+			sdId: withStructuredData ? sdId : null,
+			message,
+		};
+		return format === "rfc3164"
+			? formatRfc3164(record, options)
+			: formatRfc5424(record, options);
+	};
+
+	const sender =
+		protocol === "udp"
+			? createDatagramSender({ host, port }, metrics)
+			: createStreamSender(
+					protocol === "unix" ? { path } : { host, port },
+					// Octet counting frames TCP messages; Unix stream sockets expect newlines
+					protocol === "tcp"
+						? (message) => `${Buffer.byteLength(message)} ${message}`
+						: (message) => `${message}\n`,
+					metrics,
+				);
+
+	const write = (line, record) => {
+		sender.send(buildMessage(line, record));
+	};
+
+	const getMetrics = () => ({ ...metrics, ...sender.getState() });
+
+	return {
+		name: "syslog",
+		write,
+		flush: sender.flush,
+		close: sender.close,
+		getMetrics,
+	};
+};
+
+/**
+ * Creates a sender of UDP datagrams.
+ * @param {{host: string, port: number}} target - The syslog server.
+ * @param {Object} metrics - The transport metrics, updated on every send.
+ * @returns {Object} - The sender.
+ */
+const createDatagramSender = ({ host, port }, metrics) => {
+	const socket = createSocket(isIPv6(host) ? "udp6" : "udp4");
+	socket.unref();
+	socket.on("error", (err) => {
+		console.error("[deadslog/system] Syslog socket error:", err);
+	});
+	const inFlight = new Set();
+	let isClosed = false;
+
+	const send = (message) => {
+		if (isClosed) return;
+		const data = Buffer.from(message);
+		const sending = new Promise((resolve) => {
+			socket.send(data, port, host, (err) => {
+				if (err) {
+					metrics.sendFailures++;
+					console.error("[deadslog/system] Error sending to syslog:", err);
+				} else {
+					metrics.messagesSent++;
+					metrics.bytesSent += data.length;
+				}
+				resolve();
+			});
+		});
+		inFlight.add(sending);
+		sending.then(() => inFlight.delete(sending));
+	};
+
+	const flush = async () => {
+		await Promise.all(inFlight);
+	};
+
+	const close = async () => {
+		if (isClosed) return;
+		await flush();
+		isClosed = true;
+		await new Promise((resolve) => socket.close(resolve));
+	};
+
+	return { send, flush, close, getState: () => ({ pending: inFlight.size }) };
+};
+
+/**
+ * Creates a sender over a TCP or Unix stream socket, reconnecting with backoff.
+ * Messages sent while disconnected are kept and written once connected again.
+ * @param {Object} target - Options of `net.createConnection`: host and port, or path.
+ * @param {(message: string) => string} frame - Frames a message for the stream.
+ * @param {Object} metrics - The transport metrics, updated on every send.
+ * @returns {Object} - The sender.
+ */
+const createStreamSender = (target, frame, metrics) => {
+	let socket = null;
+	let connected = false;
+	let isClosed = false;
+	let reconnectTimer = null;
+	let reconnectDelay = RECONNECT_DELAY.min;
+	let reportedError = false;
+	// Set when the socket cannot be used at all, e.g. a Unix datagram socket
+	let unusable = false;
+	const pending = [];
+
+	const writeFrame = (message) => {
+		const data = frame(message);
+		socket.write(data, (err) => {
+			if (err) {
+				metrics.sendFailures++;
+				return;
+			}
+			metrics.messagesSent++;
+			metrics.bytesSent += Buffer.byteLength(data);
+		});
+	};
+
+	const scheduleReconnect = () => {
+		if (isClosed || reconnectTimer) return;
+		reconnectTimer = setTimeout(() => {
+			reconnectTimer = null;
+			metrics.reconnects++;
+			connect();
+		}, reconnectDelay);
+		reconnectTimer.unref();
+		reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_DELAY.max);
+	};
+
+	const connect = () => {
+		const current = createConnection(target);
+		socket = current;
+		current.unref();
+		current.on("connect", () => {
+			connected = true;
+			reportedError = false;
+			reconnectDelay = RECONNECT_DELAY.min;
+			while (pending.length > 0 && connected) writeFrame(pending.shift());
+		});
+		current.on("error", (err) => {
+			if (err.code === "EPROTOTYPE") {
+				unusable = true;
+				metrics.messagesDropped += pending.length;
+				pending.length = 0;
+				console.error(
+					`[deadslog/system] Syslog socket ${target.path} is not a stream socket. Only Unix stream sockets are supported:`,
+					err,
+				);
+				return;
+			}
+			// A server that stays down is reported once, not on every attempt
+			if (!reportedError) {
+				console.error("[deadslog/system] Syslog connection error:", err);
+				reportedError = true;
+			}
+		});
+		current.on("close", () => {
+			if (socket !== current) return;
+			connected = false;
+			if (!unusable) scheduleReconnect();
+		});
+	};
+
+	const send = (message) => {
+		if (isClosed) return;
+		if (unusable) {
+			metrics.messagesDropped++;
+			return;
+		}
+		if (connected) {
+			writeFrame(message);
+			return;
+		}
+		if (pending.length >= MAX_PENDING_MESSAGES) {
+			pending.shift();
+			metrics.messagesDropped++;
+		}
+		pending.push(message);
+	};
+
+	// Write callbacks run in order, so an empty write settles after every earlier message
+	const flush = async () => {
+		if (!connected) return;
+		await new Promise((resolve) => socket.write("", resolve));
+	};
+
+	const close = async () => {
+		if (isClosed) return;
+		await flush();
+		isClosed = true;
+		clearTimeout(reconnectTimer);
+		reconnectTimer = null;
+		if (pending.length > 0) metrics.messagesDropped += pending.length;
+		pending.length = 0;
+		await new Promise((resolve) => {
+			if (socket.destroyed) resolve();
+			else socket.end(resolve);
+		});
+	};
+
+	connect();
+
+	return {
+		send,
+		flush,
+		close,
+		getState: () => ({ connected, pending: pending.length }),
+	};
+};
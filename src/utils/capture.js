@@ -0,0 +1,137 @@
+import { levelOrder } from "./levels.js";
+
+/**
+ * Levels of the console methods routed through a logger by default.
+ * @constant {Object<string, string>}
+ */
+export const defaultConsoleLevels = {
+	log: "info",
+	info: "info",
+	warn: "warn",
+	error: "error",
+	debug: "debug",
+};
+
+/**
+ * Prefix of deadslog's own diagnostics, which always go to the original console.
+ * @constant {string}
+ */
+const SYSTEM_PREFIX = "[deadslog/system]";
+
+/**
+ * The console capture in place, if any: its owner, and the original and patched
+ * console methods.
+ * @type {{owner: Object, originals: Object<string, Function>, patched: Object<string, Function>}|null}
+ */
+let capture = null;
+
+/**
+ * Depth of the calls during which console output goes to the original console.
+ * @type {number}
+ */
+let passthrough = 0;
+
+/**
+ * Validates the levels of captured console methods.
+ * @param {Object<string, string>} methods - Levels keyed by console method.
+ * @param {string} [name="captureConsole"] - The option name used in error messages.
+ * @param {string[]} [levels=levelOrder] - The valid levels.
+ */
+export const validateConsoleLevels = (
+	methods,
+	name = "captureConsole",
+	levels = levelOrder,
+) => {
+	if (!methods || typeof methods !== "object")
+		throw new Error(`${name} methods must be an object.`);
+	const validMethods = Object.keys(defaultConsoleLevels);
+	for (const [method, level] of Object.entries(methods)) {
+		if (!validMethods.includes(method))
+			throw new Error(
+				`Invalid console method in ${name}: "${method}". ` +
+					`Valid methods are: ${validMethods.join(", ")}.`,
+			);
+		if (!levels.includes(level))
+			throw new Error(
+				`Invalid value for ${name}.${method}: "${level}". ` +
+					`Valid values are: ${levels.join(", ")}.`,
+			);
+	}
+};
+
+/**
+ * Runs a function with console output going to the original console methods.
+ * Transports write within it, so that the console transport and diagnostics printed
+ * while logging are not captured again.
+ * @param {Function} fn - The function to run.
+ * @returns {any} - The return value of `fn`.
+ */
+export const passThroughConsole = (fn) => {
+	passthrough++;
+	try {
+		return fn();
+	} finally {
+		passthrough--;
+	}
+};
+
+/**
+ * Restores the console methods patched by the capture in place.
+ * Methods patched again by someone else since are left alone.
+ */
+const restoreConsole = () => {
+	for (const [method, original] of Object.entries(capture.originals)) {
+		if (console[method] === capture.patched[method]) console[method] = original;
+	}
+	capture = null;
+};
+
+/**
+ * Patches console methods to route their output through a logger.
+ * Only one owner can capture the console at a time; capturing it again replaces the
+ * routed methods.
+ * @param {Object} owner - The logger capturing the console.
+ * @param {Object<string, (...args: any[]) => any>} writers - Log functions keyed by console method.
+ */
+export const captureConsole = (owner, writers) => {
+	if (capture && capture.owner !== owner)
+		throw new Error("console is already captured by another logger.");
+	if (capture) restoreConsole();
+
+	const originals = {};
+	const patched = {};
+	for (const [method, write] of Object.entries(writers)) {
+		const original = console[method];
+		originals[method] = original;
+		patched[method] = (...args) => {
+			if (
+				passthrough > 0 ||
+				(typeof args[0] === "string" && args[0].startsWith(SYSTEM_PREFIX))
+			)
+				return original.apply(console, args);
+			const result = passThroughConsole(() => write(...args));
+			// Console methods return nothing, so failures are reported rather than left unhandled
+			if (typeof result?.then === "function")
+				result.then(undefined, (err) => {
+					(originals.error ?? console.error).call(
+						console,
+						"[deadslog/system] Error logging captured console output:",
+						err,
+					);
+				});
+		};
+		console[method] = patched[method];
+	}
+	capture = { owner, originals, patched };
+};
+
+/**
+ * Restores the console methods captured by an owner.
+ * @param {Object} owner - The logger that captured the console.
+ * @returns {boolean} - Whether the owner had captured the console.
+ */
+export const releaseConsole = (owner) => {
+	if (!capture || capture.owner !== owner) return false;
+	restoreConsole();
+	return true;
+};
@@ -0,0 +1,97 @@
+import { createReadStream, createWriteStream } from "node:fs";
+import { rename, unlink } from "node:fs/promises";
+import { pipeline } from "node:stream/promises";
+import {
+	createGzip,
+	createGunzip,
+	createBrotliCompress,
+	createBrotliDecompress,
+	constants,
+} from "node:zlib";
+
+/**
+ * Supported compression codecs for archived log files.
+ * @constant {Object<string, {extension: string, minLevel: number, maxLevel: number, create: (level?: number) => import("node:stream").Transform, decompress: () => import("node:stream").Transform}>}
+ */
+export const codecs = {
+	gzip: {
+		extension: ".gz",
+		minLevel: 0,
+		maxLevel: 9,
+		create: (level) => createGzip(level === undefined ? {} : { level }),
+		decompress: () => createGunzip(),
+	},
+	brotli: {
+		extension: ".br",
+		minLevel: 0,
+		maxLevel: 11,
+		create: (level) =>
+			createBrotliCompress(
+				level === undefined
+					? {}
+					: { params: { [constants.BROTLI_PARAM_QUALITY]: level } },
+			),
+		decompress: () => createBrotliDecompress(),
+	},
+};
+
+/**
+ * Validates compression options.
+ * @param {Object} compression - The compression options.
+ * @param {string} [name="compression"] - The option name used in error messages.
+ */
+export const validateCompressionOptions = (
+	compression,
+	name = "compression",
+) => {
+	if (!compression || typeof compression !== "object")
+		throw new Error(`${name} must be an object.`);
+	const codecName = compression.codec ?? "gzip";
+	if (!Object.keys(codecs).includes(codecName))
+		throw new Error(
+			`Invalid value for ${name}.codec: "${codecName}". ` +
+				`Valid values are: ${Object.keys(codecs).join(", ")}.`,
+		);
+	if (typeof compression.level !== "undefined") {
+		const { minLevel, maxLevel } = codecs[codecName];
+		if (
+			!Number.isInteger(compression.level) ||
+			compression.level < minLevel ||
+			compression.level > maxLevel
+		)
+			throw new Error(
+				`Invalid value for ${name}.level: ${compression.level}. ` +
+					`Valid levels for ${codecName} are ${minLevel} to ${maxLevel}.`,
+			);
+	}
+};
+
+/**
+ * Compresses a file as a stream without blocking the event loop.
+ * The output is written to a temporary file and renamed into place once complete,
+ * so `dest` never holds a partial archive.
+ * @param {string} src - Path of the file to compress.
+ * @param {string} dest - Path of the archive to create.
+ * @param {Object} [compression] - The compression options.
+ * @param {string} [compression.codec="gzip"] - The codec: "gzip" or "brotli".
+ * @param {number} [compression.level] - The compression level of the codec.
+ * @returns {Promise<void>}
+ */
+export const compressFile = async (
+	src,
+	dest,
+	{ codec = "gzip", level } = {},
+) => {
+	const tmp = `${dest}.tmp`;
+	try {
+		await pipeline(
+			createReadStream(src),
+			codecs[codec].create(level),
+			createWriteStream(tmp),
+		);
+		await rename(tmp, dest);
+	} catch (err) {
+		await unlink(tmp).catch(() => {});
+		throw err;
+	}
+};
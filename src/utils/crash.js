@@ -0,0 +1,170 @@
+/**
+ * Milliseconds given to the `onFatal` hooks returning promises before the process exits.
+ * @constant {number}
+ */
+const FATAL_HOOK_TIMEOUT = 5000;
+
+/**
+ * Process events handled by crash capture.
+ * @constant {string[]}
+ */
+const crashEvents = ["uncaughtException", "unhandledRejection"];
+
+/**
+ * Crash handlers of the loggers, keyed by logger.
+ * @type {Map<Object, {events: string[], logFatal: (error: any, event: string) => void, drainSync: () => void, onFatal: Function[], exitCode: number}>}
+ */
+const crashHandlers = new Map();
+
+/**
+ * Listeners installed on the process, keyed by event.
+ * @type {Object<string, Function|undefined>}
+ */
+const listeners = {};
+
+let crashing = false;
+
+/**
+ * Validates the crash capture options.
+ * @param {Object} options - The crash capture options.
+ * @param {boolean} [options.handleExceptions] - Whether to handle uncaught exceptions.
+ * @param {boolean} [options.handleRejections] - Whether to handle unhandled rejections.
+ * @param {Function|Function[]} [options.onFatal] - Hooks run before exiting.
+ * @param {number} [options.exitCode] - Exit code of the process.
+ */
+export const validateCrashOptions = ({
+	handleExceptions,
+	handleRejections,
+	onFatal,
+	exitCode,
+}) => {
+	if (
+		typeof handleExceptions !== "undefined" &&
+		typeof handleExceptions !== "boolean"
+	)
+		throw new Error("handleExceptions must be a boolean.");
+	if (
+		typeof handleRejections !== "undefined" &&
+		typeof handleRejections !== "boolean"
+	)
+		throw new Error("handleRejections must be a boolean.");
+	if (typeof onFatal !== "undefined") {
+		const hooks = Array.isArray(onFatal) ? onFatal : [onFatal];
+		if (!hooks.every((hook) => typeof hook === "function"))
+			throw new Error("onFatal must be a function or an array of functions.");
+	}
+	if (typeof exitCode !== "undefined") {
+		if (!Number.isInteger(exitCode) || exitCode < 0 || exitCode > 255)
+			throw new Error("exitCode must be an integer between 0 and 255.");
+	}
+};
+
+/**
+ * Creates the listener of a crash event: the loggers handling it log the error at the
+ * fatal level, every logger synchronously writes what it has queued, the `onFatal` hooks
+ * run, and the process exits.
+ * @param {string} event - The process event.
+ * @returns {(error: any, origin?: any) => Promise<void>}
+ */
+const onCrash = (event) => async (error, origin) => {
+	if (crashing) {
+		console.error(
+			"[deadslog/system] Error while handling a fatal error:",
+			error,
+		);
+		return;
+	}
+	crashing = true;
+	// Without a listener of their own, unhandled rejections are thrown as uncaught exceptions
+	const kind =
+		event === "unhandledRejection" || origin === "unhandledRejection"
+			? "unhandledRejection"
+			: "uncaughtException";
+	const handling = [...crashHandlers.values()].filter(({ events }) =>
+		events.includes(event),
+	);
+
+	for (const { logFatal } of handling) {
+		try {
+			logFatal(error, kind);
+		} catch (err) {
+			console.error("[deadslog/system] Error logging a fatal error:", err);
+		}
+	}
+	// Lines still queued by any logger are lost once the process exits
+	for (const { drainSync } of crashHandlers.values()) {
+		try {
+			drainSync();
+		} catch (err) {
+			console.error("[deadslog/system] Error draining a logger:", err);
+		}
+	}
+
+	const pending = [];
+	for (const { onFatal } of handling) {
+		for (const hook of onFatal) {
+			try {
+				const result = hook(error, { event: kind });
+				if (typeof result?.then === "function")
+					pending.push(
+						result.then(undefined, (err) => {
+							console.error("[deadslog/system] Error in onFatal hook:", err);
+						}),
+					);
+			} catch (err) {
+				console.error("[deadslog/system] Error in onFatal hook:", err);
+			}
+		}
+	}
+	if (pending.length > 0) {
+		let timer;
+		await Promise.race([
+			Promise.all(pending),
+			new Promise((resolve) => {
+				timer = setTimeout(resolve, FATAL_HOOK_TIMEOUT);
+			}),
+		]);
+		clearTimeout(timer);
+	}
+
+	process.exit(handling[0]?.exitCode ?? 1);
+};
+
+/**
+ * Installs the process listeners needed by the registered loggers, and removes the
+ * others, so that the default behavior of Node.js applies when no logger handles an event.
+ */
+const updateListeners = () => {
+	for (const event of crashEvents) {
+		const wanted = [...crashHandlers.values()].some(({ events }) =>
+			events.includes(event),
+		);
+		if (wanted && !listeners[event]) {
+			listeners[event] = onCrash(event);
+			process.on(event, listeners[event]);
+		} else if (!wanted && listeners[event]) {
+			process.off(event, listeners[event]);
+			listeners[event] = undefined;
+		}
+	}
+};
+
+/**
+ * Registers the crash handler of a logger.
+ * Every logger is registered so that it is drained on a crash, even when it handles no event.
+ * @param {Object} owner - The logger.
+ * @param {{events: string[], logFatal: (error: any, event: string) => void, drainSync: () => void, onFatal: Function[], exitCode: number}} handler - The crash handler.
+ */
+export const registerCrashHandler = (owner, handler) => {
+	crashHandlers.set(owner, handler);
+	updateListeners();
+};
+
+/**
+ * Unregisters the crash handler of a logger.
+ * @param {Object} owner - The logger.
+ */
+export const unregisterCrashHandler = (owner) => {
+	crashHandlers.delete(owner);
+	updateListeners();
+};
@@ -0,0 +1,146 @@
+/**
+ * Default depth of the `cause` chains and `AggregateError.errors` that are serialized.
+ * @constant {number}
+ */
+const DEFAULT_MAX_DEPTH = 5;
+
+/**
+ * Stack frames stripped by `trimStack: true`: dependencies and Node.js internals.
+ * @constant {RegExp[]}
+ */
+export const defaultTrimmedFrames = [
+	/[\\/]node_modules[\\/]/,
+	/\bnode:internal[\\/]/,
+	/\(internal[\\/]/,
+];
+
+/**
+ * Keys of a serialized error that are not custom properties.
+ * @constant {string[]}
+ */
+const errorKeys = ["name", "message", "stack", "cause", "errors"];
+
+/**
+ * Validates error serialization options.
+ * @param {Object} errors - The error serialization options.
+ * @param {string} [name="errors"] - The option name used in error messages.
+ */
+export const validateErrorOptions = (errors, name = "errors") => {
+	if (!errors || typeof errors !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof errors.maxDepth !== "undefined") {
+		if (!Number.isInteger(errors.maxDepth) || errors.maxDepth < 0)
+			throw new Error(`${name}.maxDepth must be a non-negative integer.`);
+	}
+	if (typeof errors.trimStack !== "undefined") {
+		if (
+			typeof errors.trimStack !== "boolean" &&
+			!(
+				Array.isArray(errors.trimStack) &&
+				errors.trimStack.every((pattern) => pattern instanceof RegExp)
+			)
+		)
+			throw new Error(
+				`${name}.trimStack must be a boolean or an array of regular expressions.`,
+			);
+	}
+};
+
+/**
+ * Serialized form of an Error.
+ * @typedef {Object} SerializedError
+ * @property {string} name - The error name, e.g. "TypeError".
+ * @property {string} message - The error message.
+ * @property {string} [stack] - The stack trace, possibly trimmed.
+ * @property {SerializedError|any} [cause] - The serialized cause.
+ * @property {SerializedError[]} [errors] - The serialized errors of an AggregateError.
+ */
+
+/**
+ * Serializes an Error to a plain object.
+ * Custom enumerable properties (`code`, `errno`, `statusCode`, `response`...) are kept,
+ * `cause` chains are followed and `AggregateError.errors` expanded until `maxDepth` nested
+ * errors, deeper ones being replaced with "[Max depth reached]".
+ * @param {Error} err - The error.
+ * @param {Object} [options] - The serialization options.
+ * @param {number} [options.maxDepth=5] - Maximum depth of nested causes and aggregated errors.
+ * @param {boolean|RegExp[]} [options.trimStack=false] - Stack frames to strip: `true` for dependencies and Node.js internals, or patterns of frames.
+ * @returns {SerializedError} - The serialized error.
+ */
+export const serializeError = (
+	err,
+	{ maxDepth = DEFAULT_MAX_DEPTH, trimStack = false } = {},
+) => {
+	const trimmedFrames =
+		trimStack === true ? defaultTrimmedFrames : trimStack || [];
+
+	const trim = (stack) => {
+		if (typeof stack !== "string" || trimmedFrames.length === 0) return stack;
+		return stack
+			.split("\n")
+			.filter(
+				(line) =>
+					!/^\s+at /.test(line) ||
+					!trimmedFrames.some((pattern) => pattern.test(line)),
+			)
+			.join("\n");
+	};
+
+	const walk = (error, depth, seen) => {
+		if (seen.has(error)) return "[Circular Reference]";
+		if (depth > maxDepth) return "[Max depth reached]";
+		const nested = new Set(seen).add(error);
+		const child = (value) =>
+			value instanceof Error ? walk(value, depth + 1, nested) : value;
+
+		const serialized = {
+			name: error.name,
+			message: error.message,
+			stack: trim(error.stack),
+		};
+		for (const key of Object.keys(error)) {
+			if (!errorKeys.includes(key)) serialized[key] = child(error[key]);
+		}
+		if (typeof error.cause !== "undefined") {
+			serialized.cause = child(error.cause);
+		}
+		if (Array.isArray(error.errors)) {
+			serialized.errors = error.errors.map(child);
+		}
+		return serialized;
+	};
+
+	return walk(err, 0, new Set());
+};
+
+/**
+ * Whether a value is an error serialized by `serializeError`.
+ * @param {any} value - The value to check.
+ * @returns {boolean}
+ */
+export const isSerializedError = (value) =>
+	typeof value === "object" &&
+	value !== null &&
+	Object.getPrototypeOf(value) === Object.prototype &&
+	typeof value.name === "string" &&
+	typeof value.message === "string" &&
+	typeof value.stack === "string";
+
+/**
+ * Creates a function serializing the Errors of a log record.
+ * Errors logged as the message or as top-level fields are replaced with their serialized
+ * form, so every formatter, redaction and transport receives plain data.
+ * @param {Object} [options] - The serialization options, see `serializeError`.
+ * @returns {(record: import("./formatters.js").LogRecord) => import("./formatters.js").LogRecord} - The serializer.
+ */
+export const createErrorSerializer =
+	(options = {}) =>
+	(record) => {
+		let serialized = record;
+		for (const [key, value] of Object.entries(record)) {
+			if (!(value instanceof Error)) continue;
+			if (serialized === record) serialized = { ...record };
+			serialized[key] = serializeError(value, options);
+		}
+		return serialized;
+	};
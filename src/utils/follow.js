@@ -0,0 +1,141 @@
+import { open, stat } from "node:fs/promises";
+import { StringDecoder } from "node:string_decoder";
+
+/**
+ * Size of the chunks read from followed files, in bytes.
+ * @constant {number}
+ */
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Reads the last lines of a file, reading backwards from its end.
+ * @param {string} path - Path of the file.
+ * @param {number} count - Number of lines to read.
+ * @returns {Promise<{lines: string[], size: number}>} - The lines, oldest first, and the size of the file when read.
+ */
+export const readLastLines = async (path, count) => {
+	const handle = await open(path, "r");
+	try {
+		const { size } = await handle.stat();
+		const chunks = [];
+		let newlines = 0;
+		let position = size;
+		// One more newline than lines is needed, as the file ends with one
+		while (position > 0 && newlines <= count) {
+			const length = Math.min(CHUNK_SIZE, position);
+			position -= length;
+			const buffer = Buffer.alloc(length);
+			await handle.read(buffer, 0, length, position);
+			chunks.unshift(buffer);
+			for (const byte of buffer) if (byte === 10) newlines++;
+		}
+		const lines = Buffer.concat(chunks).toString("utf8").split("\n");
+		if (lines[lines.length - 1] === "") lines.pop();
+		return { lines: count > 0 ? lines.slice(-count) : [], size };
+	} finally {
+		await handle.close();
+	}
+};
+
+/**
+ * Follows a log file like `tail -F`, emitting the lines appended to it.
+ * The file is polled. When it is renamed or removed by a rotation, the rest of the old
+ * file is read before the file created at the same path is followed from its start;
+ * a file truncated in place is followed from its start too.
+ * @param {string} path - Path of the file.
+ * @param {(line: string) => void} onLine - Called with each complete line.
+ * @param {Object} [options] - The follow options.
+ * @param {number} [options.position=0] - Offset in the file to start from.
+ * @param {number} [options.interval=250] - Polling interval in milliseconds.
+ * @returns {{stop: () => Promise<void>}} - Stops following the file.
+ */
+export const followFile = (
+	path,
+	onLine,
+	{ position: start = 0, interval = 250 } = {},
+) => {
+	let handle = null;
+	let inode = null;
+	let position = start;
+	let decoder = new StringDecoder("utf8");
+	let remainder = "";
+	let timer = null;
+	let polling = null;
+	let stopped = false;
+
+	const emit = (text) => {
+		const lines = (remainder + text).split("\n");
+		remainder = lines.pop();
+		for (const line of lines) onLine(line);
+	};
+
+	const readToEnd = async () => {
+		const buffer = Buffer.alloc(CHUNK_SIZE);
+		for (;;) {
+			const { bytesRead } = await handle.read(buffer, 0, CHUNK_SIZE, position);
+			if (bytesRead === 0) return;
+			position += bytesRead;
+			emit(decoder.write(buffer.subarray(0, bytesRead)));
+		}
+	};
+
+	const release = async () => {
+		await handle.close();
+		handle = null;
+		// A last line without a newline is complete once its file is rotated
+		const rest = remainder + decoder.end();
+		if (rest) onLine(rest);
+		remainder = "";
+		decoder = new StringDecoder("utf8");
+		position = 0;
+	};
+
+	const poll = async () => {
+		let stats = null;
+		try {
+			stats = await stat(path);
+		} catch (err) {
+			if (err.code !== "ENOENT") throw err;
+		}
+		if (handle && (!stats || stats.ino !== inode)) {
+			await readToEnd();
+			await release();
+		}
+		if (!stats) return;
+		if (!handle) {
+			handle = await open(path, "r");
+			inode = (await handle.stat()).ino;
+		}
+		if (stats.size < position) {
+			position = 0;
+			remainder = "";
+		}
+		await readToEnd();
+	};
+
+	const schedule = () => {
+		if (stopped) return;
+		timer = setTimeout(() => {
+			polling = poll()
+				.catch((err) => {
+					console.error(`[deadslog/system] Error following ${path}:`, err);
+				})
+				.then(() => {
+					polling = null;
+					schedule();
+				});
+		}, interval);
+	};
+
+	schedule();
+
+	return {
+		stop: async () => {
+			stopped = true;
+			clearTimeout(timer);
+			await polling;
+			if (handle) await handle.close();
+			handle = null;
+		},
+	};
+};
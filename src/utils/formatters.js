@@ -0,0 +1,225 @@
+import { format } from "node:util";
+import { isSerializedError, serializeError } from "./errors.js";
+
+/**
+ * Serializes a value to JSON, replacing circular references and expanding Error objects.
+ * @param {any} value - The value to serialize.
+ * @returns {string} - The JSON string.
+ */
+export const safeStringify = (value) => {
+	// Handle circular references
+	const cache = new Set();
+	return JSON.stringify(value, (key, val) => {
+		if (typeof val === "object" && val !== null) {
+			if (cache.has(val)) {
+				return "[Circular Reference]";
+			}
+			cache.add(val);
+		}
+
+		// Special handling for Error objects
+		if (val instanceof Error) {
+			return serializeError(val);
+		}
+
+		return val;
+	});
+};
+
+/**
+ * Converts a log message of any type to a printable string.
+ * @param {any} message - The log message.
+ * @returns {string} - The printable message.
+ */
+export const stringifyMessage = (message) => {
+	switch (typeof message) {
+		case "undefined":
+			return "[Message is undefined]";
+		case "object":
+			if (message === null) return "null";
+			try {
+				return safeStringify(message);
+			} catch (err) {
+				return `[Non-serializable object: ${err.message}]`;
+			}
+		default:
+			return message.toString();
+	}
+};
+
+/**
+ * Format specifiers of `util.format` consuming an argument.
+ * @constant {RegExp}
+ */
+const formatSpecifiers = /%[sdifjoOc%]/g;
+
+/**
+ * Whether a value is a plain object, as opposed to an array or a class instance.
+ * @param {any} value - The value to check.
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+	if (typeof value !== "object" || value === null) return false;
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Builds the message and fields of a variadic log call.
+ * A string message is formatted with `util.format` semantics (`%s`, `%d`, `%i`, `%f`, `%j`,
+ * `%o`, `%O`), each specifier consuming one argument. Remaining plain objects are merged as
+ * fields, the first remaining Error becomes the `err` field and any other value is appended
+ * to the message, as `console.log` does. Non-string messages are kept as is unless values
+ * have to be appended.
+ * @param {any} msg - The first argument of the log call.
+ * @param {any[]} args - The other arguments of the log call.
+ * @returns {{msg: any, fields: Object|null}} - The message and the merged fields, if any.
+ */
+export const formatLogArgs = (msg, args) => {
+	if (args.length === 0) return { msg, fields: null };
+
+	let consumed = 0;
+	if (typeof msg === "string") {
+		const specifiers = msg.match(formatSpecifiers) || [];
+		consumed = Math.min(
+			specifiers.filter((specifier) => specifier !== "%%").length,
+			args.length,
+		);
+	}
+
+	let fields = null;
+	const appended = [];
+	for (const arg of args.slice(consumed)) {
+		if (typeof arg === "undefined") continue;
+		if (isPlainObject(arg)) {
+			fields = { ...fields, ...arg };
+		} else if (arg instanceof Error && !(fields && "err" in fields)) {
+			fields = { ...fields, err: arg };
+		} else {
+			appended.push(arg);
+		}
+	}
+
+	if (consumed === 0 && appended.length === 0) return { msg, fields };
+	return {
+		msg: format(msg, ...args.slice(0, consumed), ...appended),
+		fields,
+	};
+};
+
+/**
+ * Renders a serialized error as readable text: its stack trace (or name and message)
+ * with its custom properties as JSON, followed by its aggregated errors and its cause chain.
+ * @param {import("./errors.js").SerializedError} error - The serialized error.
+ * @returns {string} - The readable error.
+ */
+export const formatErrorText = (error) => {
+	const { name, message, stack, cause, errors, ...props } = error;
+	let text = stack || `${name}: ${message}`;
+	if (Object.keys(props).length > 0) {
+		const [header, ...frames] = text.split("\n");
+		text = [`${header} ${stringifyMessage(props)}`, ...frames].join("\n");
+	}
+	if (Array.isArray(errors)) {
+		for (const [i, item] of errors.entries()) {
+			const itemText = isSerializedError(item)
+				? formatErrorText(item)
+				: stringifyMessage(item);
+			text += `\n  [${i}] ${itemText.split("\n").join("\n      ")}`;
+		}
+	}
+	if (typeof cause !== "undefined") {
+		text += `\nCaused by: ${
+			isSerializedError(cause)
+				? formatErrorText(cause)
+				: stringifyMessage(cause)
+		}`;
+	}
+	return text;
+};
+
+/**
+ * Log record passed to formatters.
+ * @typedef {Object} LogRecord
+ * @property {string} level - The log level (e.g., "info", "error").
+ * @property {string} time - ISO timestamp of the log call.
+ * @property {any} msg - The log message, which can be of any type.
+ * @property {string} [namespace] - The namespace of the logger, when it has one.
+ */
+
+/**
+ * Renders the message of a log record followed by its extra fields as JSON.
+ * Serialized errors, as the message or as fields, are rendered on the following lines
+ * by `formatErrorText`.
+ * @param {LogRecord} record - The log record.
+ * @returns {string} - The message and fields.
+ */
+const formatMessageText = (record) => {
+	const { level, time, msg, namespace, ...rest } = record;
+	const fields = {};
+	const errors = [];
+	for (const [key, value] of Object.entries(rest)) {
+		if (isSerializedError(value)) errors.push(value);
+		else fields[key] = value;
+	}
+
+	// Fields belong to the first line, before the stack trace of an error message
+	const [header, ...frames] = isSerializedError(msg)
+		? formatErrorText(msg).split("\n")
+		: [stringifyMessage(msg)];
+	let text = header;
+	if (Object.keys(fields).length > 0) text += ` ${stringifyMessage(fields)}`;
+	for (const line of [...frames, ...errors.map(formatErrorText)]) {
+		text += `\n${line}`;
+	}
+	return text;
+};
+
+/**
+ * Default formatter function for log records.
+ * Produces `[LEVEL] [timestamp] - message`, or `[LEVEL] [timestamp] [namespace] - message`
+ * for namespaced loggers, followed by any extra fields as JSON and errors on the
+ * following lines.
+ * @param {LogRecord} record - The log record.
+ * @returns {string} - A formatted log message string.
+ */
+export const defaultFormatter = (record) => {
+	const { level, time, namespace } = record;
+	const prefix = namespace
+		? `[${level.toUpperCase()}] [${time}] [${namespace}]`
+		: `[${level.toUpperCase()}] [${time}]`;
+	return `${prefix} - ${formatMessageText(record)}`;
+};
+
+/**
+ * Adapts a formatter of the `(level, message)` form used before log records.
+ * It receives the uppercased level and the message, followed by the extra fields as JSON
+ * and errors on the following lines, as the default formatter renders them.
+ * @example
+ * deadslog({ formatter: legacyFormatter((level, message) => `[${level}] ${message}`) });
+ * @param {(level: string, message: string) => string} formatter - The legacy formatter.
+ * @returns {(record: LogRecord) => string} - A formatter of log records.
+ */
+export const legacyFormatter = (formatter) => {
+	if (typeof formatter !== "function")
+		throw new Error("legacyFormatter requires a function.");
+	return (record) =>
+		formatter(record.level.toUpperCase(), formatMessageText(record));
+};
+
+/**
+ * JSON formatter producing one NDJSON line per log record.
+ * @param {LogRecord} record - The log record.
+ * @returns {string} - The record serialized as a single JSON line.
+ */
+export const jsonFormatter = (record) => {
+	try {
+		return safeStringify(record);
+	} catch (err) {
+		return safeStringify({
+			level: record.level,
+			time: record.time,
+			msg: `[Non-serializable object: ${err.message}]`,
+		});
+	}
+};
@@ -0,0 +1,117 @@
+import { request as httpRequest } from "node:http";
+import { request as httpsRequest } from "node:https";
+
+/**
+ * Valid body formats of the HTTP transport.
+ * @constant {string[]}
+ */
+export const validHttpFormats = ["json", "ndjson", "elasticsearch", "loki"];
+
+/**
+ * Log entry held in a batch: the formatted line and the record serialized as JSON.
+ * @typedef {Object} BatchEntry
+ * @property {string} line - The formatted line.
+ * @property {string} json - The log record serialized as JSON.
+ * @property {string} level - The log level.
+ * @property {string} time - ISO timestamp of the record.
+ */
+
+/**
+ * Builds the request body of a batch.
+ * - `json`: an array of records.
+ * - `ndjson`: one record per line.
+ * - `elasticsearch`: a bulk request indexing every record into `index`.
+ * - `loki`: a push request with one stream per level, labelled with `labels` and the level.
+ * @param {string} format - The body format.
+ * @param {BatchEntry[]} entries - The entries of the batch.
+ * @param {Object} [options] - Format options.
+ * @param {string} [options.index="logs"] - Elasticsearch index.
+ * @param {Object<string, string>} [options.labels={}] - Loki stream labels.
+ * @returns {{body: string, contentType: string}}
+ */
+export const buildRequestBody = (
+	format,
+	entries,
+	{ index = "logs", labels = {} } = {},
+) => {
+	switch (format) {
+		case "ndjson":
+			return {
+				body: `${entries.map(({ json }) => json).join("\n")}\n`,
+				contentType: "application/x-ndjson",
+			};
+		case "elasticsearch": {
+			const action = JSON.stringify({ index: { _index: index } });
+			return {
+				body: entries.map(({ json }) => `${action}\n${json}\n`).join(""),
+				contentType: "application/x-ndjson",
+			};
+		}
+		case "loki": {
+			const streams = new Map();
+			for (const { line, level, time } of entries) {
+				if (!streams.has(level)) streams.set(level, []);
+				// Loki timestamps are nanoseconds since the epoch, as strings
+				streams.get(level).push([`${Date.parse(time)}000000`, line]);
+			}
+			return {
+				body: JSON.stringify({
+					streams: [...streams].map(([level, values]) => ({
+						stream: { ...labels, level },
+						values,
+					})),
+				}),
+				contentType: "application/json",
+			};
+		}
+		default:
+			return {
+				body: `[${entries.map(({ json }) => json).join(",")}]`,
+				contentType: "application/json",
+			};
+	}
+};
+
+/**
+ * Computes the delay before a retry: exponential backoff with full jitter.
+ * @param {number} attempt - The number of failed attempts so far, from 1.
+ * @param {{minDelay: number, maxDelay: number}} retry - The bounds of the delay.
+ * @returns {number} - The delay in milliseconds.
+ */
+export const backoffDelay = (attempt, { minDelay, maxDelay }) =>
+	Math.random() * Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+
+/**
+ * Sends an HTTP request.
+ * Resolves with the status code of any response, and rejects on network errors and timeouts.
+ * @param {URL} url - The destination.
+ * @param {Object} options - The request options.
+ * @param {string} options.method - The HTTP method.
+ * @param {Object<string, string>} options.headers - The request headers.
+ * @param {Buffer|string} options.body - The request body.
+ * @param {number} options.timeout - Timeout in milliseconds.
+ * @returns {Promise<number>} - The status code.
+ */
+export const sendRequest = (url, { method, headers, body, timeout }) =>
+	new Promise((resolve, reject) => {
+		const request = url.protocol === "https:" ? httpsRequest : httpRequest;
+		const req = request(
+			url,
+			{
+				method,
+				headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+				timeout,
+			},
+			(res) => {
+				// The body is not needed, but must be consumed to free the socket
+				res.resume();
+				res.on("end", () => resolve(res.statusCode));
+				res.on("error", reject);
+			},
+		);
+		req.on("timeout", () => {
+			req.destroy(new Error(`Request timed out after ${timeout}ms.`));
+		});
+		req.on("error", reject);
+		req.end(body);
+	});
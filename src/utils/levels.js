@@ -0,0 +1,154 @@
+import * as yoctocolors from "yoctocolors";
+
+const { greenBright, gray, blue, green, yellow, red, white, bgBlack, bgWhite } =
+	yoctocolors;
+
+/**
+ * Values of the built-in log levels. Higher values are more severe.
+ * @constant {Object<string, number>}
+ */
+export const defaultLevels = {
+	trace: 10,
+	debug: 20,
+	info: 30,
+	success: 35,
+	warn: 40,
+	error: 50,
+	fatal: 60,
+};
+
+/**
+ * Order of log levels.
+ * @constant {string[]}
+ */
+export const levelOrder = Object.keys(defaultLevels);
+
+/**
+ * Names that custom levels cannot take, as they would shadow logger methods.
+ * @constant {string[]}
+ */
+export const reservedLevelNames = [
+	"child",
+	"runWithContext",
+	"setLevel",
+	"setFilters",
+	"reconfigure",
+	"flush",
+	"destroy",
+	"getMetrics",
+	"query",
+	"time",
+	"timeEnd",
+	"startTimer",
+	"profile",
+	"captureConsole",
+	"releaseConsole",
+];
+
+/**
+ * Composes two functions to apply transformations.
+ * @param {Function} f - The first function.
+ * @param {Function} g - The second function.
+ * @returns {Function} - A composed function.
+ */
+export const compose = (f, g) => (x) => f(g(x));
+
+/**
+ * Map of log levels to their respective colors.
+ * @constant {Object}
+ */
+export const colorMap = {
+	trace: compose(greenBright, bgBlack),
+	debug: gray,
+	info: blue,
+	success: green,
+	warn: yellow,
+	error: red,
+	fatal: compose(bgWhite, red),
+	default: white,
+};
+
+/**
+ * Validates a minimum log level value.
+ * @param {string} minLevel - The level to validate.
+ * @param {string} [name="minLevel"] - The option name used in error messages.
+ * @param {string[]} [levels=levelOrder] - The valid levels, in ascending order.
+ */
+export const validateMinLevel = (
+	minLevel,
+	name = "minLevel",
+	levels = levelOrder,
+) => {
+	if (typeof minLevel !== "string")
+		throw new Error(`${name} must be a string.`);
+	if (!levels.includes(minLevel))
+		throw new Error(
+			`Invalid value for ${name}: ${minLevel}. Valid levels are: ${levels.join(", ")}.`,
+		);
+};
+
+/**
+ * Validates custom log levels.
+ * @param {Object<string, number>} levels - Values of the custom levels, keyed by name.
+ * @param {string} [name="levels"] - The option name used in error messages.
+ */
+export const validateLevels = (levels, name = "levels") => {
+	if (!levels || typeof levels !== "object")
+		throw new Error(`${name} must be an object.`);
+	for (const [level, value] of Object.entries(levels)) {
+		if (!/^[a-z][a-zA-Z0-9]*$/.test(level))
+			throw new Error(
+				`Invalid level name in ${name}: "${level}". Level names must be alphanumeric and start with a lowercase letter.`,
+			);
+		if (levelOrder.includes(level))
+			throw new Error(
+				`Invalid level name in ${name}: "${level}" is a built-in level.`,
+			);
+		if (reservedLevelNames.includes(level))
+			throw new Error(
+				`Invalid level name in ${name}: "${level}" is a logger method.`,
+			);
+		if (!Number.isFinite(value))
+			throw new Error(`${name}.${level} must be a number.`);
+	}
+};
+
+/**
+ * Validates level colors.
+ * @param {Object<string, string|Function>} colors - Colors keyed by level: names of `yoctocolors` functions or color functions.
+ * @param {string[]} levels - The valid levels.
+ * @param {string} [name="colors"] - The option name used in error messages.
+ */
+export const validateColors = (colors, levels, name = "colors") => {
+	if (!colors || typeof colors !== "object")
+		throw new Error(`${name} must be an object.`);
+	for (const [level, color] of Object.entries(colors)) {
+		if (!levels.includes(level))
+			throw new Error(
+				`Invalid level in ${name}: "${level}". Valid levels are: ${levels.join(", ")}.`,
+			);
+		if (typeof color === "function") continue;
+		if (typeof color !== "string" || typeof yoctocolors[color] !== "function")
+			throw new Error(
+				`Invalid value for ${name}.${level}: "${color}". Colors must be functions or yoctocolors names such as magenta or bgRed.`,
+			);
+	}
+};
+
+/**
+ * Resolves the log levels of a logger.
+ * @param {Object<string, number>} [levels={}] - Values of the custom levels.
+ * @param {Object<string, string|Function>} [colors={}] - Colors keyed by level.
+ * @returns {{values: Object<string, number>, order: string[], colors: Object<string, Function>}} - Values of every level, level names in ascending order, and color functions keyed by level.
+ */
+export const resolveLevels = (levels = {}, colors = {}) => {
+	const values = { ...defaultLevels, ...levels };
+	// Sorting is stable, so levels sharing a value keep built-ins first
+	const order = Object.keys(values).sort((a, b) => values[a] - values[b]);
+	const resolvedColors = { ...colorMap };
+	for (const [level, color] of Object.entries(colors)) {
+		resolvedColors[level] =
+			typeof color === "function" ? color : yoctocolors[color];
+	}
+	return { values, order, colors: resolvedColors };
+};
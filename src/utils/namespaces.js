@@ -0,0 +1,110 @@
+import {
+	cyan,
+	magenta,
+	blue,
+	green,
+	yellow,
+	red,
+	cyanBright,
+	magentaBright,
+	blueBright,
+	greenBright,
+	yellowBright,
+	redBright,
+} from "yoctocolors";
+
+/**
+ * Environment variable selecting the namespaces whose debug output is enabled.
+ * @constant {string}
+ */
+export const DEBUG_ENV_VAR = "DEADSLOG_DEBUG";
+
+/**
+ * Colors assigned to namespaces.
+ * @constant {Function[]}
+ */
+const namespaceColors = [
+	cyan,
+	magenta,
+	blue,
+	green,
+	yellow,
+	red,
+	cyanBright,
+	magentaBright,
+	blueBright,
+	greenBright,
+	yellowBright,
+	redBright,
+];
+
+/**
+ * Validates a namespace name.
+ * @param {string} name - The namespace, e.g. "db:pool".
+ * @param {string} [optionName="name"] - The option name used in error messages.
+ */
+export const validateNamespace = (name, optionName = "name") => {
+	if (typeof name !== "string" || !name)
+		throw new Error(`${optionName} must be a non-empty string.`);
+	if (/[\s,*]/.test(name) || name.startsWith("-"))
+		throw new Error(
+			`Invalid value for ${optionName}: "${name}". Namespaces cannot contain whitespace, commas or "*", nor start with "-".`,
+		);
+};
+
+/**
+ * Converts a namespace pattern with `*` wildcards to a regular expression.
+ * @param {string} pattern - The namespace pattern.
+ * @returns {RegExp}
+ */
+const patternToRegExp = (pattern) =>
+	new RegExp(
+		`^${pattern
+			.split("*")
+			.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+			.join(".*")}$`,
+	);
+
+/**
+ * Parses a namespace selection such as `db:*,-db:pool`.
+ * Patterns are separated by commas or whitespace; `*` matches any characters and a
+ * leading `-` excludes the matching namespaces.
+ * @param {string} [selection] - The selection, usually the `DEADSLOG_DEBUG` environment variable.
+ * @returns {{include: RegExp[], exclude: RegExp[]}|null} - The parsed selection, or null when there is none.
+ */
+export const parseNamespaceSelection = (selection) => {
+	if (typeof selection !== "string" || !selection.trim()) return null;
+	const include = [];
+	const exclude = [];
+	for (const pattern of selection.split(/[\s,]+/)) {
+		if (!pattern) continue;
+		if (pattern.startsWith("-"))
+			exclude.push(patternToRegExp(pattern.slice(1)));
+		else include.push(patternToRegExp(pattern));
+	}
+	return { include, exclude };
+};
+
+/**
+ * Tells whether a namespace is selected.
+ * @param {{include: RegExp[], exclude: RegExp[]}} selection - The parsed selection.
+ * @param {string} name - The namespace.
+ * @returns {boolean}
+ */
+export const isNamespaceSelected = (selection, name) =>
+	!selection.exclude.some((regex) => regex.test(name)) &&
+	selection.include.some((regex) => regex.test(name));
+
+/**
+ * Picks the console color of a namespace.
+ * The color is derived from the name, so a namespace keeps its color across loggers and runs.
+ * @param {string} name - The namespace.
+ * @returns {Function} - The color function.
+ */
+export const namespaceColor = (name) => {
+	let hash = 0;
+	for (let i = 0; i < name.length; i++) {
+		hash = (hash * 31 + name.charCodeAt(i)) | 0;
+	}
+	return namespaceColors[Math.abs(hash) % namespaceColors.length];
+};
@@ -0,0 +1,169 @@
+import tty from "node:tty";
+import { inspect } from "node:util";
+import { bold, dim, gray, inverse, red } from "yoctocolors";
+import { defaultTrimmedFrames, isSerializedError } from "./errors.js";
+import { formatErrorText, stringifyMessage } from "./formatters.js";
+import { colorMap } from "./levels.js";
+import { namespaceColor } from "./namespaces.js";
+
+/**
+ * Default options of the pretty console mode.
+ * @constant {{depth: number, maxStringLength: number, maxArrayLength: number}}
+ */
+export const DEFAULT_PRETTY_OPTIONS = {
+	depth: 4,
+	maxStringLength: 500,
+	maxArrayLength: 50,
+};
+
+/**
+ * Whether the terminal supports colors, decided like `yoctocolors` does, so that
+ * `util.inspect` highlighting and level colors are on or off together.
+ * @constant {boolean}
+ */
+const terminalColors = tty.WriteStream?.prototype?.hasColors?.() ?? false;
+
+/**
+ * Keys of a log record rendered in the header line.
+ * @constant {string[]}
+ */
+const headerKeys = ["level", "time", "msg", "namespace"];
+
+/**
+ * Validates the options of the pretty console mode.
+ * @param {Object} pretty - The pretty mode options.
+ * @param {string} [name="pretty"] - The option name used in error messages.
+ */
+export const validatePrettyOptions = (pretty, name = "pretty") => {
+	if (!pretty || typeof pretty !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof pretty.depth !== "undefined") {
+		if (
+			pretty.depth !== Number.POSITIVE_INFINITY &&
+			(!Number.isInteger(pretty.depth) || pretty.depth < 0)
+		)
+			throw new Error(
+				`${name}.depth must be a non-negative integer or Infinity.`,
+			);
+	}
+	for (const key of ["maxStringLength", "maxArrayLength"]) {
+		if (typeof pretty[key] === "undefined") continue;
+		if (!Number.isInteger(pretty[key]) || pretty[key] < 1)
+			throw new Error(`${name}.${key} must be a positive integer.`);
+	}
+};
+
+/**
+ * Formats the local time of a record as `HH:MM:SS.mmm`.
+ * @param {string} time - ISO timestamp of the record.
+ * @returns {string}
+ */
+const shortTime = (time) => {
+	const date = new Date(time);
+	const pad = (number, length = 2) => String(number).padStart(length, "0");
+	return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+/**
+ * Indents the lines following the first one.
+ * @param {string} text - The text.
+ * @param {string} indent - The indentation.
+ * @returns {string}
+ */
+const indentRest = (text, indent) => text.split("\n").join(`\n${indent}`);
+
+/**
+ * Creates a formatter rendering records for reading in a terminal during development:
+ * a short local timestamp, a level badge, the namespace and the message on the first line,
+ * then one line per metadata field, objects being printed as indented trees by
+ * `util.inspect`. Error stack traces are printed with the frames of the application
+ * emphasized, and those of dependencies and Node.js internals dimmed.
+ * @param {Object} [options] - The pretty mode options.
+ * @param {number} [options.depth=4] - Depth of the printed objects.
+ * @param {number} [options.maxStringLength=500] - Characters printed of long strings.
+ * @param {number} [options.maxArrayLength=50] - Items printed of long arrays, maps and sets.
+ * @param {Object} [settings] - Settings of the logger owning the console.
+ * @param {boolean} [settings.colored=true] - Whether to use colors, when the terminal supports them.
+ * @param {Object<string, Function>} [settings.colors] - Color functions keyed by level.
+ * @param {string[]} [settings.levels] - Names of the logger's levels, used to align the badges.
+ * @returns {(record: import("./formatters.js").LogRecord) => string} - The formatter.
+ */
+export const createPrettyFormatter = (
+	{
+		depth = DEFAULT_PRETTY_OPTIONS.depth,
+		maxStringLength = DEFAULT_PRETTY_OPTIONS.maxStringLength,
+		maxArrayLength = DEFAULT_PRETTY_OPTIONS.maxArrayLength,
+	} = {},
+	{ colored = true, colors = colorMap, levels = Object.keys(colorMap) } = {},
+) => {
+	const useColors = colored && terminalColors;
+	const paint = (fn, text) => (useColors ? fn(text) : text);
+	const badgeWidth = Math.max(...levels.map((level) => level.length));
+	const inspectOptions = {
+		colors: useColors,
+		depth,
+		maxStringLength,
+		maxArrayLength,
+		breakLength: 100,
+	};
+
+	const truncate = (text) =>
+		text.length > maxStringLength
+			? `${text.slice(0, maxStringLength)}... ${text.length - maxStringLength} more characters`
+			: text;
+
+	const renderError = (error) =>
+		formatErrorText(error)
+			.split("\n")
+			.map((line, i) => {
+				if (i === 0) return paint(red, line);
+				if (!/^\s+at /.test(line)) return line;
+				const external = defaultTrimmedFrames.some((pattern) =>
+					pattern.test(line),
+				);
+				return external ? paint(gray, line) : paint(bold, line);
+			})
+			.join("\n");
+
+	const renderValue = (value) => {
+		if (isSerializedError(value)) return renderError(value);
+		return inspect(value, inspectOptions);
+	};
+
+	return (record) => {
+		const { level, time, msg, namespace } = record;
+		const colorFn = colors[level] || colors.default;
+		const badge = paint(
+			(text) => inverse(colorFn(text)),
+			` ${level.toUpperCase().padEnd(badgeWidth)} `,
+		);
+		const parts = [paint(dim, shortTime(time)), badge];
+		if (typeof namespace === "string")
+			parts.push(paint(namespaceColor(namespace), namespace));
+
+		const details = [];
+		if (isSerializedError(msg)) {
+			details.push(renderError(msg));
+		} else if (typeof msg === "object" && msg !== null) {
+			details.push(renderValue(msg));
+		} else {
+			parts.push(truncate(stringifyMessage(msg)));
+		}
+
+		for (const [key, value] of Object.entries(record)) {
+			if (headerKeys.includes(key)) continue;
+			const rendered = renderValue(value);
+			// Errors start on their own line, below the field name
+			details.push(
+				isSerializedError(value)
+					? `${paint(dim, `${key}:`)}\n  ${indentRest(rendered, "  ")}`
+					: `${paint(dim, `${key}:`)} ${indentRest(rendered, "  ")}`,
+			);
+		}
+
+		return [
+			parts.join(" "),
+			...details.map((text) => `  ${indentRest(text, "  ")}`),
+		].join("\n");
+	};
+};
@@ -0,0 +1,285 @@
+import { createReadStream } from "node:fs";
+import { stat } from "node:fs/promises";
+import { createInterface } from "node:readline";
+import { codecs } from "./compression.js";
+import { listRotatedFiles } from "./rotation.js";
+
+/**
+ * Header of an entry in the default text format:
+ * `[LEVEL] [timestamp] - message` or `[LEVEL] [timestamp] [namespace] - message`.
+ * @constant {RegExp}
+ */
+const textHeader =
+	/^\[([^\]\s]+)\] \[(\d{4}-\d{2}-\d{2}T[^\]]+)\](?: \[([^\]]+)\])? - (.*)$/;
+
+/**
+ * Search options of a log query.
+ * @typedef {Object} QueryOptions
+ * @property {Date|number|string} [from] - Earliest time of the entries, inclusive.
+ * @property {Date|number|string} [to] - Latest time of the entries, inclusive.
+ * @property {string[]} [levels] - Levels of the entries.
+ * @property {string} [text] - Text the entry must contain.
+ * @property {RegExp|string} [regex] - Pattern the entry must match.
+ * @property {number} [limit] - Maximum number of entries.
+ * @property {Object<string, any>} [fields] - Field values the entry must have. RegExp values match string fields.
+ */
+
+/**
+ * Converts a time option to epoch milliseconds.
+ * @param {Date|number|string} value - The time.
+ * @returns {number} - Epoch milliseconds, NaN if invalid.
+ */
+const toTime = (value) =>
+	value instanceof Date
+		? value.getTime()
+		: typeof value === "number"
+			? value
+			: Date.parse(value);
+
+/**
+ * Validates the options of a log query.
+ * @param {QueryOptions} options - The query options.
+ * @param {string} [name="query"] - The option name used in error messages.
+ */
+export const validateQueryOptions = (options, name = "query") => {
+	if (!options || typeof options !== "object")
+		throw new Error(`${name} options must be an object.`);
+	for (const key of ["from", "to"]) {
+		if (typeof options[key] === "undefined") continue;
+		const valid =
+			(options[key] instanceof Date ||
+				typeof options[key] === "number" ||
+				typeof options[key] === "string") &&
+			!Number.isNaN(toTime(options[key]));
+		if (!valid)
+			throw new Error(
+				`${name}.${key} must be a Date, epoch milliseconds or a date string.`,
+			);
+	}
+	if (typeof options.levels !== "undefined") {
+		if (
+			!Array.isArray(options.levels) ||
+			!options.levels.every((level) => typeof level === "string")
+		)
+			throw new Error(`${name}.levels must be an array of strings.`);
+	}
+	if (typeof options.text !== "undefined") {
+		if (typeof options.text !== "string")
+			throw new Error(`${name}.text must be a string.`);
+	}
+	if (typeof options.regex !== "undefined") {
+		if (!(options.regex instanceof RegExp) && typeof options.regex !== "string")
+			throw new Error(`${name}.regex must be a RegExp or a string.`);
+	}
+	if (typeof options.limit !== "undefined") {
+		if (!Number.isInteger(options.limit) || options.limit < 1)
+			throw new Error(`${name}.limit must be a positive integer.`);
+	}
+	if (typeof options.fields !== "undefined") {
+		if (!options.fields || typeof options.fields !== "object")
+			throw new Error(`${name}.fields must be an object.`);
+	}
+};
+
+/**
+ * Parses the metadata fields appended as JSON to the message of a text entry.
+ * @param {string} text - The message, possibly followed by ` {...}`.
+ * @returns {{msg: string, fields: Object}} - The message and its fields.
+ */
+const splitFields = (text) => {
+	if (!text.endsWith("}")) return { msg: text, fields: {} };
+	// The leftmost opening brace that starts valid JSON is the start of the fields
+	for (let i = text.indexOf(" {"); i !== -1; i = text.indexOf(" {", i + 1)) {
+		try {
+			const fields = JSON.parse(text.slice(i + 1));
+			if (fields && typeof fields === "object" && !Array.isArray(fields))
+				return { msg: text.slice(0, i), fields };
+		} catch {
+			// Not the start of the fields
+		}
+	}
+	return { msg: text, fields: {} };
+};
+
+/**
+ * Parses an NDJSON line into a log record.
+ * @param {string} line - The line.
+ * @returns {Object|null} - The record, or null if the line is not a JSON log record.
+ */
+const parseJsonLine = (line) => {
+	if (!line.startsWith("{")) return null;
+	try {
+		const record = JSON.parse(line);
+		return record &&
+			typeof record.level === "string" &&
+			typeof record.time === "string"
+			? record
+			: null;
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Parses a log line, in NDJSON or in the default text format, into a log record.
+ * Text lines have the fields appended to their message parsed back.
+ * @param {string} line - The line.
+ * @returns {Object|null} - The record, or null if the line does not start a log entry,
+ * e.g. a line of a stack trace.
+ */
+export const parseLine = (line) => {
+	const record = parseJsonLine(line);
+	if (record) return record;
+	const header = line.match(textHeader);
+	if (!header) return null;
+	const [, level, time, namespace, text] = header;
+	const { msg, fields } = splitFields(text);
+	return {
+		level: level.toLowerCase(),
+		time,
+		...(namespace && { namespace }),
+		msg,
+		...fields,
+	};
+};
+
+/**
+ * Groups log lines into entries.
+ * The lines following a text entry (stack traces, error causes) are appended to its
+ * message; lines before the first entry are skipped.
+ * @param {AsyncIterable<string>} lines - The log lines.
+ * @returns {AsyncGenerator<{record: Object, raw: string}>} - The entries and their raw text.
+ */
+export async function* parseEntries(lines) {
+	let pending = null;
+	for await (const line of lines) {
+		const record = parseLine(line);
+		if (record) {
+			if (pending) yield pending;
+			pending = { record, raw: line };
+		} else if (pending) {
+			pending.record.msg += `\n${line}`;
+			pending.raw += `\n${line}`;
+		}
+	}
+	if (pending) yield pending;
+}
+
+/**
+ * Reads the lines of a log file, decompressing `.gz` and `.br` archives.
+ * @param {string} path - Path of the log file.
+ * @returns {AsyncGenerator<string>} - The lines.
+ */
+export async function* readLines(path) {
+	const codec = Object.values(codecs).find(({ extension }) =>
+		path.endsWith(extension),
+	);
+	const file = createReadStream(path);
+	const input = codec ? file.pipe(codec.decompress()) : file;
+	file.on("error", (err) => input.destroy(err));
+	const lines = createInterface({ input, crlfDelay: Number.POSITIVE_INFINITY });
+	try {
+		yield* lines;
+	} finally {
+		lines.close();
+		file.destroy();
+		if (input !== file) input.destroy();
+	}
+}
+
+/**
+ * Reads the entries of a log file, decompressing archives.
+ * @param {string} path - Path of the log file.
+ * @returns {AsyncGenerator<{record: Object, raw: string}>} - The entries and their raw text.
+ */
+export const readEntries = (path) => parseEntries(readLines(path));
+
+/**
+ * Creates a function testing log entries against the filters of a query.
+ * @param {QueryOptions} options - The query options. `limit` is ignored.
+ * @returns {(entry: {record: Object, raw: string}) => boolean} - Whether an entry and its raw text match.
+ */
+export const createQueryMatcher = (options) => {
+	validateQueryOptions(options);
+	const from =
+		typeof options.from === "undefined" ? null : toTime(options.from);
+	const to = typeof options.to === "undefined" ? null : toTime(options.to);
+	const { levels, text, fields } = options;
+	const regex =
+		typeof options.regex === "string"
+			? new RegExp(options.regex)
+			: options.regex;
+	return ({ record, raw }) => {
+		const time = Date.parse(record.time);
+		if (from !== null && !(time >= from)) return false;
+		if (to !== null && !(time <= to)) return false;
+		if (levels && !levels.includes(record.level)) return false;
+		if (typeof text === "string" && !raw.includes(text)) return false;
+		if (regex) {
+			regex.lastIndex = 0;
+			if (!regex.test(raw)) return false;
+		}
+		if (fields) {
+			for (const [key, expected] of Object.entries(fields)) {
+				const value = record[key];
+				const ok =
+					expected instanceof RegExp
+						? typeof value === "string" && expected.test(value)
+						: value === expected;
+				if (!ok) return false;
+			}
+		}
+		return true;
+	};
+};
+
+/**
+ * Streams the matching entries of a log file and its rotated files.
+ */
+async function* search(logFilePath, matches, { from, limit }) {
+	const rotated = await listRotatedFiles(logFilePath);
+	const files = rotated.map(({ path, mtimeMs }) => ({ path, mtimeMs }));
+	try {
+		const { mtimeMs } = await stat(logFilePath);
+		files.push({ path: logFilePath, mtimeMs });
+	} catch (err) {
+		if (err.code !== "ENOENT") throw err;
+	}
+
+	let count = 0;
+	for (const { path, mtimeMs } of files) {
+		// A file last written before `from` holds only older entries
+		if (from !== null && mtimeMs < from) continue;
+		try {
+			for await (const entry of readEntries(path)) {
+				if (!matches(entry)) continue;
+				yield entry.record;
+				if (++count >= limit) return;
+			}
+		} catch (err) {
+			// Rotation or retention may remove a file while it is listed
+			if (err.code !== "ENOENT")
+				console.error(`[deadslog/system] Error reading ${path}:`, err);
+		}
+	}
+}
+
+/**
+ * Searches a log file and its rotated files, oldest first.
+ * Both the numbered (`app.1.log`) and the date-stamped (`app.2026-10-19.log`) rotation
+ * schemes are read, archives (`.gz`, `.br`) are decompressed as they are streamed, and
+ * lines are parsed from the default text format or NDJSON. Text entries have their
+ * appended fields parsed back, and stack traces in their message.
+ * @param {string} logFilePath - Path of the active log file.
+ * @param {QueryOptions} [options] - The search options.
+ * @returns {AsyncGenerator<Object>} - The matching log records, in time order.
+ */
+export const queryLogs = (logFilePath, options = {}) => {
+	if (typeof logFilePath !== "string" || !logFilePath)
+		throw new Error("logFilePath must be a non-empty string.");
+	const matches = createQueryMatcher(options);
+	return search(logFilePath, matches, {
+		from: typeof options.from === "undefined" ? null : toTime(options.from),
+		limit: options.limit ?? Number.POSITIVE_INFINITY,
+	});
+};
@@ -0,0 +1,183 @@
+import { appendFileSync, closeSync, openSync, readSync } from "node:fs";
+import { open, appendFile, unlink } from "node:fs/promises";
+import { StringDecoder } from "node:string_decoder";
+
+/**
+ * Default maximum number of messages in a write queue.
+ * @constant {number}
+ */
+export const DEFAULT_QUEUE_SIZE = 100000;
+
+/**
+ * Size of the chunks read back from a spool file, in bytes.
+ * @constant {number}
+ */
+const SPOOL_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Valid policies for messages written to a full queue.
+ * @constant {string[]}
+ */
+export const validQueuePolicies = [
+	"dropNewest",
+	"dropOldest",
+	"block",
+	"spillToDisk",
+];
+
+/**
+ * Validates write queue options.
+ * @param {Object} queue - The queue options.
+ * @param {string} [name="queue"] - The option name used in error messages.
+ */
+export const validateQueueOptions = (queue, name = "queue") => {
+	if (!queue || typeof queue !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof queue.maxSize !== "undefined") {
+		if (!Number.isInteger(queue.maxSize) || queue.maxSize < 1)
+			throw new Error(`${name}.maxSize must be a positive integer.`);
+	}
+	if (typeof queue.maxBytes !== "undefined") {
+		if (typeof queue.maxBytes !== "number" || !(queue.maxBytes > 0))
+			throw new Error(`${name}.maxBytes must be a positive number.`);
+	}
+	if (typeof queue.policy !== "undefined") {
+		if (!validQueuePolicies.includes(queue.policy))
+			throw new Error(
+				`Invalid value for ${name}.policy: "${queue.policy}". ` +
+					`Valid values are: ${validQueuePolicies.join(", ")}.`,
+			);
+	}
+	if (typeof queue.onShed !== "undefined" && typeof queue.onShed !== "function")
+		throw new Error(`${name}.onShed must be a function.`);
+};
+
+/**
+ * Counts the lines left in a spool file by a previous process.
+ * A last line cut short by a crash is terminated, so that the next one does not extend it.
+ * @param {string} spoolPath - Path of the spool file.
+ * @returns {number} - The number of lines.
+ */
+const countSpooledLines = (spoolPath) => {
+	let fd;
+	try {
+		fd = openSync(spoolPath, "r");
+	} catch (err) {
+		if (err.code !== "ENOENT")
+			console.error("[deadslog/system] Error reading spool file:", err);
+		return 0;
+	}
+	let lines = 0;
+	let lastByte = 0x0a;
+	try {
+		const buffer = Buffer.alloc(SPOOL_CHUNK_SIZE);
+		for (;;) {
+			const bytesRead = readSync(fd, buffer, 0, buffer.length, null);
+			if (bytesRead === 0) break;
+			for (let i = 0; i < bytesRead; i++) if (buffer[i] === 0x0a) lines++;
+			lastByte = buffer[bytesRead - 1];
+		}
+	} finally {
+		closeSync(fd);
+	}
+	if (lastByte !== 0x0a) {
+		appendFileSync(spoolPath, "\n", "utf8");
+		lines++;
+	}
+	return lines;
+};
+
+/**
+ * Creates a spool file holding the lines that overflow a write queue.
+ * Lines are read back in the order they were written, starting with those left in the
+ * file by a previous process. Every file operation runs in sequence, so reads never see
+ * partial lines and the file is only removed once it has been read entirely.
+ * @param {string} spoolPath - Path of the spool file.
+ * @returns {{push: (line: string) => void, shift: (maxLines: number) => Promise<string[]>, close: () => Promise<void>, readonly size: number}} - The spool.
+ */
+export const createSpool = (spoolPath) => {
+	let operations = Promise.resolve();
+	let size = countSpooledLines(spoolPath);
+	let offset = 0;
+	let remainder = "";
+	// Keeps the characters split across chunks
+	let decoder = new StringDecoder("utf8");
+
+	const enqueue = (operation) => {
+		const result = operations.then(operation);
+		operations = result.catch((err) => {
+			console.error("[deadslog/system] Error using spool file:", err);
+		});
+		return result;
+	};
+
+	const reset = async () => {
+		offset = 0;
+		remainder = "";
+		decoder = new StringDecoder("utf8");
+		try {
+			await unlink(spoolPath);
+		} catch (err) {
+			if (err.code !== "ENOENT") throw err;
+		}
+	};
+
+	const push = (line) => {
+		size++;
+		enqueue(() => appendFile(spoolPath, `${line}\n`, "utf8")).catch(() => {
+			// The line is lost, and reported by enqueue
+			size--;
+		});
+	};
+
+	const shift = (maxLines) =>
+		enqueue(async () => {
+			const lines = [];
+			const handle = await open(spoolPath, "r");
+			try {
+				const buffer = Buffer.alloc(SPOOL_CHUNK_SIZE);
+				while (lines.length < maxLines && lines.length < size) {
+					const newline = remainder.indexOf("\n");
+					if (newline !== -1) {
+						lines.push(remainder.slice(0, newline));
+						remainder = remainder.slice(newline + 1);
+						continue;
+					}
+					const { bytesRead } = await handle.read(
+						buffer,
+						0,
+						buffer.length,
+						offset,
+					);
+					if (bytesRead === 0) break;
+					offset += bytesRead;
+					remainder += decoder.write(buffer.subarray(0, bytesRead));
+				}
+			} finally {
+				await handle.close();
+			}
+			size -= lines.length;
+			if (size === 0) await reset();
+			return lines;
+		}).catch(async () => {
+			// An unreadable spool is lost, rather than replayed forever
+			size = 0;
+			await reset().catch(() => {});
+			return [];
+		});
+
+	const close = () =>
+		enqueue(async () => {
+			size = 0;
+			await reset();
+		});
+
+	return {
+		push,
+		shift,
+		close,
+		get size() {
+			return size;
+		},
+	};
+};
@@ -0,0 +1,179 @@
+import { createHash } from "node:crypto";
+import { safeStringify } from "./formatters.js";
+
+/**
+ * Built-in value patterns, usable by name in `redact.patterns`.
+ * @constant {Object<string, RegExp>}
+ */
+export const redactPatterns = {
+	creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+	jwt: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+	email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+};
+
+/**
+ * Valid censors for redacted values.
+ * @constant {string[]}
+ */
+export const validCensors = ["mask", "hash", "remove"];
+
+/**
+ * Validates redaction options.
+ * @param {Object} redact - The redaction options.
+ * @param {string} [name="redact"] - The option name used in error messages.
+ */
+export const validateRedactOptions = (redact, name = "redact") => {
+	if (!redact || typeof redact !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof redact.paths !== "undefined") {
+		if (
+			!Array.isArray(redact.paths) ||
+			!redact.paths.every((path) => typeof path === "string" && path)
+		)
+			throw new Error(`${name}.paths must be an array of strings.`);
+	}
+	if (typeof redact.patterns !== "undefined") {
+		if (!Array.isArray(redact.patterns))
+			throw new Error(`${name}.patterns must be an array.`);
+		for (const pattern of redact.patterns) {
+			if (pattern instanceof RegExp) continue;
+			if (!Object.keys(redactPatterns).includes(pattern))
+				throw new Error(
+					`Invalid value for ${name}.patterns: "${pattern}". ` +
+						`Valid values are regular expressions or: ${Object.keys(redactPatterns).join(", ")}.`,
+				);
+		}
+	}
+	if (typeof redact.censor !== "undefined") {
+		if (!validCensors.includes(redact.censor))
+			throw new Error(
+				`Invalid value for ${name}.censor: "${redact.censor}". ` +
+					`Valid values are: ${validCensors.join(", ")}.`,
+			);
+	}
+	if (typeof redact.mask !== "undefined" && typeof redact.mask !== "string")
+		throw new Error(`${name}.mask must be a string.`);
+};
+
+/**
+ * Whether a value is a plain object, as opposed to a class instance.
+ * @param {any} value - The value to check.
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Creates a function returning a redacted copy of a log record.
+ * Key paths are dot-separated and matched case-insensitively from the record root,
+ * `*` matching any single key. When the message is an object, its keys are matched as
+ * if they were fields of the record. Value patterns apply to every string, including
+ * string messages. The original record and its values are never modified.
+ * @param {Object} redact - The redaction options.
+ * @param {string[]} [redact.paths] - Key paths to redact, e.g. `password`, `headers.authorization`, `*.token`.
+ * @param {Array<RegExp|string>} [redact.patterns] - Patterns of values to redact, or names of built-in patterns.
+ * @param {string} [redact.censor="mask"] - How to redact: "mask", "hash" or "remove".
+ * @param {string} [redact.mask="[REDACTED]"] - Replacement used by the "mask" censor.
+ * @returns {(record: import("./formatters.js").LogRecord) => import("./formatters.js").LogRecord} - The redactor.
+ */
+export const createRedactor = ({
+	paths = [],
+	patterns = [],
+	censor = "mask",
+	mask = "[REDACTED]",
+}) => {
+	const keyPaths = paths.map((path) => path.toLowerCase().split("."));
+	const valuePatterns = patterns.map((pattern) => {
+		const regex = pattern instanceof RegExp ? pattern : redactPatterns[pattern];
+		// Replacing every match requires the global flag
+		return regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+	});
+
+	const hash = (value) =>
+		`[sha256:${createHash("sha256")
+			.update(typeof value === "string" ? value : safeStringify(value))
+			.digest("hex")
+			.slice(0, 16)}]`;
+
+	const censorValue = (value) => (censor === "hash" ? hash(value) : mask);
+
+	const redactString = (str) =>
+		valuePatterns.reduce(
+			(result, regex) =>
+				result.replace(regex, (match) =>
+					censor === "remove" ? "" : censorValue(match),
+				),
+			str,
+		);
+
+	// Remaining path suffixes that apply to the children of a key
+	const descend = (pending, key) => {
+		const next = [];
+		let matched = false;
+		const lowerKey = key.toLowerCase();
+		for (const path of pending) {
+			if (path[0] !== "*" && path[0] !== lowerKey) continue;
+			if (path.length === 1) matched = true;
+			else next.push(path.slice(1));
+		}
+		return { matched, next };
+	};
+
+	const walk = (value, pending, copies) => {
+		if (typeof value === "string") return redactString(value);
+		if (typeof value !== "object" || value === null) return value;
+		if (copies.has(value)) return copies.get(value);
+
+		let copy;
+		if (Array.isArray(value)) copy = [];
+		else if (value instanceof Error)
+			copy = Object.create(value.constructor.prototype);
+		else if (isPlainObject(value)) copy = {};
+		// Other class instances (Date, Buffer, Map...) are kept as is
+		else return value;
+		copies.set(value, copy);
+
+		const keys =
+			value instanceof Error
+				? Object.getOwnPropertyNames(value)
+				: Object.keys(value);
+		for (const key of keys) {
+			const { matched, next } = descend(pending, key);
+			if (matched) {
+				if (censor !== "remove") copy[key] = censorValue(value[key]);
+				continue;
+			}
+			const redacted = walk(value[key], next, copies);
+			if (value instanceof Error) {
+				// Keep message and stack non-enumerable, like on the original
+				const descriptor = Object.getOwnPropertyDescriptor(value, key);
+				Object.defineProperty(
+					copy,
+					key,
+					"value" in descriptor
+						? { ...descriptor, value: redacted }
+						: descriptor,
+				);
+			} else {
+				copy[key] = redacted;
+			}
+		}
+		// Removed array items leave holes, which filter() skips
+		if (Array.isArray(copy) && censor === "remove") {
+			return copy.filter(() => true);
+		}
+		return copy;
+	};
+
+	return (record) => {
+		const { level, time, msg, ...fields } = record;
+		const copies = new Map();
+		const redactedMsg =
+			typeof msg === "object" && msg !== null && isPlainObject(msg)
+				? walk(msg, keyPaths, copies)
+				: walk(msg, [], copies);
+		return { level, time, msg: redactedMsg, ...walk(fields, keyPaths, copies) };
+	};
+};
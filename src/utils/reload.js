@@ -0,0 +1,90 @@
+import { readFile } from "node:fs/promises";
+import { watchFile, unwatchFile } from "node:fs";
+import { validateMinLevel } from "./levels.js";
+
+/**
+ * Default polling interval of watched config files, in milliseconds.
+ * @constant {number}
+ */
+const DEFAULT_WATCH_INTERVAL = 1000;
+
+/**
+ * Validates the triggers of runtime reconfiguration.
+ * @param {Object} reconfigureOn - The trigger options.
+ * @param {string[]} levels - The valid levels.
+ * @param {string} [name="reconfigureOn"] - The option name used in error messages.
+ */
+export const validateReconfigureTriggers = (
+	reconfigureOn,
+	levels,
+	name = "reconfigureOn",
+) => {
+	if (!reconfigureOn || typeof reconfigureOn !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof reconfigureOn.signal !== "undefined") {
+		if (
+			typeof reconfigureOn.signal !== "string" ||
+			!reconfigureOn.signal.startsWith("SIG")
+		)
+			throw new Error(`${name}.signal must be a signal name such as SIGUSR2.`);
+	}
+	if (typeof reconfigureOn.verboseLevel !== "undefined")
+		validateMinLevel(
+			reconfigureOn.verboseLevel,
+			`${name}.verboseLevel`,
+			levels,
+		);
+	if (typeof reconfigureOn.configFile !== "undefined") {
+		if (
+			typeof reconfigureOn.configFile !== "string" ||
+			!reconfigureOn.configFile
+		)
+			throw new Error(`${name}.configFile must be a string.`);
+	}
+	if (typeof reconfigureOn.interval !== "undefined") {
+		if (!Number.isInteger(reconfigureOn.interval) || reconfigureOn.interval < 1)
+			throw new Error(`${name}.interval must be a positive integer.`);
+	}
+};
+
+/**
+ * Listens for the triggers of runtime reconfiguration.
+ * The config file is polled, so it may be created, replaced or edited in place.
+ * @param {Object} reconfigureOn - The trigger options.
+ * @param {string} [reconfigureOn.signal] - Signal toggling verbose logging, e.g. "SIGUSR2".
+ * @param {string} [reconfigureOn.configFile] - JSON file holding `reconfigure()` options, applied on every change.
+ * @param {number} [reconfigureOn.interval=1000] - Polling interval of the config file in milliseconds.
+ * @param {Object} handlers - The reconfiguration handlers.
+ * @param {() => void} handlers.onSignal - Called when the signal is received.
+ * @param {(config: Object) => Promise<void>} handlers.onConfig - Called with the parsed content of the changed config file.
+ * @returns {() => void} - Stops listening.
+ */
+export const attachReconfigureTriggers = (
+	{ signal, configFile, interval = DEFAULT_WATCH_INTERVAL },
+	{ onSignal, onConfig },
+) => {
+	if (signal) process.on(signal, onSignal);
+
+	const onChange = async (current, previous) => {
+		// A zero mtime means the file does not exist (anymore)
+		if (current.mtimeMs === 0 || current.mtimeMs === previous.mtimeMs) return;
+		try {
+			const config = JSON.parse(await readFile(configFile, "utf8"));
+			await onConfig(config);
+		} catch (err) {
+			console.error(
+				`[deadslog/system] Error applying config file ${configFile}:`,
+				err,
+			);
+		}
+	};
+	if (configFile) {
+		// Polling must not keep the process alive
+		watchFile(configFile, { interval, persistent: false }, onChange);
+	}
+
+	return () => {
+		if (signal) process.off(signal, onSignal);
+		if (configFile) unwatchFile(configFile, onChange);
+	};
+};
@@ -0,0 +1,88 @@
+import { unlink } from "node:fs/promises";
+import { listRotatedFiles } from "./rotation.js";
+
+/**
+ * Milliseconds in a day.
+ * @constant {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Report of a retention run.
+ * @typedef {Object} RetentionReport
+ * @property {string} trigger - What started the run: "startup" or "rotation".
+ * @property {Array<{path: string, size: number, reason: string}>} deleted - Deleted files, oldest first, with the limit that caused the deletion: "maxAgeDays" or "maxTotalSize".
+ * @property {number} deletedBytes - Total size of the deleted files.
+ * @property {number} remainingFiles - Number of rotated files left.
+ * @property {number} remainingBytes - Total size of the rotated files left.
+ */
+
+/**
+ * Validates retention options.
+ * @param {Object} retention - The retention options.
+ * @param {string} [name="retention"] - The option name used in error messages.
+ */
+export const validateRetentionOptions = (retention, name = "retention") => {
+	if (!retention || typeof retention !== "object")
+		throw new Error(`${name} must be an object.`);
+	for (const key of ["maxAgeDays", "maxTotalSize"]) {
+		if (typeof retention[key] === "undefined") continue;
+		if (typeof retention[key] !== "number" || !(retention[key] > 0))
+			throw new Error(`${name}.${key} must be a positive number.`);
+	}
+	if (
+		typeof retention.onPrune !== "undefined" &&
+		typeof retention.onPrune !== "function"
+	)
+		throw new Error(`${name}.onPrune must be a function.`);
+};
+
+/**
+ * Deletes the oldest rotated files of a log file until they are all younger than
+ * `maxAgeDays` and their total size is at most `maxTotalSize`.
+ * The active log file is neither counted nor deleted.
+ * @param {string} logFilePath - Path of the active log file.
+ * @param {Object} retention - The retention options.
+ * @param {number} [retention.maxAgeDays] - Maximum age of a rotated file, by modification time.
+ * @param {number} [retention.maxTotalSize] - Maximum total size of the rotated files in bytes.
+ * @param {string} trigger - What started the run, reported as is.
+ * @returns {Promise<RetentionReport>} - The report of the run.
+ */
+export const applyRetention = async (
+	logFilePath,
+	{ maxAgeDays, maxTotalSize },
+	trigger,
+) => {
+	const files = await listRotatedFiles(logFilePath);
+	const cutoff =
+		typeof maxAgeDays === "number" ? Date.now() - maxAgeDays * DAY : null;
+	let remainingBytes = files.reduce((total, file) => total + file.size, 0);
+	let remainingFiles = files.length;
+	const deleted = [];
+
+	for (const file of files) {
+		let reason = null;
+		if (cutoff !== null && file.mtimeMs < cutoff) reason = "maxAgeDays";
+		else if (typeof maxTotalSize === "number" && remainingBytes > maxTotalSize)
+			reason = "maxTotalSize";
+		// Files are sorted oldest first, so the first one within both limits ends the run
+		if (!reason) break;
+
+		try {
+			await unlink(file.path);
+		} catch (err) {
+			if (err.code !== "ENOENT") throw err;
+		}
+		deleted.push({ path: file.path, size: file.size, reason });
+		remainingBytes -= file.size;
+		remainingFiles--;
+	}
+
+	return {
+		trigger,
+		deleted,
+		deletedBytes: deleted.reduce((total, file) => total + file.size, 0),
+		remainingFiles,
+		remainingBytes,
+	};
+};
@@ -0,0 +1,157 @@
+import { readdir, stat } from "node:fs/promises";
+import { parse, join } from "node:path";
+import { codecs } from "./compression.js";
+
+/**
+ * Named rotation intervals in milliseconds.
+ * @constant {Object<string, number>}
+ */
+export const rotationIntervals = {
+	hourly: 60 * 60 * 1000,
+	daily: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Extensions of compressed rotated files.
+ * @constant {string[]}
+ */
+export const archiveExtensions = Object.values(codecs).map(
+	(codec) => codec.extension,
+);
+
+/**
+ * Resolves a rotation interval option to milliseconds.
+ * @param {string|number} rotateInterval - "hourly", "daily" or a number of milliseconds.
+ * @returns {number} - The interval in milliseconds.
+ */
+export const resolveInterval = (rotateInterval) =>
+	typeof rotateInterval === "number"
+		? rotateInterval
+		: rotationIntervals[rotateInterval];
+
+/**
+ * Returns the start of the rotation period containing a point in time.
+ * Periods are aligned on the epoch, so daily periods start at midnight UTC.
+ * @param {number} time - Epoch milliseconds.
+ * @param {number} interval - The rotation interval in milliseconds.
+ * @returns {number} - Epoch milliseconds of the period start.
+ */
+export const periodStart = (time, interval) =>
+	Math.floor(time / interval) * interval;
+
+/**
+ * Formats the date stamp of a rotation period, e.g. `2026-10-19` for daily
+ * or `2026-10-19-13` for hourly rotation.
+ * @param {number} time - Epoch milliseconds of the period start.
+ * @param {number} interval - The rotation interval in milliseconds.
+ * @returns {string} - The date stamp.
+ */
+export const formatStamp = (time, interval) => {
+	const iso = new Date(time).toISOString();
+	const date = iso.slice(0, 10);
+	if (interval % rotationIntervals.daily === 0) return date;
+	if (interval % rotationIntervals.hourly === 0)
+		return `${date}-${iso.slice(11, 13)}`;
+	return `${date}-${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}`;
+};
+
+/**
+ * Builds the path of a rotated file in the numbered scheme (`app.1.log`).
+ * @param {string} logFilePath - Path of the active log file.
+ * @param {number} index - Rotation index, 1 being the newest.
+ * @param {string} [suffix=""] - Archive extension, e.g. ".gz".
+ * @returns {string} - The rotated file path.
+ */
+export const numberedFilePath = (logFilePath, index, suffix = "") => {
+	const { dir, name, ext } = parse(logFilePath);
+	return join(dir, `${name}.${index}${ext}${suffix}`);
+};
+
+/**
+ * Builds the path of a rotated file in the date-stamped scheme
+ * (`app.2026-10-19.log`, then `app.2026-10-19.1.log` within the same period).
+ * @param {string} logFilePath - Path of the active log file.
+ * @param {string} stamp - Date stamp of the rotated period.
+ * @param {number} [index=0] - Index within the period, 0 for the first file.
+ * @param {string} [suffix=""] - Archive extension, e.g. ".gz".
+ * @returns {string} - The rotated file path.
+ */
+export const datedFilePath = (logFilePath, stamp, index = 0, suffix = "") => {
+	const { dir, name, ext } = parse(logFilePath);
+	const indexPart = index > 0 ? `.${index}` : "";
+	return join(dir, `${name}.${stamp}${indexPart}${ext}${suffix}`);
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parses the file name of a rotated file belonging to a log file.
+ * @param {string} logFilePath - Path of the active log file.
+ * @param {string} fileName - File name to parse.
+ * @returns {{stamp: string|null, index: number, archived: boolean}|null} - The parsed name, or null if the file does not belong to the log file.
+ */
+export const parseRotatedName = (logFilePath, fileName) => {
+	const { name, ext } = parse(logFilePath);
+	const suffixes = archiveExtensions.map(escapeRegExp).join("|");
+	const pattern = new RegExp(
+		`^${escapeRegExp(name)}\\.(?:(\\d{4}-\\d{2}-\\d{2}(?:-\\d{2}|-\\d{6})?)(?:\\.(\\d+))?|(\\d+))${escapeRegExp(ext)}(${suffixes})?$`,
+	);
+	const match = fileName.match(pattern);
+	if (!match) return null;
+	const [, stamp, datedIndex, numberedIndex, archive] = match;
+	return {
+		stamp: stamp ?? null,
+		index: Number(stamp ? (datedIndex ?? 0) : numberedIndex),
+		archived: Boolean(archive),
+	};
+};
+
+/**
+ * Orders rotated files from oldest to newest.
+ * Date-stamped files sort by stamp and index, numbered files by descending index,
+ * and files of different schemes by modification time.
+ */
+const compareRotated = (a, b) => {
+	if (a.stamp && b.stamp) {
+		if (a.stamp !== b.stamp) return a.stamp < b.stamp ? -1 : 1;
+		return a.index - b.index;
+	}
+	if (!a.stamp && !b.stamp) return b.index - a.index;
+	return a.mtimeMs - b.mtimeMs;
+};
+
+/**
+ * Lists the rotated files of a log file, in both the numbered and the date-stamped schemes.
+ * @param {string} logFilePath - Path of the active log file.
+ * @returns {Promise<Array<{path: string, stamp: string|null, index: number, archived: boolean, size: number, mtimeMs: number}>>} - The rotated files, oldest first.
+ */
+export const listRotatedFiles = async (logFilePath) => {
+	const { dir } = parse(logFilePath);
+	let entries;
+	try {
+		entries = await readdir(dir);
+	} catch (err) {
+		if (err.code === "ENOENT") return [];
+		throw err;
+	}
+
+	const files = [];
+	for (const fileName of entries) {
+		const parsed = parseRotatedName(logFilePath, fileName);
+		if (!parsed) continue;
+		const path = join(dir, fileName);
+		try {
+			const stats = await stat(path);
+			if (!stats.isFile()) continue;
+			files.push({
+				path,
+				...parsed,
+				size: stats.size,
+				mtimeMs: stats.mtimeMs,
+			});
+		} catch (err) {
+			if (err.code !== "ENOENT") throw err;
+		}
+	}
+	return files.sort(compareRotated);
+};
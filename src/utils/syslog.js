@@ -0,0 +1,172 @@
+import { defaultLevels } from "./levels.js";
+import { stringifyMessage } from "./formatters.js";
+
+/**
+ * Syslog facilities, keyed by name.
+ * @constant {Object<string, number>}
+ */
+export const syslogFacilities = {
+	kern: 0,
+	user: 1,
+	mail: 2,
+	daemon: 3,
+	auth: 4,
+	syslog: 5,
+	lpr: 6,
+	news: 7,
+	uucp: 8,
+	cron: 9,
+	authpriv: 10,
+	ftp: 11,
+	local0: 16,
+	local1: 17,
+	local2: 18,
+	local3: 19,
+	local4: 20,
+	local5: 21,
+	local6: 22,
+	local7: 23,
+};
+
+/**
+ * Syslog severities of the built-in levels.
+ * 0 is emergency, 2 critical, 3 error, 4 warning, 5 notice, 6 informational and 7 debug.
+ * @constant {Object<string, number>}
+ */
+export const defaultSeverities = {
+	trace: 7,
+	debug: 7,
+	info: 6,
+	success: 5,
+	warn: 4,
+	error: 3,
+	fatal: 2,
+};
+
+/**
+ * Month abbreviations of RFC 3164 timestamps.
+ * @constant {string[]}
+ */
+const months = [
+	"Jan",
+	"Feb",
+	"Mar",
+	"Apr",
+	"May",
+	"Jun",
+	"Jul",
+	"Aug",
+	"Sep",
+	"Oct",
+	"Nov",
+	"Dec",
+];
+
+/**
+ * Keys of a log record that are not metadata fields.
+ * @constant {string[]}
+ */
+const recordKeys = ["level", "time", "msg", "namespace"];
+
+/**
+ * Resolves a facility name or number to its number.
+ * @param {string|number} facility - The facility.
+ * @returns {number}
+ */
+export const resolveFacility = (facility) =>
+	typeof facility === "number" ? facility : syslogFacilities[facility];
+
+/**
+ * Creates a function mapping levels to syslog severities.
+ * Custom levels get the severity of the highest built-in level they reach.
+ * @param {Object<string, number>} levelValues - Values of the logger's levels.
+ * @param {Object<string, number>} [overrides] - Severities keyed by level, taking precedence.
+ * @returns {(level: string) => number}
+ */
+export const createSeverityMap = (levelValues, overrides = {}) => {
+	const builtins = Object.entries(defaultLevels).sort(([, a], [, b]) => b - a);
+	return (level) => {
+		if (typeof overrides[level] === "number") return overrides[level];
+		if (typeof defaultSeverities[level] === "number")
+			return defaultSeverities[level];
+		const value = levelValues[level];
+		const reached = builtins.find(([, builtin]) => value >= builtin);
+		return reached ? defaultSeverities[reached[0]] : defaultSeverities.trace;
+	};
+};
+
+/**
+ * Replaces the characters a header field cannot hold, and applies its length limit.
+ * @param {string} value - The field value.
+ * @param {number} maxLength - The maximum length of the field.
+ * @returns {string} - The field, or "-" when empty.
+ */
+const headerField = (value, maxLength) =>
+	String(value)
+		.replace(/[^\x21-\x7e]/g, "_")
+		.slice(0, maxLength) || "-";
+
+/**
+ * Builds the RFC 5424 structured data element holding the metadata fields of a record.
+ * @param {string} sdId - The SD-ID, e.g. "meta@32473".
+ * @param {import("./formatters.js").LogRecord} record - The log record.
+ * @returns {string} - The structured data, or "-" when the record has no fields.
+ */
+const structuredData = (sdId, record) => {
+	const params = Object.entries(record)
+		.filter(([key]) => !recordKeys.includes(key))
+		.map(([key, value]) => {
+			const name = key.replace(/[^\x21-\x7e]|[="\]]/g, "_").slice(0, 32);
+			const text = typeof value === "string" ? value : stringifyMessage(value);
+			return `${name}="${text.replace(/["\\\]]/g, "\\$&")}"`;
+		});
+	return params.length > 0 ? `[${sdId} ${params.join(" ")}]` : "-";
+};
+
+/**
+ * Formats an RFC 5424 syslog message.
+ * The namespace of the record, if any, is the MSGID, and its metadata fields are the
+ * structured data when an SD-ID is given.
+ * @param {import("./formatters.js").LogRecord} record - The log record.
+ * @param {Object} options - The message options.
+ * @param {number} options.priority - The PRI value: facility * 8 + severity.
+ * @param {string} options.hostname - The HOSTNAME field.
+ * @param {string} options.appName - The APP-NAME field.
+ * @param {string|null} options.sdId - The SD-ID of the metadata fields, or null to leave them out.
+ * @param {string} options.message - The MSG part.
+ * @returns {string} - The syslog message.
+ */
+export const formatRfc5424 = (
+	record,
+	{ priority, hostname, appName, sdId, message },
+) =>
+	[
+		`<${priority}>1`,
+		record.time,
+		headerField(hostname, 255),
+		headerField(appName, 48),
+		process.pid,
+		record.namespace ? headerField(record.namespace, 32) : "-",
+		sdId ? structuredData(sdId, record) : "-",
+		message,
+	].join(" ");
+
+/**
+ * Formats an RFC 3164 (BSD) syslog message, with a local timestamp.
+ * @param {import("./formatters.js").LogRecord} record - The log record.
+ * @param {Object} options - The message options.
+ * @param {number} options.priority - The PRI value: facility * 8 + severity.
+ * @param {string} options.hostname - The HOSTNAME field.
+ * @param {string} options.appName - The TAG, followed by the process id.
+ * @param {string} options.message - The MSG part.
+ * @returns {string} - The syslog message.
+ */
+export const formatRfc3164 = (
+	record,
+	{ priority, hostname, appName, message },
+) => {
+	const date = new Date(record.time);
+	const pad = (number) => String(number).padStart(2, "0");
+	const timestamp = `${months[date.getMonth()]} ${String(date.getDate()).padStart(2, " ")} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+	return `<${priority}>${timestamp} ${headerField(hostname, 255)} ${headerField(appName, 32)}[${process.pid}]: ${message}`;
+};
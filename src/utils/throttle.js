@@ -0,0 +1,187 @@
+import { levelOrder } from "./levels.js";
+import { safeStringify, stringifyMessage } from "./formatters.js";
+
+/**
+ * Maximum number of message keys tracked by a per-message rate limiter.
+ * The least recently created buckets are evicted first.
+ * @constant {number}
+ */
+const MAX_RATE_LIMIT_KEYS = 10000;
+
+/**
+ * Valid keys of rate limiting buckets.
+ * @constant {string[]}
+ */
+export const validRateLimitKeys = ["level", "message"];
+
+/**
+ * Validates per-level sampling rates.
+ * @param {Object<string, number>} sampling - Rates between 0 and 1, keyed by level.
+ * @param {string} [name="sampling"] - The option name used in error messages.
+ * @param {string[]} [levels=levelOrder] - The valid levels.
+ */
+export const validateSamplingOptions = (
+	sampling,
+	name = "sampling",
+	levels = levelOrder,
+) => {
+	if (!sampling || typeof sampling !== "object")
+		throw new Error(`${name} must be an object.`);
+	for (const [level, rate] of Object.entries(sampling)) {
+		if (!levels.includes(level))
+			throw new Error(
+				`Invalid level in ${name}: "${level}". ` +
+					`Valid levels are: ${levels.join(", ")}.`,
+			);
+		if (typeof rate !== "number" || rate < 0 || rate > 1)
+			throw new Error(`${name}.${level} must be a number between 0 and 1.`);
+	}
+};
+
+/**
+ * Validates rate limiting options.
+ * @param {Object} rateLimit - The rate limiting options.
+ * @param {string} [name="rateLimit"] - The option name used in error messages.
+ * @param {string[]} [levels=levelOrder] - The valid levels.
+ */
+export const validateRateLimitOptions = (
+	rateLimit,
+	name = "rateLimit",
+	levels = levelOrder,
+) => {
+	if (!rateLimit || typeof rateLimit !== "object")
+		throw new Error(`${name} must be an object.`);
+	const { perSecond } = rateLimit;
+	if (typeof perSecond === "object" && perSecond !== null) {
+		for (const [level, limit] of Object.entries(perSecond)) {
+			if (!levels.includes(level))
+				throw new Error(
+					`Invalid level in ${name}.perSecond: "${level}". ` +
+						`Valid levels are: ${levels.join(", ")}.`,
+				);
+			if (typeof limit !== "number" || !(limit > 0))
+				throw new Error(
+					`${name}.perSecond.${level} must be a positive number.`,
+				);
+		}
+	} else if (typeof perSecond !== "number" || !(perSecond > 0)) {
+		throw new Error(
+			`${name}.perSecond must be a positive number or an object of limits per level.`,
+		);
+	}
+	if (typeof rateLimit.by !== "undefined") {
+		if (!validRateLimitKeys.includes(rateLimit.by))
+			throw new Error(
+				`Invalid value for ${name}.by: "${rateLimit.by}". ` +
+					`Valid values are: ${validRateLimitKeys.join(", ")}.`,
+			);
+	}
+};
+
+/**
+ * Validates duplicate suppression options.
+ * @param {boolean} dedupe - Whether to collapse consecutive identical messages.
+ * @param {string} [name="dedupe"] - The option name used in error messages.
+ */
+export const validateDedupeOptions = (dedupe, name = "dedupe") => {
+	if (typeof dedupe !== "boolean")
+		throw new Error(`${name} must be a boolean.`);
+};
+
+/**
+ * Creates a sampler keeping a random share of the records of each level.
+ * Levels without a rate are always kept.
+ * @param {Object<string, number>} sampling - Rates between 0 and 1, keyed by level.
+ * @returns {(level: string) => boolean} - Whether to keep a record of a level.
+ */
+export const createSampler = (sampling) => (level) =>
+	typeof sampling[level] !== "number" || Math.random() < sampling[level];
+
+/**
+ * Creates a token bucket rate limiter.
+ * Each bucket holds up to `perSecond` tokens and refills continuously at that rate,
+ * so bursts up to one second's worth of messages pass.
+ * @param {Object} rateLimit - The rate limiting options.
+ * @param {number|Object<string, number>} rateLimit.perSecond - Messages allowed per second, for every level or keyed by level. Levels without a limit are not limited.
+ * @param {string} [rateLimit.by="level"] - Bucket key: "level" or "message" (one bucket per level and message).
+ * @returns {(record: import("./formatters.js").LogRecord) => boolean} - Whether a record may pass.
+ */
+export const createRateLimiter = ({ perSecond, by = "level" }) => {
+	const buckets = new Map();
+	const limitOf = (level) =>
+		typeof perSecond === "number" ? perSecond : perSecond[level];
+
+	return (record) => {
+		const limit = limitOf(record.level);
+		if (typeof limit !== "number") return true;
+
+		const key =
+			by === "message"
+				? `${record.level}:${stringifyMessage(record.msg)}`
+				: record.level;
+		const now = Date.now();
+		let bucket = buckets.get(key);
+		if (!bucket) {
+			if (buckets.size >= MAX_RATE_LIMIT_KEYS) {
+				buckets.delete(buckets.keys().next().value);
+			}
+			bucket = { tokens: limit, updated: now };
+			buckets.set(key, bucket);
+		}
+		bucket.tokens = Math.min(
+			limit,
+			bucket.tokens + ((now - bucket.updated) / 1000) * limit,
+		);
+		bucket.updated = now;
+		if (bucket.tokens < 1) return false;
+		bucket.tokens--;
+		return true;
+	};
+};
+
+/**
+ * Creates a tracker of consecutive identical records.
+ * Records are identical when everything but their time matches. `check` tells whether a
+ * record repeats the previous one and returns the summary of the previous run of repeats
+ * when it ends; `flush` returns the summary of the current run.
+ * @returns {{check: (record: import("./formatters.js").LogRecord) => {duplicate: boolean, summary: import("./formatters.js").LogRecord|null}, flush: () => import("./formatters.js").LogRecord|null}} - The tracker.
+ */
+export const createDeduplicator = () => {
+	let lastKey = null;
+	let lastLevel = null;
+	let repeats = 0;
+
+	const keyOf = (record) => {
+		try {
+			return safeStringify({ ...record, time: undefined });
+		} catch {
+			// Records that cannot be compared are never duplicates
+			return null;
+		}
+	};
+
+	const flush = () => {
+		if (repeats === 0) return null;
+		const summary = {
+			level: lastLevel,
+			time: new Date().toISOString(),
+			msg: `Last message repeated ${repeats} times`,
+		};
+		repeats = 0;
+		return summary;
+	};
+
+	const check = (record) => {
+		const key = keyOf(record);
+		if (key !== null && key === lastKey) {
+			repeats++;
+			return { duplicate: true, summary: null };
+		}
+		const summary = flush();
+		lastKey = key;
+		lastLevel = record.level;
+		return { duplicate: false, summary };
+	};
+
+	return { check, flush };
+};
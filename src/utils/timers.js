@@ -0,0 +1,114 @@
+import { levelOrder } from "./levels.js";
+
+/**
+ * Number of recent durations of a label kept to compute its percentiles.
+ * @constant {number}
+ */
+const MAX_DURATION_SAMPLES = 1000;
+
+/**
+ * Maximum number of labels tracked by a duration histogram.
+ * The least recently created labels are evicted first.
+ * @constant {number}
+ */
+const MAX_DURATION_LABELS = 1000;
+
+/**
+ * Validates the options of the timing helpers.
+ * @param {Object} timers - The timer options.
+ * @param {string} [name="timers"] - The option name used in error messages.
+ * @param {string[]} [levels=levelOrder] - The valid levels.
+ */
+export const validateTimerOptions = (
+	timers,
+	name = "timers",
+	levels = levelOrder,
+) => {
+	if (!timers || typeof timers !== "object")
+		throw new Error(`${name} must be an object.`);
+	if (typeof timers.level !== "undefined") {
+		if (!levels.includes(timers.level))
+			throw new Error(
+				`Invalid value for ${name}.level: "${timers.level}". ` +
+					`Valid values are: ${levels.join(", ")}.`,
+			);
+	}
+	if (typeof timers.histogram !== "undefined") {
+		if (typeof timers.histogram !== "boolean")
+			throw new Error(`${name}.histogram must be a boolean.`);
+	}
+};
+
+/**
+ * Reads the high-resolution clock.
+ * @returns {bigint} - Nanoseconds from an arbitrary origin.
+ */
+export const now = () => process.hrtime.bigint();
+
+/**
+ * Computes the milliseconds elapsed since a reading of the high-resolution clock.
+ * @param {bigint} start - The reading.
+ * @returns {number} - Milliseconds, with microsecond precision.
+ */
+export const elapsedMs = (start) =>
+	Math.round(Number(now() - start) / 1000) / 1000;
+
+/**
+ * Reads a percentile from sorted samples, by the nearest-rank method.
+ * @param {number[]} sorted - The samples, in ascending order.
+ * @param {number} percentile - The percentile, between 0 and 100.
+ * @returns {number}
+ */
+const nearestRank = (sorted, percentile) =>
+	sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)];
+
+/**
+ * Creates a histogram of durations keyed by label.
+ * Counts, totals and extremes cover every duration; percentiles cover the last 1000 of a label.
+ * @returns {{record: (label: string, duration: number) => void, summary: () => Object<string, Object>}}
+ */
+export const createDurationHistogram = () => {
+	const labels = new Map();
+
+	return {
+		record: (label, duration) => {
+			let stats = labels.get(label);
+			if (!stats) {
+				if (labels.size >= MAX_DURATION_LABELS)
+					labels.delete(labels.keys().next().value);
+				stats = {
+					count: 0,
+					total: 0,
+					min: Number.POSITIVE_INFINITY,
+					max: Number.NEGATIVE_INFINITY,
+					samples: [],
+				};
+				labels.set(label, stats);
+			}
+			stats.count++;
+			stats.total += duration;
+			stats.min = Math.min(stats.min, duration);
+			stats.max = Math.max(stats.max, duration);
+			stats.samples.push(duration);
+			if (stats.samples.length > MAX_DURATION_SAMPLES) stats.samples.shift();
+		},
+		summary: () =>
+			Object.fromEntries(
+				[...labels].map(([label, { count, total, min, max, samples }]) => {
+					const sorted = [...samples].sort((a, b) => a - b);
+					return [
+						label,
+						{
+							count,
+							min,
+							max,
+							average: total / count,
+							p50: nearestRank(sorted, 50),
+							p95: nearestRank(sorted, 95),
+							p99: nearestRank(sorted, 99),
+						},
+					];
+				}),
+			),
+	};
+};
@@ -1,7 +1,15 @@
 import { describe, it, expect, afterEach, afterAll, vi } from "vitest";
+import { execFileSync, spawn, spawnSync } from "node:child_process";
+import dgram from "node:dgram";
 import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
 import path from "node:path";
+import zlib from "node:zlib";
+import { magenta } from "yoctocolors";
 import deadslog from "../src/index.js";
+import { fastifyLogger, httpLogger, koaLogger } from "../src/http.js";
+import { namespaceColor } from "../src/utils/namespaces.js";
 
 const mainTestDir = path.join(process.cwd(), "test", "logtest");
 const tempDir = path.join(process.cwd(), "test", "logtest", "test1");
@@ -24,6 +32,28 @@ const tempDir17 = path.join(process.cwd(), "test", "logtest", "test17");
 const tempDir18 = path.join(process.cwd(), "test", "logtest", "test18");
 const tempDir19 = path.join(process.cwd(), "test", "logtest", "test19");
 const tempDir20 = path.join(process.cwd(), "test", "logtest", "test20");
+const tempDir21 = path.join(process.cwd(), "test", "logtest", "test21");
+const tempDir22 = path.join(process.cwd(), "test", "logtest", "test22");
+const tempDir23 = path.join(process.cwd(), "test", "logtest", "test23");
+const tempDir24 = path.join(process.cwd(), "test", "logtest", "test24");
+const tempDir25 = path.join(process.cwd(), "test", "logtest", "test25");
+const tempDir26 = path.join(process.cwd(), "test", "logtest", "test26");
+const tempDir27 = path.join(process.cwd(), "test", "logtest", "test27");
+const tempDir28 = path.join(process.cwd(), "test", "logtest", "test28");
+const tempDir29 = path.join(process.cwd(), "test", "logtest", "test29");
+const tempDir30 = path.join(process.cwd(), "test", "logtest", "test30");
+const tempDir31 = path.join(process.cwd(), "test", "logtest", "test31");
+const tempDir32 = path.join(process.cwd(), "test", "logtest", "test32");
+const tempDir33 = path.join(process.cwd(), "test", "logtest", "test33");
+const tempDir34 = path.join(process.cwd(), "test", "logtest", "test34");
+const tempDir35 = path.join(process.cwd(), "test", "logtest", "test35");
+const tempDir36 = path.join(process.cwd(), "test", "logtest", "test36");
+const tempDir37 = path.join(process.cwd(), "test", "logtest", "test37");
+const tempDir38 = path.join(process.cwd(), "test", "logtest", "test38");
+const tempDir39 = path.join(process.cwd(), "test", "logtest", "test39");
+const tempDir40 = path.join(process.cwd(), "test", "logtest", "test40");
+const tempDir41 = path.join(process.cwd(), "test", "logtest", "test41");
+const tempDir42 = path.join(process.cwd(), "test", "logtest", "test42");
 
 const logFilePath = path.join(tempDir, "test-output.log");
 const logFilePath2 = path.join(tempDir2, "test-output.log");
@@ -45,6 +75,27 @@ const logFilePath17 = path.join(tempDir17, "test-output.log");
 const logFilePath18 = path.join(tempDir18, "test-output.log");
 const logFilePath19 = path.join(tempDir19, "test-output.log");
 const logFilePath20 = path.join(tempDir20, "test-output.log");
+const logFilePath21 = path.join(tempDir21, "test-output.log");
+const logFilePath22 = path.join(tempDir22, "test-output.log");
+const logFilePath23 = path.join(tempDir23, "test-output.log");
+const logFilePath24 = path.join(tempDir24, "test-output.log");
+const logFilePath25 = path.join(tempDir25, "test-output.log");
+const logFilePath26 = path.join(tempDir26, "test-output.log");
+const logFilePath27 = path.join(tempDir27, "test-output.log");
+const logFilePath28 = path.join(tempDir28, "test-output.log");
+const logFilePath29 = path.join(tempDir29, "test-output.log");
+const logFilePath30 = path.join(tempDir30, "test-output.log");
+const logFilePath31 = path.join(tempDir31, "test-output.log");
+const logFilePath32 = path.join(tempDir32, "test-output.log");
+const logFilePath33 = path.join(tempDir33, "test-output.log");
+const logFilePath34 = path.join(tempDir34, "test-output.log");
+const logFilePath35 = path.join(tempDir35, "test-output.log");
+const logFilePath36 = path.join(tempDir38, "app.log");
+const logFilePath37 = path.join(tempDir39, "test-output.log");
+const logFilePath38 = path.join(tempDir41, "test-output.log");
+const logFilePath39 = path.join(tempDir42, "test-output.log");
+const logFilePath40 = path.join(tempDir42, "spilled.log");
+const logFilePath41 = path.join(tempDir42, "stalled.log");
 
 afterEach(async () => {
 	vi.restoreAllMocks();
@@ -139,8 +190,9 @@ describe("deadslog tests", () => {
 		const logger = deadslog({
 			consoleOutput: { enabled: true },
 			minLevel: "info",
-			formatter: (level, message) =>
-				`CUSTOM: ${level.toUpperCase()} - ${message}`,
+			formatter: deadslog.legacyFormatter(
+				(level, message) => `CUSTOM: ${level.toUpperCase()} - ${message}`,
+			),
 		});
 		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
 
@@ -154,6 +206,2249 @@ describe("deadslog tests", () => {
 		await logger.destroy();
 	});
 
+	it("appends the fields to the message of legacy formatters", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: deadslog.legacyFormatter(
+				(level, message, prefix = "") => `${prefix}[${level}] ${message}`,
+			),
+		});
+
+		logger.info("user created", { userId: 7 });
+		logger.warn("took %dms", 12, { route: "/users" });
+
+		expect(lines).toEqual([
+			'[INFO] user created {"userId":7}',
+			'[WARN] took 12ms {"route":"/users"}',
+		]);
+		expect(() => deadslog.legacyFormatter("[%s] %s")).toThrow(
+			/legacyFormatter requires a function/,
+		);
+		await logger.destroy();
+	});
+
+	it("passes the whole record to custom formatters", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true },
+			formatter: (record) =>
+				`${record.level}|${record.msg}|${record.userId}|${typeof record.time}`,
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("user created", { userId: 42 });
+
+		const infoCall = spy.mock.calls.find((call) =>
+			call[0].includes("info|user created|42|string"),
+		);
+		expect(infoCall).toBeTruthy();
+
+		await logger.destroy();
+	});
+
+	it("appends metadata fields in the default format", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("user created", { userId: 42, plan: "pro", level: "x" });
+
+		expect(spy).toHaveBeenCalledWith(
+			expect.stringMatching(
+				/^\[INFO\] \[.+\] - user created \{"userId":42,"plan":"pro"\}$/,
+			),
+		);
+
+		await logger.destroy();
+	});
+
+	it("writes NDJSON records when file format is json", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath17, format: "json" },
+		});
+
+		logger.info("user created", { userId: 42, plan: "pro" });
+		logger.error({ reason: "boom" });
+
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		await logger.destroy();
+
+		const lines = fs
+			.readFileSync(logFilePath17, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		expect(lines).toHaveLength(2);
+		expect(lines[0]).toMatchObject({
+			level: "info",
+			msg: "user created",
+			userId: 42,
+			plan: "pro",
+		});
+		expect(Number.isNaN(Date.parse(lines[0].time))).toBe(false);
+		expect(lines[1]).toMatchObject({ level: "error", msg: { reason: "boom" } });
+	});
+
+	it("rejects an invalid file format", () => {
+		expect(() =>
+			deadslog({
+				fileOutput: {
+					enabled: true,
+					logFilePath: logFilePath17,
+					format: "xml",
+				},
+			}),
+		).toThrow(/Invalid value for fileOutput.format/);
+	});
+
+	it("merges child bindings into every record", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath18, format: "json" },
+		});
+		const child = logger.child({ requestId: "r-1", service: "api" });
+		const grandchild = child.child({ service: "db" });
+
+		child.info("from child");
+		grandchild.info("from grandchild", { query: "select" });
+		logger.info("from root");
+
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		await logger.destroy();
+
+		const lines = fs
+			.readFileSync(logFilePath18, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		expect(lines[0]).toMatchObject({
+			msg: "from child",
+			requestId: "r-1",
+			service: "api",
+		});
+		expect(lines[1]).toMatchObject({
+			msg: "from grandchild",
+			requestId: "r-1",
+			service: "db",
+			query: "select",
+		});
+		expect(lines[2].requestId).toBeUndefined();
+	});
+
+	it("shares the parent's file stream and metrics with children", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath19 },
+		});
+
+		const child = logger.child({ requestId: "r-2" });
+		child.info("first");
+		child.child({ step: 2 }).info("second");
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await child.destroy();
+		expect(child.getMetrics().messagesLogged).toBe(2);
+
+		logger.info("root still writes");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		await logger.destroy();
+
+		const contents = fs.readFileSync(logFilePath19, "utf8");
+		expect(contents).toMatch(/first \{"requestId":"r-2"\}/);
+		expect(contents).toMatch(/second \{"requestId":"r-2","step":2\}/);
+		expect(contents).toMatch(/root still writes/);
+	});
+
+	it("allows children to override minLevel", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			minLevel: "warn",
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.debug("root debug");
+		logger
+			.child({ scope: "verbose" }, { minLevel: "debug" })
+			.debug("child debug");
+
+		expect(spy).not.toHaveBeenCalledWith(expect.stringMatching(/root debug/));
+		expect(spy).toHaveBeenCalledWith(expect.stringMatching(/child debug/));
+		expect(() => logger.child({}, { minLevel: "loud" })).toThrow(
+			/Invalid value for minLevel/,
+		);
+		expect(() => logger.child("nope")).toThrow(/bindings must be an object/);
+
+		await logger.destroy();
+	});
+
+	it("adds async context fields to records within runWithContext", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		const handle = async (requestId) =>
+			logger.runWithContext({ requestId, tenant: "acme" }, async () => {
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				logger.child({ component: "db" }).info(`query for ${requestId}`);
+				await logger.runWithContext({ user: "u1" }, async () => {
+					logger.info(`nested for ${requestId}`);
+				});
+			});
+
+		await Promise.all([handle("r-1"), handle("r-2")]);
+		logger.info("outside");
+
+		const lines = spy.mock.calls.map((call) => call[0]);
+		expect(lines).toContainEqual(
+			expect.stringMatching(
+				/query for r-1 \{"requestId":"r-1","tenant":"acme","component":"db"\}/,
+			),
+		);
+		expect(lines).toContainEqual(
+			expect.stringMatching(
+				/nested for r-2 \{"requestId":"r-2","tenant":"acme","user":"u1"\}/,
+			),
+		);
+		expect(lines).toContainEqual(expect.stringMatching(/- outside$/));
+
+		await logger.destroy();
+	});
+
+	it("applies filters to async context values", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			formatter: (record) => `${record.level}: ${record.msg}`,
+			filters: { exclude: "healthcheck" },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.runWithContext({ route: "healthcheck" }, () => {
+			logger.info("probe");
+		});
+		logger.runWithContext({ route: "orders" }, () => {
+			logger.info("order placed");
+		});
+
+		expect(spy).not.toHaveBeenCalledWith("info: probe");
+		expect(spy).toHaveBeenCalledWith("info: order placed");
+
+		await logger.destroy();
+	});
+
+	it("redacts key paths in fields and object messages", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			redact: { paths: ["password", "headers.authorization", "*.token"] },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		const fields = {
+			password: "hunter2",
+			headers: { Authorization: "Bearer abc", accept: "json" },
+			session: { token: "s3cr3t", id: 7 },
+		};
+		logger.info("login", fields);
+		logger.info({ password: "hunter2", user: "ann" });
+
+		const [fieldsLine, messageLine] = spy.mock.calls.map((call) => call[0]);
+		expect(fieldsLine).toContain(
+			'{"password":"[REDACTED]","headers":{"Authorization":"[REDACTED]","accept":"json"},"session":{"token":"[REDACTED]","id":7}}',
+		);
+		expect(messageLine).toContain('{"password":"[REDACTED]","user":"ann"}');
+		// The logged objects are left untouched
+		expect(fields.session.token).toBe("s3cr3t");
+
+		await logger.destroy();
+	});
+
+	it("redacts value patterns in string messages for custom formatters", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			formatter: (record) => `${record.msg} ${record.user.contact}`,
+			redact: { patterns: ["email", /card=\d+/], censor: "hash" },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("mail ann@example.com paid with card=4242", {
+			user: { contact: "ann@example.com" },
+		});
+
+		const line = spy.mock.calls[0][0];
+		expect(line).not.toMatch(/ann@example\.com|4242/);
+		const hashes = line.match(/\[sha256:[0-9a-f]{16}\]/g);
+		expect(hashes).toHaveLength(3);
+		// Hashing keeps equal values correlatable
+		expect(hashes[0]).toBe(hashes[2]);
+
+		await logger.destroy();
+	});
+
+	it("removes redacted keys and values", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			formatter: (record) => JSON.stringify(record),
+			redact: { paths: ["password"], patterns: ["jwt"], censor: "remove" },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("token eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln used", {
+			password: "hunter2",
+			user: "ann",
+		});
+
+		const record = JSON.parse(spy.mock.calls[0][0]);
+		expect(record.msg).toBe("token  used");
+		expect(record).not.toHaveProperty("password");
+		expect(record.user).toBe("ann");
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid redact options", () => {
+		expect(() => deadslog({ redact: { paths: "password" } })).toThrow(
+			/redact.paths must be an array of strings/,
+		);
+		expect(() => deadslog({ redact: { patterns: ["ssn"] } })).toThrow(
+			/Invalid value for redact.patterns/,
+		);
+		expect(() => deadslog({ redact: { censor: "blur" } })).toThrow(
+			/Invalid value for redact.censor/,
+		);
+	});
+
+	it("samples records per level", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => `${record.level}:${record.msg}`,
+			minLevel: "debug",
+			sampling: { debug: 0.1 },
+		});
+		const random = vi.spyOn(Math, "random");
+
+		random.mockReturnValue(0.05);
+		logger.debug("kept");
+		random.mockReturnValue(0.5);
+		logger.debug("dropped");
+		logger.info("always kept");
+
+		expect(lines).toEqual(["debug:kept", "info:always kept"]);
+		expect(logger.getMetrics().suppressed.sampled).toEqual({ debug: 1 });
+
+		await logger.destroy();
+	});
+
+	it("rate limits messages per level and per message key", async () => {
+		const byLevel = [];
+		const levelLogger = deadslog({
+			transports: [{ write: (line) => byLevel.push(line) }],
+			formatter: (record) => record.msg,
+			rateLimit: { perSecond: { error: 3 } },
+		});
+		for (let i = 0; i < 10; i++) levelLogger.error(`failure ${i}`);
+		for (let i = 0; i < 5; i++) levelLogger.info(`info ${i}`);
+
+		expect(byLevel.filter((line) => line.startsWith("failure"))).toEqual([
+			"failure 0",
+			"failure 1",
+			"failure 2",
+		]);
+		expect(byLevel.filter((line) => line.startsWith("info"))).toHaveLength(5);
+		expect(levelLogger.getMetrics().suppressed.rateLimited).toEqual({
+			error: 7,
+		});
+
+		const byMessage = [];
+		const messageLogger = deadslog({
+			transports: [{ write: (line) => byMessage.push(line) }],
+			formatter: (record) => record.msg,
+			rateLimit: { perSecond: 2, by: "message" },
+		});
+		for (let i = 0; i < 5; i++) {
+			messageLogger.warn("disk full");
+			messageLogger.warn("socket closed");
+		}
+
+		expect(byMessage).toEqual([
+			"disk full",
+			"socket closed",
+			"disk full",
+			"socket closed",
+		]);
+
+		await levelLogger.destroy();
+		await messageLogger.destroy();
+	});
+
+	it("collapses consecutive identical messages into a summary line", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => `${record.level}:${record.msg}`,
+			dedupe: true,
+		});
+
+		for (let i = 0; i < 5; i++) logger.error("connection refused");
+		logger.info("connection restored");
+		logger.info("connection restored", { attempt: 2 });
+		logger.info("connection restored", { attempt: 2 });
+		await logger.flush();
+
+		expect(lines).toEqual([
+			"error:connection refused",
+			"error:Last message repeated 4 times",
+			"info:connection restored",
+			"info:connection restored",
+			"info:Last message repeated 1 times",
+		]);
+		expect(logger.getMetrics().suppressed.deduplicated).toEqual({
+			error: 4,
+			info: 1,
+		});
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid throttling options", () => {
+		expect(() => deadslog({ sampling: { debug: 2 } })).toThrow(
+			/sampling.debug must be a number between 0 and 1/,
+		);
+		expect(() => deadslog({ sampling: { verbose: 0.5 } })).toThrow(
+			/Invalid level in sampling/,
+		);
+		expect(() => deadslog({ rateLimit: { perSecond: 0 } })).toThrow(
+			/rateLimit.perSecond must be a positive number/,
+		);
+		expect(() =>
+			deadslog({ rateLimit: { perSecond: 5, by: "transport" } }),
+		).toThrow(/Invalid value for rateLimit.by/);
+		expect(() => deadslog({ dedupe: "yes" })).toThrow(
+			/dedupe must be a boolean/,
+		);
+	});
+
+	it("logs the durations of timers", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+			minLevel: "debug",
+		});
+		const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+		logger.time("load");
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		await logger.child({ step: 1 }).timeEnd("load", "debug");
+		await logger.timeEnd("load");
+		expect(errorSpy).toHaveBeenCalledWith(
+			'[deadslog/system] No such timer: "load".',
+		);
+
+		const done = logger.startTimer();
+		await done({ msg: "request handled", fields: { status: 200 } });
+
+		expect(records).toHaveLength(2);
+		expect(records[0]).toMatchObject({ level: "debug", msg: "load", step: 1 });
+		expect(records[0].durationMs).toBeGreaterThanOrEqual(15);
+		expect(records[1]).toMatchObject({
+			level: "info",
+			msg: "request handled",
+			status: 200,
+		});
+		expect(typeof records[1].durationMs).toBe("number");
+
+		await logger.destroy();
+	});
+
+	it("profiles async functions and summarizes durations", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+			timers: { histogram: true },
+		});
+
+		expect(await logger.profile("fetch", async () => 42)).toBe(42);
+		await expect(
+			logger.profile("fetch", async () => {
+				throw new Error("boom");
+			}),
+		).rejects.toThrow("boom");
+
+		expect(records.map(({ level, msg }) => `${level}:${msg}`)).toEqual([
+			"info:fetch started",
+			"info:fetch completed",
+			"info:fetch started",
+			"error:fetch failed",
+		]);
+		expect(records[1]).toMatchObject({ profile: "fetch" });
+		expect(typeof records[1].durationMs).toBe("number");
+		expect(records[3].err).toMatchObject({ message: "boom" });
+
+		const { durations } = logger.getMetrics();
+		expect(durations.fetch).toMatchObject({ count: 2 });
+		expect(Object.keys(durations.fetch)).toEqual([
+			"count",
+			"min",
+			"max",
+			"average",
+			"p50",
+			"p95",
+			"p99",
+		]);
+		expect(durations.fetch.min).toBeLessThanOrEqual(durations.fetch.max);
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid timer options", () => {
+		expect(() => deadslog({ timers: { level: "verbose" } })).toThrow(
+			/Invalid value for timers.level/,
+		);
+		expect(() => deadslog({ timers: { histogram: "yes" } })).toThrow(
+			/timers.histogram must be a boolean/,
+		);
+		expect(() => deadslog({ levels: { profile: 35, time: 36 } })).toThrow(
+			/"profile" is a logger method/,
+		);
+		for (const method of ["time", "timeEnd", "startTimer"]) {
+			expect(() => deadslog({ levels: { [method]: 35 } })).toThrow(
+				`"${method}" is a logger method`,
+			);
+		}
+	});
+
+	it("routes console output through the logger without recursion", async () => {
+		const records = [];
+		const logSpy = vi.spyOn(console, "log").mockImplementation(() => {});
+		const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			transports: [
+				{
+					write: (line, record) => {
+						// Output of transports is never captured again
+						console.log("transport wrote", record.msg);
+						records.push(record);
+					},
+				},
+			],
+			formatter: (record) => `${record.level}:${record.msg}`,
+			minLevel: "debug",
+		});
+
+		logger.child({ source: "console" }).captureConsole({ log: "debug" });
+		console.log("library says %s", "hi");
+		console.error("library failed", { code: 7 });
+		console.error("[deadslog/system] diagnostic");
+		logger.info("direct");
+		logger.releaseConsole();
+		console.log("after release");
+
+		expect(records).toMatchObject([
+			{ level: "debug", msg: "library says hi", source: "console" },
+			{ level: "error", msg: "library failed", code: 7 },
+			{ level: "info", msg: "direct" },
+		]);
+		expect(records[2].source).toBeUndefined();
+		expect(logSpy.mock.calls.map((args) => args.join(" "))).toEqual([
+			"debug:library says hi",
+			"transport wrote library says hi",
+			"error:library failed",
+			"transport wrote library failed",
+			"info:direct",
+			"transport wrote direct",
+			"after release",
+		]);
+		expect(errorSpy).toHaveBeenCalledTimes(1);
+		expect(errorSpy).toHaveBeenCalledWith("[deadslog/system] diagnostic");
+		expect(console.log).toBe(logSpy);
+
+		await logger.destroy();
+	});
+
+	it("leaves no failure to log captured console output unhandled", async () => {
+		const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		const unhandled = vi.fn();
+		process.on("unhandledRejection", unhandled);
+		const failure = new Error("circuit open");
+		const logger = deadslog({
+			transports: [{ write: () => Promise.reject(failure) }],
+		});
+
+		logger.captureConsole();
+		console.warn("library warning");
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		logger.releaseConsole();
+		process.off("unhandledRejection", unhandled);
+
+		expect(unhandled).not.toHaveBeenCalled();
+		expect(errorSpy).toHaveBeenCalledWith(
+			'[deadslog/system] Error writing to transport "custom":',
+			failure,
+		);
+		await logger.destroy();
+	});
+
+	it("lets a single logger capture the console until it is destroyed", async () => {
+		const original = console.warn;
+		const first = deadslog({ transports: [{ write: () => {} }] });
+		const second = deadslog({ transports: [{ write: () => {} }] });
+
+		first.captureConsole();
+		expect(console.warn).not.toBe(original);
+		expect(() => second.captureConsole()).toThrow(
+			/console is already captured by another logger/,
+		);
+		second.releaseConsole();
+		expect(console.warn).not.toBe(original);
+		await first.destroy();
+		expect(console.warn).toBe(original);
+
+		expect(() => second.captureConsole({ trace: "info" })).toThrow(
+			/Invalid console method in captureConsole/,
+		);
+		expect(() => second.captureConsole({ log: "verbose" })).toThrow(
+			/Invalid value for captureConsole.log/,
+		);
+		for (const method of ["captureConsole", "releaseConsole"]) {
+			expect(() => deadslog({ levels: { [method]: 35 } })).toThrow(
+				`"${method}" is a logger method`,
+			);
+		}
+		await second.destroy();
+	});
+
+	it("generates methods for custom levels ordered by value", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => `${record.level}:${record.msg}`,
+			levels: { audit: 35, http: 25 },
+			minLevel: "audit",
+		});
+
+		logger.http("GET /");
+		logger.info("hidden");
+		logger.audit("user deleted");
+		logger.child({ actor: "ann" }).audit("role changed");
+		logger.warn("shown");
+
+		expect(lines).toEqual([
+			"audit:user deleted",
+			"audit:role changed",
+			"warn:shown",
+		]);
+		expect(logger.child({}, { minLevel: "http" })).toHaveProperty("http");
+
+		await logger.destroy();
+	});
+
+	it("colors custom levels in the console", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: true },
+			levels: { audit: 35 },
+			colors: { audit: "magenta", info: (text) => `<${text}>` },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.audit("user deleted");
+		logger.info("custom color function");
+
+		expect(spy.mock.calls[0][0]).toContain(magenta("AUDIT"));
+		expect(spy.mock.calls[1][0]).toContain("<INFO>");
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid custom levels and colors", () => {
+		expect(() => deadslog({ levels: { info: 30 } })).toThrow(
+			/"info" is a built-in level/,
+		);
+		expect(() => deadslog({ levels: { child: 30 } })).toThrow(
+			/"child" is a logger method/,
+		);
+		expect(() => deadslog({ levels: { audit: "high" } })).toThrow(
+			/levels.audit must be a number/,
+		);
+		expect(() => deadslog({ minLevel: "audit" })).toThrow(
+			/Invalid value for minLevel: audit/,
+		);
+		expect(() =>
+			deadslog({ levels: { audit: 35 }, colors: { audit: "sparkly" } }),
+		).toThrow(/Invalid value for colors.audit/);
+	});
+
+	it("changes the level of a logger and its children at runtime", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => `${record.level}:${record.msg}`,
+		});
+		const child = logger.child({ component: "db" });
+		const quietChild = logger.child({}, { minLevel: "error" });
+
+		logger.debug("hidden");
+		logger.setLevel("debug");
+		logger.debug("root debug");
+		child.debug("child debug");
+		quietChild.warn("hidden");
+		quietChild.setLevel("warn");
+		quietChild.warn("quiet child warn");
+
+		expect(lines).toEqual([
+			"debug:root debug",
+			"debug:child debug",
+			"warn:quiet child warn",
+		]);
+		expect(() => logger.setLevel("verbose")).toThrow(
+			/Invalid value for level: verbose/,
+		);
+
+		await logger.destroy();
+	});
+
+	it("replaces the filters at runtime", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => record.msg,
+			filters: { exclude: "healthcheck" },
+		});
+
+		logger.info("healthcheck ok");
+		logger.setFilters({ exclude: "user" });
+		logger.info("healthcheck ok");
+		logger.info("payment failed");
+		logger.info("user created");
+
+		expect(lines).toEqual(["healthcheck ok", "payment failed"]);
+
+		await logger.destroy();
+	});
+
+	it("swaps the file output without losing queued messages", async () => {
+		const otherLogFilePath = path.join(tempDir28, "other-output.log");
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath28 },
+		});
+
+		for (let i = 0; i < 200; i++) logger.info(`Message ${i}`);
+		const swapped = logger.reconfigure({
+			minLevel: "debug",
+			fileOutput: {
+				enabled: true,
+				logFilePath: otherLogFilePath,
+				format: "json",
+			},
+		});
+		for (let i = 200; i < 400; i++) logger.debug(`Message ${i}`);
+		await swapped;
+		await logger.destroy();
+
+		const first = fs.readFileSync(logFilePath28, "utf8").trim().split("\n");
+		const second = fs.readFileSync(otherLogFilePath, "utf8").trim().split("\n");
+		expect(first).toHaveLength(200);
+		expect(first[199]).toMatch(/Message 199$/);
+		expect(second.map((line) => JSON.parse(line).msg)).toEqual(
+			Array.from({ length: 200 }, (_, i) => `Message ${i + 200}`),
+		);
+	});
+
+	it("validates reconfigure options with the construction rules", async () => {
+		const logger = deadslog({ consoleOutput: { enabled: false } });
+
+		await expect(
+			logger.reconfigure({ fileOutput: { enabled: true } }),
+		).rejects.toThrow(/no log file path provided/);
+		await expect(logger.reconfigure({ minLevel: "loud" })).rejects.toThrow(
+			/Invalid value for minLevel: loud/,
+		);
+		await expect(logger.reconfigure({ transports: [] })).rejects.toThrow(
+			/Invalid option for reconfigure: "transports"/,
+		);
+
+		await logger.destroy();
+	});
+
+	it("toggles verbose logging on a signal", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => record.msg,
+			reconfigureOn: { signal: "SIGUSR2", verboseLevel: "trace" },
+		});
+		vi.spyOn(console, "info").mockImplementation(() => {});
+
+		process.emit("SIGUSR2");
+		logger.trace("verbose");
+		process.emit("SIGUSR2");
+		logger.trace("quiet");
+		logger.info("normal");
+
+		expect(lines).toEqual(["verbose", "normal"]);
+
+		await logger.destroy();
+		expect(process.listenerCount("SIGUSR2")).toBe(0);
+	});
+
+	it("applies a watched config file", async () => {
+		const configFile = path.join(tempDir28, "deadslog.json");
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: (record) => record.msg,
+			reconfigureOn: { configFile, interval: 20 },
+		});
+
+		fs.writeFileSync(configFile, JSON.stringify({ minLevel: "debug" }));
+		await new Promise((resolve) => setTimeout(resolve, 150));
+		logger.debug("debug enabled");
+
+		expect(lines).toEqual(["debug enabled"]);
+
+		await logger.destroy();
+	});
+
+	it("formats printf-style calls and merges extra arguments", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+		});
+		const err = new Error("boom");
+
+		logger.info("took %dms for %s", 42, "req-1");
+		logger.info("payload %j", { a: 1 }, { requestId: "r1" });
+		logger.error("failed", err, { attempt: 2 });
+		logger.warn("retrying", 3, "times");
+		logger.info("100%% done %s");
+
+		expect(records.map(({ time, ...record }) => record)).toEqual([
+			{ level: "info", msg: "took 42ms for req-1" },
+			{ level: "info", msg: 'payload {"a":1}', requestId: "r1" },
+			{
+				level: "error",
+				msg: "failed",
+				err: expect.objectContaining({ message: "boom", stack: err.stack }),
+				attempt: 2,
+			},
+			{ level: "warn", msg: "retrying 3 times" },
+			{ level: "info", msg: "100%% done %s" },
+		]);
+
+		await logger.destroy();
+	});
+
+	it("writes the same formatted message to console and file", async () => {
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+		const logger = deadslog({
+			consoleOutput: { enabled: true, coloredCoding: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath29 },
+		});
+
+		logger.info("user %s has %i items %o", "ann", 3.7, [1], { shop: "x" });
+		await logger.destroy();
+
+		const fileLine = fs.readFileSync(logFilePath29, "utf8").trim();
+		expect(spy.mock.calls[0][0]).toBe(fileLine);
+		expect(fileLine).toMatch(
+			/ - user ann has 3 items \[ 1, \[length\]: 1 \] \{"shop":"x"\}$/,
+		);
+	});
+
+	it("serializes errors with custom properties, causes and aggregated errors", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+			errors: { maxDepth: 2 },
+		});
+		const root = new Error("disk full");
+		const err = Object.assign(
+			new Error("write failed", {
+				cause: new Error("io", { cause: new Error("device", { cause: root }) }),
+			}),
+			{ code: "EIO", errno: -5, response: { statusCode: 507 } },
+		);
+		const aggregate = new AggregateError(
+			[new TypeError("bad type"), "not an error"],
+			"all failed",
+		);
+
+		logger.error(err);
+		logger.error("batch failed", aggregate);
+
+		expect(records[0].msg).toMatchObject({
+			name: "Error",
+			message: "write failed",
+			code: "EIO",
+			errno: -5,
+			response: { statusCode: 507 },
+			cause: {
+				message: "io",
+				cause: { message: "device", cause: "[Max depth reached]" },
+			},
+		});
+		expect(records[0].msg.stack).toMatch(/^Error: write failed\n\s+at /);
+		expect(records[1].err).toMatchObject({
+			name: "AggregateError",
+			message: "all failed",
+			errors: [{ name: "TypeError", message: "bad type" }, "not an error"],
+		});
+
+		await logger.destroy();
+	});
+
+	it("writes errors in a readable text form and a structured json form", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [
+				{ write: (line) => lines.push(line) },
+				{ write: (line) => lines.push(line), format: "json" },
+			],
+		});
+		const err = Object.assign(
+			new Error("request failed", { cause: new Error("timeout") }),
+			{ statusCode: 504 },
+		);
+
+		logger.error("upstream", err, { attempt: 2 });
+		await logger.destroy();
+
+		const [text, json] = lines;
+		const [header, ...rest] = text.split("\n");
+		expect(header).toMatch(/ - upstream \{"attempt":2\}$/);
+		expect(rest[0]).toBe('Error: request failed {"statusCode":504}');
+		expect(text).toMatch(/\nCaused by: Error: timeout\n\s+at /);
+		expect(JSON.parse(json).err).toMatchObject({
+			message: "request failed",
+			statusCode: 504,
+			cause: { message: "timeout" },
+		});
+	});
+
+	it("trims dependency and internal stack frames", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+			errors: { trimStack: true },
+		});
+		const err = new Error("boom");
+		err.stack = [
+			"Error: boom",
+			"    at handler (/app/src/routes.js:10:5)",
+			"    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)",
+			"    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)",
+		].join("\n");
+
+		logger.error(err);
+
+		expect(records[0].msg.stack).toBe(
+			"Error: boom\n    at handler (/app/src/routes.js:10:5)",
+		);
+
+		await logger.destroy();
+	});
+
+	it("gives legacy formatters the stack of logged errors", async () => {
+		const lines = [];
+		const logger = deadslog({
+			transports: [{ write: (line) => lines.push(line) }],
+			formatter: deadslog.legacyFormatter(
+				(level, message) => `[${level}] ${message}`,
+			),
+		});
+
+		logger.error(new Error("boom"));
+		logger.error("failed", new TypeError("bad"), { id: 1 });
+
+		const [header, frame] = lines[0].split("\n");
+		expect(header).toBe("[ERROR] Error: boom");
+		expect(frame).toMatch(/^\s+at /);
+		expect(lines[1]).toMatch(
+			/^\[ERROR\] failed \{"id":1\}\nTypeError: bad\n\s+at /,
+		);
+		expect(lines.join("\n")).not.toContain("[object Object]");
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid error options", () => {
+		expect(() => deadslog({ errors: { maxDepth: -1 } })).toThrow(
+			/errors.maxDepth must be a non-negative integer/,
+		);
+		expect(() => deadslog({ errors: { trimStack: "yes" } })).toThrow(
+			/errors.trimStack must be a boolean or an array/,
+		);
+	});
+
+	it("selects debug output per namespace with DEADSLOG_DEBUG", async () => {
+		vi.stubEnv("DEADSLOG_DEBUG", "db:*,-db:pool");
+		const lines = [];
+		const transports = [{ write: (line) => lines.push(line) }];
+		const formatter = (record) => `${record.namespace}:${record.level}`;
+		try {
+			const db = deadslog({ name: "db", transports, formatter });
+			const pool = deadslog({ name: "db:pool", transports, formatter });
+			const http = deadslog({
+				name: "http",
+				transports,
+				formatter,
+				minLevel: "trace",
+			});
+
+			db.child({}, { name: "query" }).debug("selected");
+			pool.debug("excluded");
+			pool.info("info is always shown");
+			db.debug("db itself does not match db:*");
+			http.debug("unselected namespaces stay at info");
+			http.warn("shown");
+
+			expect(lines).toEqual(["db:query:debug", "db:pool:info", "http:warn"]);
+
+			await Promise.all([db.destroy(), pool.destroy(), http.destroy()]);
+		} finally {
+			vi.unstubAllEnvs();
+		}
+	});
+
+	it("shows and colors the namespace in console output", async () => {
+		const logger = deadslog({
+			name: "db:pool",
+			consoleOutput: { enabled: true, coloredCoding: true },
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("connected", { namespace: "ignored" });
+		logger.child({}, { name: "acquire" }).info("acquired");
+
+		const [first, second] = spy.mock.calls.map((call) => call[0]);
+		expect(first).toContain(namespaceColor("db:pool")("db:pool"));
+		expect(first).toMatch(/\] - connected$/);
+		expect(second).toContain(
+			namespaceColor("db:pool:acquire")("db:pool:acquire"),
+		);
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid namespaces", () => {
+		expect(() => deadslog({ name: "" })).toThrow(/name must be a non-empty/);
+		expect(() => deadslog({ name: "db:*" })).toThrow(/Invalid value for name/);
+		expect(() => deadslog().child({}, { name: "a b" })).toThrow(
+			/Invalid value for child name/,
+		);
+	});
+
+	it("sends records to console, file and custom transports", async () => {
+		const received = [];
+		const sink = {
+			name: "memory",
+			minLevel: "warn",
+			formatter: (record) => `${record.level}:${record.msg}`,
+			write: (line, record) => {
+				received.push({ line, record });
+			},
+			flush: vi.fn(async () => {}),
+			close: vi.fn(async () => {}),
+			getMetrics: () => ({ received: received.length }),
+		};
+		const logger = deadslog({
+			transports: [
+				{
+					type: "console",
+					coloredCoding: false,
+					filters: { exclude: "noisy" },
+				},
+				{ type: "file", logFilePath: logFilePath20, format: "json" },
+				sink,
+			],
+		});
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("hello", { userId: 1 });
+		logger.warn("noisy warning");
+
+		await logger.flush();
+		expect(sink.flush).toHaveBeenCalled();
+		expect(received).toEqual([
+			{
+				line: "warn:noisy warning",
+				record: expect.objectContaining({
+					level: "warn",
+					msg: "noisy warning",
+				}),
+			},
+		]);
+		expect(spy).toHaveBeenCalledWith(expect.stringMatching(/\[INFO\].*hello/));
+		expect(spy).not.toHaveBeenCalledWith(expect.stringMatching(/noisy/));
+
+		const metrics = logger.getMetrics();
+		expect(metrics.transports.map((t) => t.name)).toEqual(["file", "memory"]);
+		expect(metrics.transports[1].received).toBe(1);
+
+		await logger.destroy();
+		expect(sink.close).toHaveBeenCalled();
+
+		const lines = fs
+			.readFileSync(logFilePath20, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		expect(lines.map((line) => line.msg)).toEqual(["hello", "noisy warning"]);
+	});
+
+	it("does not log to the console by default when transports are given", async () => {
+		const write = vi.fn();
+		const logger = deadslog({ transports: [{ write }] });
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+
+		logger.info("only the sink");
+
+		expect(write).toHaveBeenCalledWith(
+			expect.stringContaining("only the sink"),
+			expect.objectContaining({ level: "info" }),
+		);
+		expect(spy).not.toHaveBeenCalled();
+		expect(logger.getMetrics()).toMatch(/No metrics available/);
+
+		await logger.destroy();
+	});
+
+	it("reports failed asynchronous writes without rejecting level methods", async () => {
+		const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		const failure = new Error("sink down");
+		const lines = [];
+		const logger = deadslog({
+			transports: [
+				{ name: "sink", write: () => Promise.reject(failure) },
+				{ write: (line) => lines.push(line) },
+			],
+		});
+
+		await expect(logger.info("lost by the sink")).resolves.toBeUndefined();
+
+		expect(errorSpy).toHaveBeenCalledWith(
+			'[deadslog/system] Error writing to transport "sink":',
+			failure,
+		);
+		expect(lines).toHaveLength(1);
+		await logger.destroy();
+	});
+
+	it("only loses the lines of an output whose formatter throws", async () => {
+		const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+		const failure = new Error("bad formatter");
+		const lines = [];
+		const logger = deadslog({
+			transports: [
+				{
+					name: "broken",
+					write: (line) => lines.push(`broken ${line}`),
+					formatter: () => {
+						throw failure;
+					},
+				},
+				{
+					write: (line) => lines.push(line),
+					formatter: (record) => record.msg,
+				},
+			],
+		});
+
+		await expect(logger.info("still written")).resolves.toBeUndefined();
+
+		expect(lines).toEqual(["still written"]);
+		expect(errorSpy).toHaveBeenCalledWith(
+			'[deadslog/system] Error formatting a record for transport "broken":',
+			failure,
+		);
+		await logger.destroy();
+	});
+
+	it("sends RFC 5424 messages with structured data over UDP", async () => {
+		const server = dgram.createSocket("udp4");
+		const received = [];
+		server.on("message", (message) => received.push(message.toString()));
+		await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+
+		const logger = deadslog({
+			name: "api",
+			levels: { audit: 45 },
+			transports: [
+				{
+					type: "syslog",
+					host: "127.0.0.1",
+					port: server.address().port,
+					facility: "local0",
+					appName: "shop",
+					hostname: "web-1",
+				},
+			],
+		});
+		logger.warn("disk low", { free: "5%", path: '/var/"data"' });
+		logger.audit("role changed");
+		await logger.flush();
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await logger.destroy();
+		server.close();
+
+		expect(received).toHaveLength(2);
+		expect(received[0]).toMatch(
+			new RegExp(
+				`^<132>1 \\S+Z web-1 shop ${process.pid} api \\[meta@32473 free="5%" path="/var/\\\\"data\\\\""\\] disk low$`,
+			),
+		);
+		// Custom levels take the severity of the built-in level they reach
+		expect(received[1]).toMatch(/^<132>1 .* - role changed$/);
+	});
+
+	it("sends octet-counted RFC 3164 messages over TCP and reconnects", async () => {
+		const chunks = [];
+		const sockets = [];
+		const server = net.createServer((socket) => {
+			sockets.push(socket);
+			socket.on("data", (data) => chunks.push(data.toString()));
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+		const logger = deadslog({
+			transports: [
+				{
+					type: "syslog",
+					protocol: "tcp",
+					format: "rfc3164",
+					host: "127.0.0.1",
+					port: server.address().port,
+					appName: "shop",
+					hostname: "web-1",
+				},
+			],
+		});
+		logger.error("first", { orderId: 7 });
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		sockets[0].destroy();
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		logger.info("second");
+		await new Promise((resolve) => setTimeout(resolve, 300));
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+		await new Promise((resolve) => server.close(resolve));
+
+		// Octet counting: each message is preceded by its length in bytes and a space
+		const messages = [];
+		let stream = Buffer.from(chunks.join(""));
+		while (stream.length > 0) {
+			const space = stream.indexOf(" ");
+			const length = Number(stream.subarray(0, space).toString());
+			messages.push(stream.subarray(space + 1, space + 1 + length).toString());
+			stream = stream.subarray(space + 1 + length);
+		}
+		expect(messages).toHaveLength(2);
+		expect(messages[0]).toMatch(
+			new RegExp(
+				`<11>\\w{3} [ \\d]\\d \\d\\d:\\d\\d:\\d\\d web-1 shop\\[${process.pid}\\]: first \\{"orderId":7\\}$`,
+			),
+		);
+		expect(messages[1]).toMatch(/<14>.* second$/);
+		expect(sockets).toHaveLength(2);
+		expect(metrics.reconnects).toBe(1);
+	});
+
+	it("sends newline separated messages to a unix socket", async () => {
+		fs.mkdirSync(tempDir36, { recursive: true });
+		const socketPath = path.join(tempDir36, "log.sock");
+		const chunks = [];
+		const server = net.createServer((socket) => {
+			socket.on("data", (data) => chunks.push(data.toString()));
+		});
+		await new Promise((resolve) => server.listen(socketPath, resolve));
+
+		const logger = deadslog({
+			transports: [{ type: "syslog", protocol: "unix", path: socketPath }],
+		});
+		logger.info("one");
+		logger.info("two");
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await logger.destroy();
+		await new Promise((resolve) => server.close(resolve));
+
+		const lines = chunks.join("").split("\n");
+		expect(lines).toHaveLength(3);
+		expect(lines[0]).toMatch(/^<14>1 .* one$/);
+		expect(lines[1]).toMatch(/^<14>1 .* two$/);
+	});
+
+	// Node.js cannot bind Unix datagram sockets, so Python provides one
+	const hasPython = spawnSync("python3", ["--version"]).status === 0;
+
+	it.skipIf(!hasPython)(
+		"reports a unix datagram socket once and drops its messages",
+		async () => {
+			fs.mkdirSync(tempDir36, { recursive: true });
+			const socketPath = path.join(tempDir36, "dgram.sock");
+			fs.rmSync(socketPath, { force: true });
+			const server = spawn("python3", [
+				"-c",
+				`import socket, sys, time
+s = socket.socket(socket.AF_UNIX, socket.SOCK_DGRAM)
+s.bind(${JSON.stringify(socketPath)})
+print("ready", flush=True)
+time.sleep(30)`,
+			]);
+			await new Promise((resolve) => server.stdout.once("data", resolve));
+			const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+
+			try {
+				const logger = deadslog({
+					transports: [{ type: "syslog", protocol: "unix", path: socketPath }],
+				});
+				logger.info("one");
+				await new Promise((resolve) => setTimeout(resolve, 300));
+				logger.info("two");
+				const metrics = logger.getMetrics();
+				await logger.destroy();
+
+				expect(errorSpy).toHaveBeenCalledTimes(1);
+				expect(errorSpy.mock.calls[0][0]).toMatch(
+					/dgram.sock is not a stream socket/,
+				);
+				expect(metrics).toMatchObject({
+					messagesDropped: 2,
+					reconnects: 0,
+					pending: 0,
+				});
+			} finally {
+				server.kill();
+			}
+		},
+	);
+
+	it("rejects invalid syslog options", () => {
+		expect(() =>
+			deadslog({ transports: [{ type: "syslog", protocol: "http" }] }),
+		).toThrow(/Invalid value for transports\[0\].protocol: "http"/);
+		expect(() =>
+			deadslog({ transports: [{ type: "syslog", facility: "local9" }] }),
+		).toThrow(/Invalid value for transports\[0\].facility: "local9"/);
+		expect(() =>
+			deadslog({ transports: [{ type: "syslog", port: 70000 }] }),
+		).toThrow(/transports\[0\].port must be an integer from 1 to 65535/);
+		expect(() =>
+			deadslog({ transports: [{ type: "syslog", protocol: "unix" }] }),
+		).toThrow(/transports\[0\].path is required with the "unix" protocol/);
+	});
+
+	// Collects request bodies, answering with the statuses returned by respond
+	const startCollector = async (respond = () => 204) => {
+		const requests = [];
+		const server = http.createServer((req, res) => {
+			const chunks = [];
+			req.on("data", (chunk) => chunks.push(chunk));
+			req.on("end", () => {
+				const raw = Buffer.concat(chunks);
+				const body =
+					req.headers["content-encoding"] === "gzip"
+						? zlib.gunzipSync(raw).toString()
+						: raw.toString();
+				requests.push({ headers: req.headers, body });
+				res.statusCode = respond(requests.length);
+				res.end();
+			});
+		});
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		return {
+			requests,
+			url: `http://127.0.0.1:${server.address().port}/logs`,
+			close: () => new Promise((resolve) => server.close(resolve)),
+		};
+	};
+
+	it("sends gzipped batches of records over HTTP", async () => {
+		const collector = await startCollector();
+		const logger = deadslog({
+			transports: [
+				{
+					type: "http",
+					url: collector.url,
+					headers: { Authorization: "Bearer token" },
+					batch: { maxCount: 2 },
+				},
+			],
+		});
+		for (let i = 1; i <= 5; i++) logger.info(`message ${i}`, { i });
+		await logger.flush();
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+		await collector.close();
+
+		expect(collector.requests).toHaveLength(3);
+		const [first] = collector.requests;
+		expect(first.headers["content-type"]).toBe("application/json");
+		expect(first.headers.authorization).toBe("Bearer token");
+		expect(JSON.parse(first.body)).toEqual([
+			expect.objectContaining({ level: "info", msg: "message 1", i: 1 }),
+			expect.objectContaining({ level: "info", msg: "message 2", i: 2 }),
+		]);
+		expect(JSON.parse(collector.requests[2].body)).toHaveLength(1);
+		expect(metrics).toMatchObject({
+			batchesSent: 3,
+			messagesSent: 5,
+			circuitOpen: false,
+			queuedBatches: 0,
+		});
+	});
+
+	it("sends a partial batch once the interval has passed", async () => {
+		const collector = await startCollector();
+		const logger = deadslog({
+			transports: [
+				{ type: "http", url: collector.url, batch: { interval: 50 } },
+			],
+		});
+		logger.info("lonely");
+		expect(logger.getMetrics().pendingMessages).toBe(1);
+		await new Promise((resolve) => setTimeout(resolve, 200));
+
+		expect(collector.requests).toHaveLength(1);
+		await logger.destroy();
+		await collector.close();
+	});
+
+	it("formats Loki and Elasticsearch bulk bodies", async () => {
+		const collector = await startCollector();
+		const logger = deadslog({
+			transports: [
+				{
+					type: "http",
+					url: collector.url,
+					format: "loki",
+					labels: { app: "shop" },
+					gzip: false,
+				},
+				{
+					type: "http",
+					url: collector.url,
+					format: "elasticsearch",
+					index: "shop-logs",
+					gzip: false,
+				},
+			],
+		});
+		logger.info("placed", { orderId: 7 });
+		logger.error("failed");
+		await logger.flush();
+		await logger.destroy();
+		await collector.close();
+
+		const loki = collector.requests.find(({ body }) => body.startsWith("{"));
+		const { streams } = JSON.parse(loki.body);
+		expect(streams).toEqual([
+			{
+				stream: { app: "shop", level: "info" },
+				values: [[expect.stringMatching(/^\d{19}$/), expect.any(String)]],
+			},
+			{
+				stream: { app: "shop", level: "error" },
+				values: [[expect.any(String), expect.stringContaining("failed")]],
+			},
+		]);
+		expect(streams[0].values[0][1]).toMatch(/\[INFO\].* - placed/);
+
+		const bulk = collector.requests.find((request) => request !== loki);
+		expect(bulk.headers["content-type"]).toBe("application/x-ndjson");
+		const lines = bulk.body.trim().split("\n").map(JSON.parse);
+		expect(lines).toEqual([
+			{ index: { _index: "shop-logs" } },
+			expect.objectContaining({ msg: "placed", orderId: 7 }),
+			{ index: { _index: "shop-logs" } },
+			expect.objectContaining({ msg: "failed" }),
+		]);
+	});
+
+	it("retries failed HTTP requests and drops rejected batches", async () => {
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		// Two failures, a success, then a rejection
+		const statuses = [503, 503, 200, 400];
+		const collector = await startCollector((n) => statuses[n - 1]);
+		const logger = deadslog({
+			transports: [
+				{
+					type: "http",
+					url: collector.url,
+					retry: { minDelay: 10, maxDelay: 20 },
+				},
+			],
+		});
+		logger.info("eventually");
+		await logger.flush();
+		logger.info("malformed");
+		await logger.flush();
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+		await collector.close();
+
+		expect(collector.requests).toHaveLength(4);
+		expect(collector.requests[2].body).toBe(collector.requests[0].body);
+		expect(metrics).toMatchObject({
+			batchesSent: 1,
+			requestFailures: 2,
+			retries: 2,
+			batchesRejected: 1,
+		});
+	});
+
+	it("opens the circuit, spools unsent batches on destroy and replays them", async () => {
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		fs.mkdirSync(tempDir37, { recursive: true });
+		const spoolPath = path.join(tempDir37, "http.spool");
+		let healthy = false;
+		const collector = await startCollector(() => (healthy ? 200 : 500));
+		const options = {
+			type: "http",
+			url: collector.url,
+			batch: { maxCount: 1 },
+			retry: { minDelay: 5, maxDelay: 5 },
+			circuitBreaker: { threshold: 3, resetTimeout: 60000 },
+			spoolPath,
+		};
+
+		const down = deadslog({ transports: [options] });
+		down.info("first");
+		down.info("second");
+		await down.flush();
+		const metrics = down.getMetrics();
+		// The circuit holds both batches rather than retrying them
+		expect(collector.requests).toHaveLength(3);
+		expect(metrics).toMatchObject({ circuitOpen: true, queuedBatches: 2 });
+		await down.destroy();
+		expect(fs.readFileSync(spoolPath, "utf8").trim().split("\n")).toHaveLength(
+			2,
+		);
+
+		healthy = true;
+		const up = deadslog({ transports: [options] });
+		up.info("third");
+		await up.flush();
+		const replayed = up.getMetrics();
+		await up.destroy();
+		await collector.close();
+
+		const sent = collector.requests
+			.slice(3)
+			.map(({ body }) => JSON.parse(body)[0].msg);
+		expect(sent).toEqual(["first", "second", "third"]);
+		expect(replayed).toMatchObject({ batchesReplayed: 2, batchesSent: 3 });
+		expect(fs.existsSync(spoolPath)).toBe(false);
+	});
+
+	it("replays spooled batches once a request succeeds", async () => {
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		fs.mkdirSync(tempDir37, { recursive: true });
+		const spoolPath = path.join(tempDir37, "http-success.spool");
+		fs.rmSync(spoolPath, { force: true });
+		let healthy = false;
+		const collector = await startCollector(() => (healthy ? 200 : 500));
+		const logger = deadslog({
+			transports: [
+				{
+					type: "http",
+					url: collector.url,
+					gzip: false,
+					batch: { maxCount: 1 },
+					retry: { maxRetries: 0 },
+					spoolPath,
+				},
+			],
+		});
+
+		logger.info("first");
+		await logger.flush();
+		expect(logger.getMetrics().spooledBatches).toBe(1);
+
+		healthy = true;
+		logger.info("second");
+		await logger.flush();
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+		await collector.close();
+
+		const sent = collector.requests
+			.slice(1)
+			.map(({ body }) => JSON.parse(body)[0].msg);
+		expect(sent).toEqual(["second", "first"]);
+		expect(metrics).toMatchObject({
+			batchesSpooled: 1,
+			batchesReplayed: 1,
+			spooledBatches: 0,
+		});
+		expect(fs.existsSync(spoolPath)).toBe(false);
+	});
+
+	it("replays spooled batches first when the circuit lets a request through", async () => {
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		fs.mkdirSync(tempDir37, { recursive: true });
+		const spoolPath = path.join(tempDir37, "http-half-open.spool");
+		fs.rmSync(spoolPath, { force: true });
+		let healthy = false;
+		const collector = await startCollector(() => (healthy ? 200 : 500));
+		const logger = deadslog({
+			transports: [
+				{
+					type: "http",
+					url: collector.url,
+					gzip: false,
+					batch: { maxCount: 1 },
+					retry: { maxRetries: 0 },
+					circuitBreaker: { threshold: 2, resetTimeout: 50 },
+					spoolPath,
+				},
+			],
+		});
+
+		// The first batch is spooled, the second one opens the circuit
+		logger.info("first");
+		await logger.flush();
+		logger.info("second");
+		await logger.flush();
+		expect(logger.getMetrics()).toMatchObject({
+			circuitOpen: true,
+			spooledBatches: 1,
+			queuedBatches: 1,
+		});
+
+		healthy = true;
+		await vi.waitFor(() => expect(collector.requests).toHaveLength(4));
+		await logger.flush();
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+		await collector.close();
+
+		const sent = collector.requests
+			.slice(2)
+			.map(({ body }) => JSON.parse(body)[0].msg);
+		expect(sent).toEqual(["first", "second"]);
+		expect(metrics).toMatchObject({ circuitOpen: false, spooledBatches: 0 });
+	});
+
+	it("rejects invalid HTTP options", () => {
+		expect(() => deadslog({ transports: [{ type: "http" }] })).toThrow(
+			/transports\[0\].url must be an http or https URL/,
+		);
+		expect(() =>
+			deadslog({
+				transports: [{ type: "http", url: "http://x", format: "xml" }],
+			}),
+		).toThrow(/Invalid value for transports\[0\].format: "xml"/);
+		expect(() =>
+			deadslog({
+				transports: [{ type: "http", url: "http://x", batch: { maxCount: 0 } }],
+			}),
+		).toThrow(/transports\[0\].batch.maxCount must be a positive integer/);
+	});
+
+	const startServer = async (handler) => {
+		const server = http.createServer(handler);
+		await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+		return {
+			url: `http://127.0.0.1:${server.address().port}`,
+			close: () => new Promise((resolve) => server.close(resolve)),
+		};
+	};
+
+	it("logs requests with their request id, status and size", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+		});
+		const logRequest = httpLogger(logger, {
+			requestHeaders: ["Authorization", "Accept"],
+			responseHeaders: ["content-type"],
+		});
+		const server = await startServer((req, res) =>
+			logRequest(req, res, () => {
+				req.log.info("loading user");
+				logger.info("from context");
+				res.statusCode = req.url === "/missing" ? 404 : 200;
+				res.setHeader("content-type", "text/plain");
+				res.write("héllo ");
+				res.end("world");
+			}),
+		);
+
+		const response = await fetch(`${server.url}/users/1?full=1`, {
+			headers: {
+				"x-request-id": "req-42",
+				authorization: "Bearer secret",
+				accept: "text/plain",
+				"user-agent": "deadslog-test",
+			},
+		});
+		expect(await response.text()).toBe("héllo world");
+		expect(response.headers.get("x-request-id")).toBe("req-42");
+		const missing = await fetch(`${server.url}/missing`);
+		await missing.text();
+		await server.close();
+		await logger.flush();
+
+		expect(records.slice(0, 3)).toMatchObject([
+			{ msg: "loading user", requestId: "req-42" },
+			{ msg: "from context", requestId: "req-42" },
+			{
+				level: "info",
+				msg: "request completed",
+				requestId: "req-42",
+				method: "GET",
+				url: "/users/1?full=1",
+				status: 200,
+				bytes: 12,
+				remoteAddress: "127.0.0.1",
+				userAgent: "deadslog-test",
+				reqHeaders: { authorization: "[REDACTED]", accept: "text/plain" },
+				resHeaders: { "content-type": "text/plain" },
+			},
+		]);
+		expect(typeof records[2].durationMs).toBe("number");
+		const generatedId = missing.headers.get("x-request-id");
+		expect(generatedId).toMatch(/^[0-9a-f-]{36}$/);
+		expect(records[5]).toMatchObject({
+			level: "warn",
+			status: 404,
+			requestId: generatedId,
+		});
+
+		await logger.destroy();
+	});
+
+	it("logs the errors of Koa middlewares at the error level", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+		});
+		const middleware = koaLogger(logger, {
+			ignore: (req) => req.url === "/health",
+		});
+		const server = await startServer((req, res) => {
+			const ctx = { req, res };
+			middleware(ctx, async () => {
+				if (req.url === "/health") return res.end("ok");
+				ctx.log.debug("not logged");
+				throw new Error("db down");
+			}).catch(() => {
+				res.statusCode = 500;
+				res.end();
+			});
+		});
+
+		await (await fetch(`${server.url}/health`)).text();
+		await (await fetch(`${server.url}/orders`)).text();
+		await server.close();
+		await logger.flush();
+
+		expect(records).toHaveLength(1);
+		expect(records[0]).toMatchObject({
+			level: "error",
+			msg: "request completed",
+			url: "/orders",
+			status: 500,
+			err: { message: "db down" },
+		});
+
+		await logger.destroy();
+	});
+
+	it("redacts captured headers with the logger's redaction", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+			redact: { paths: ["reqHeaders.accept"], censor: "remove" },
+		});
+		const logRequest = httpLogger(logger, {
+			requestHeaders: ["authorization", "accept", "x-trace"],
+		});
+		const server = await startServer((req, res) =>
+			logRequest(req, res, () => {
+				req.log.info("inner", { reqHeaders: { authorization: "Bearer x" } });
+				res.end();
+			}),
+		);
+
+		await (
+			await fetch(server.url, {
+				headers: {
+					authorization: "Bearer secret",
+					accept: "*/*",
+					"x-trace": "t1",
+				},
+			})
+		).text();
+		await server.close();
+		await logger.flush();
+
+		expect(records[0].reqHeaders).toEqual({});
+		expect(records[1]).toMatchObject({ msg: "request completed" });
+		expect(records[1].reqHeaders).toEqual({ "x-trace": "t1" });
+
+		await logger.destroy();
+	});
+
+	// Runs middlewares the way Express does, including its error middlewares
+	const createExpressApp = () => {
+		const stack = [];
+		const app = (req, res) => {
+			let index = 0;
+			const next = (err) => {
+				const layer = stack[index++];
+				if (!layer) {
+					res.statusCode = err ? 500 : 404;
+					res.end();
+					return;
+				}
+				try {
+					if (err) {
+						if (layer.length === 4) layer(err, req, res, next);
+						else next(err);
+					} else if (layer.length < 4) layer(req, res, next);
+					else next();
+				} catch (error) {
+					next(error);
+				}
+			};
+			req.originalUrl = req.url;
+			next();
+		};
+		app.use = (layer) => stack.push(layer);
+		return app;
+	};
+
+	it("logs Express requests with the original URL", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+		});
+		const app = createExpressApp();
+		app.use(httpLogger(logger));
+		app.use((req, res, next) => {
+			// Mounted routers strip their path from req.url
+			req.url = "/1";
+			req.log.info("loading user");
+			next(req.originalUrl === "/users/2" ? new Error("not found") : undefined);
+		});
+		app.use((req, res) => {
+			res.statusCode = 201;
+			res.end("created");
+		});
+		app.use((err, req, res, next) => {
+			logger.warn("failed", err);
+			res.statusCode = 404;
+			res.end();
+		});
+		const server = await startServer(app);
+
+		await (await fetch(`${server.url}/users/1`)).text();
+		await (await fetch(`${server.url}/users/2`)).text();
+		await server.close();
+		await logger.flush();
+
+		const [first, created, second, failed, notFound] = records;
+		expect(first).toMatchObject({ msg: "loading user" });
+		expect(created).toMatchObject({
+			level: "info",
+			msg: "request completed",
+			requestId: first.requestId,
+			url: "/users/1",
+			status: 201,
+			bytes: 7,
+		});
+		expect(second.requestId).not.toBe(first.requestId);
+		expect(failed).toMatchObject({
+			msg: "failed",
+			requestId: second.requestId,
+			err: { message: "not found" },
+		});
+		expect(notFound).toMatchObject({
+			level: "warn",
+			url: "/users/2",
+			status: 404,
+		});
+
+		await logger.destroy();
+	});
+
+	// Runs the hooks and route handlers of plugins the way Fastify does
+	const createFastifyApp = (route) => {
+		const hooks = { onRequest: [], onError: [] };
+		const decorators = new Set();
+		const app = {
+			addHook: (name, hook) => hooks[name].push(hook),
+			decorateRequest: (name) => decorators.add(name),
+			hasRequestDecorator: (name) => decorators.has(name),
+			register: (plugin) =>
+				new Promise((resolve) => plugin(app, {}, () => resolve())),
+			handler: (req, res) => {
+				const pinoLog = { info: () => {}, child: () => pinoLog };
+				const request = { raw: req, log: pinoLog, pinoLog };
+				for (const name of decorators) request[name] = null;
+				const reply = { raw: res };
+				const run = (index) => {
+					if (index < hooks.onRequest.length)
+						return hooks.onRequest[index](request, reply, () => run(index + 1));
+					Promise.resolve()
+						.then(() => route(request, reply))
+						.catch((err) => {
+							for (const hook of hooks.onError)
+								hook(request, reply, err, () => {});
+							res.statusCode = 500;
+							res.end();
+						});
+				};
+				run(0);
+			},
+		};
+		return app;
+	};
+
+	it("logs Fastify requests without replacing request.log", async () => {
+		const records = [];
+		const logger = deadslog({
+			transports: [{ write: (line, record) => records.push(record) }],
+		});
+		const logs = [];
+		const app = createFastifyApp(async (request, reply) => {
+			logs.push(request.log === request.pinoLog);
+			request.deadslog.info("handling");
+			if (request.raw.url === "/fail") throw new Error("db down");
+			logger.info("from context");
+			reply.raw.end("ok");
+		});
+		const plugin = fastifyLogger(logger);
+		await app.register(plugin);
+		expect(plugin[Symbol.for("skip-override")]).toBe(true);
+		const server = await startServer(app.handler);
+
+		await (await fetch(`${server.url}/orders`)).text();
+		await (await fetch(`${server.url}/fail`)).text();
+		await server.close();
+		await logger.flush();
+
+		expect(logs).toEqual([true, true]);
+		const [handling, fromContext, completed, failing, failed] = records;
+		expect(fromContext.requestId).toBe(handling.requestId);
+		expect(completed).toMatchObject({
+			level: "info",
+			msg: "request completed",
+			requestId: handling.requestId,
+			url: "/orders",
+			status: 200,
+		});
+		expect(failing).toMatchObject({ msg: "handling" });
+		expect(failed).toMatchObject({
+			level: "error",
+			requestId: failing.requestId,
+			url: "/fail",
+			status: 500,
+			err: { message: "db down" },
+		});
+
+		await logger.destroy();
+	});
+
+	it("rejects invalid request logger options", async () => {
+		const logger = deadslog({ consoleOutput: { enabled: false } });
+		expect(() => httpLogger({})).toThrow(/logger must be a deadslog logger/);
+		expect(() => httpLogger(logger, { requestHeaders: "accept" })).toThrow(
+			/options.requestHeaders must be an array of header names/,
+		);
+		expect(() => koaLogger(logger, { level: "warn" })).toThrow(
+			/options.level must be a function/,
+		);
+
+		await logger.destroy();
+	});
+
+	it("queries current, rotated and archived log files in time order", async () => {
+		fs.mkdirSync(tempDir38, { recursive: true });
+		fs.writeFileSync(
+			path.join(tempDir38, "app.2.log.gz"),
+			zlib.gzipSync(
+				"[INFO] [2026-10-17T10:00:00.000Z] - server started\n" +
+					'[ERROR] [2026-10-17T11:00:00.000Z] - payment failed {"orderId":7}\n',
+			),
+		);
+		fs.writeFileSync(
+			path.join(tempDir38, "app.1.log"),
+			[
+				{ level: "warn", time: "2026-10-18T09:00:00.000Z", msg: "slow query" },
+				{
+					level: "error",
+					time: "2026-10-18T10:00:00.000Z",
+					msg: "payment failed",
+					orderId: 8,
+				},
+			]
+				.map((record) => JSON.stringify(record))
+				.join("\n"),
+		);
+		fs.writeFileSync(
+			logFilePath36,
+			"[ERROR] [2026-10-19T08:00:00.000Z] [billing] - Error: card declined\n" +
+				"    at charge (billing.js:10:5)\n" +
+				'[INFO] [2026-10-19T09:00:00.000Z] - done {"took":{"ms":5}}\n',
+		);
+		// Not part of the log file's rotation scheme
+		fs.writeFileSync(path.join(tempDir38, "other.1.log"), "[INFO] [x] - no");
+
+		const collect = async (options) => {
+			const records = [];
+			for await (const record of deadslog.query(logFilePath36, options))
+				records.push(record);
+			return records;
+		};
+
+		expect((await collect()).map(({ msg }) => msg)).toEqual([
+			"server started",
+			"payment failed",
+			"slow query",
+			"payment failed",
+			"Error: card declined\n    at charge (billing.js:10:5)",
+			"done",
+		]);
+		expect(await collect({ levels: ["error"], text: "payment" })).toEqual([
+			{
+				level: "error",
+				time: "2026-10-17T11:00:00.000Z",
+				msg: "payment failed",
+				orderId: 7,
+			},
+			expect.objectContaining({ orderId: 8 }),
+		]);
+		expect(
+			await collect({
+				from: "2026-10-18T00:00:00Z",
+				to: new Date("2026-10-19T08:30:00Z"),
+			}),
+		).toHaveLength(3);
+		expect(await collect({ regex: /billing\.js/ })).toEqual([
+			expect.objectContaining({ level: "error", namespace: "billing" }),
+		]);
+		expect((await collect({ text: "done" }))[0].took).toEqual({ ms: 5 });
+		expect(await collect({ fields: { orderId: 8 } })).toHaveLength(1);
+		expect(await collect({ limit: 2 })).toHaveLength(2);
+		expect(() => deadslog.query(logFilePath36, { limit: 0 })).toThrow(
+			/query.limit must be a positive integer/,
+		);
+	});
+
+	it("queries the logger's own file after flushing it", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath37, format: "json" },
+		});
+		logger.info("first", { userId: 1 });
+		logger.child({ userId: 2 }).warn("second");
+		logger.info("third", { userId: 2 });
+
+		const records = [];
+		for await (const record of logger.query({ fields: { userId: 2 } }))
+			records.push(record);
+		await logger.destroy();
+
+		expect(records.map(({ msg }) => msg)).toEqual(["second", "third"]);
+		expect(() => deadslog().query()).toThrow(/query requires a file output/);
+		expect(() => deadslog({ levels: { query: 35 } })).toThrow(
+			/"query" is a logger method/,
+		);
+	});
+
+	const cliPath = path.join(process.cwd(), "src", "cli.js");
+	const runCli = (args, input) =>
+		execFileSync(process.execPath, [cliPath, ...args], {
+			input,
+			encoding: "utf8",
+			// Without colors, whatever the terminal running the tests
+			env: {
+				...Object.fromEntries(
+					Object.entries(process.env).filter(([key]) => key !== "FORCE_COLOR"),
+				),
+				NO_COLOR: "1",
+			},
+		});
+
+	it("filters and summarizes log files and archives with the CLI", () => {
+		fs.mkdirSync(tempDir40, { recursive: true });
+		const archive = path.join(tempDir40, "app.1.log.gz");
+		fs.writeFileSync(
+			archive,
+			zlib.gzipSync(
+				'{"level":"warn","time":"2026-10-18T10:00:00.000Z","msg":"slow query"}\n',
+			),
+		);
+		const active = path.join(tempDir40, "app.log");
+		fs.writeFileSync(
+			active,
+			"[INFO] [2026-10-19T08:00:00.000Z] - started\n" +
+				'[ERROR] [2026-10-19T09:10:00.000Z] [db] - Error: boom {"q":1}\n' +
+				"    at query (db.js:1:1)\n",
+		);
+
+		expect(runCli(["grep", "--level", "warn", archive, active])).toBe(
+			'{"level":"warn","time":"2026-10-18T10:00:00.000Z","msg":"slow query"}\n' +
+				'[ERROR] [2026-10-19T09:10:00.000Z] [db] - Error: boom {"q":1}\n' +
+				"    at query (db.js:1:1)\n",
+		);
+		expect(
+			runCli([
+				"grep",
+				"--since",
+				"2026-10-19T00:00:00Z",
+				"--match",
+				"start",
+				active,
+			]),
+		).toBe("[INFO] [2026-10-19T08:00:00.000Z] - started\n");
+		// Like grep, nothing found exits with 1, and usage errors with 2
+		expect(() => runCli(["grep", "--match", "nothing", active])).toThrow(
+			expect.objectContaining({ status: 1 }),
+		);
+		expect(() => runCli(["grep", "--level", "loud", active])).toThrow(
+			expect.objectContaining({ status: 2 }),
+		);
+
+		expect(JSON.parse(runCli(["stats", "--json", archive, active]))).toEqual({
+			total: 3,
+			levels: { info: 1, warn: 1, error: 1 },
+			hours: {
+				"2026-10-18T10:00Z": 1,
+				"2026-10-19T08:00Z": 1,
+				"2026-10-19T09:00Z": 1,
+			},
+		});
+		expect(runCli(["tail", "-n", "1", archive])).toContain("slow query");
+	});
+
+	it("pretty-prints NDJSON from standard input with the CLI", () => {
+		const output = runCli(
+			["pretty"],
+			'{"level":"warn","time":"2026-10-19T08:00:00.000Z","msg":"disk low","free":"5%"}\nnot a log line\n',
+		);
+		expect(output).toBe(
+			'[WARN] [2026-10-19T08:00:00.000Z] - disk low {"free":"5%"}\nnot a log line\n',
+		);
+	});
+
+	it("follows a log file across rotations with the CLI", async () => {
+		fs.mkdirSync(tempDir40, { recursive: true });
+		const logFile = path.join(tempDir40, "follow.log");
+		fs.writeFileSync(logFile, "old 1\nold 2\n");
+		const child = spawn(process.execPath, [
+			cliPath,
+			"tail",
+			"-f",
+			"-n",
+			"1",
+			logFile,
+		]);
+		let output = "";
+		child.stdout.on("data", (data) => {
+			output += data;
+		});
+		const waitFor = async (text) => {
+			for (let i = 0; i < 100 && !output.includes(text); i++)
+				await new Promise((resolve) => setTimeout(resolve, 20));
+		};
+
+		await waitFor("old 2");
+		fs.appendFileSync(logFile, "appended\nunfinished");
+		await waitFor("appended");
+		fs.renameSync(logFile, path.join(tempDir40, "follow.1.log"));
+		fs.writeFileSync(logFile, "rotated\n");
+		await waitFor("rotated");
+		const exited = new Promise((resolve) => child.on("exit", resolve));
+		child.kill();
+		expect(await exited).toBe(0);
+
+		expect(output).toBe("old 2\nappended\nunfinished\nrotated\n");
+	});
+
+	it("pretty-prints records with multi-line objects and stack traces", () => {
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+		const logger = deadslog({
+			name: "api",
+			consoleOutput: {
+				enabled: true,
+				mode: "pretty",
+				coloredCoding: false,
+				pretty: { depth: 0, maxStringLength: 12 },
+			},
+		});
+		const err = new Error("boom");
+		err.stack =
+			"Error: boom\n    at charge (/app/src/billing.js:10:5)\n    at run (/app/node_modules/lib/index.js:1:1)";
+		logger.info("order placed", {
+			user: { id: 1, roles: ["admin"], address: { city: "Oslo" } },
+			note: "x".repeat(15),
+		});
+		logger.error("failed", err);
+
+		const [[placed], [failed]] = spy.mock.calls;
+		expect(placed).toMatch(
+			/^\d{2}:\d{2}:\d{2}\.\d{3} {2}INFO {5}api order placed\n/,
+		);
+		expect(placed.split("\n").slice(1)).toEqual([
+			"  user: { id: 1, roles: [Array], address: [Object] }",
+			"  note: 'xxxxxxxxxxxx'... 3 more characters",
+		]);
+		expect(failed.split("\n").slice(1)).toEqual([
+			"  err:",
+			"    Error: boom",
+			"        at charge (/app/src/billing.js:10:5)",
+			"        at run (/app/node_modules/lib/index.js:1:1)",
+		]);
+	});
+
+	it("prints NDJSON in the json console mode", () => {
+		const spy = vi.spyOn(console, "log").mockImplementation(() => {});
+		const logger = deadslog({
+			consoleOutput: { enabled: true, mode: "json" },
+			formatter: () => "ignored",
+		});
+		logger.warn("disk low", { free: "5%" });
+
+		expect(JSON.parse(spy.mock.calls[0][0])).toEqual({
+			level: "warn",
+			time: expect.any(String),
+			msg: "disk low",
+			free: "5%",
+		});
+		expect(() =>
+			deadslog({ consoleOutput: { enabled: true, mode: "fancy" } }),
+		).toThrow(/Invalid value for consoleOutput.mode: "fancy"/);
+		expect(() =>
+			deadslog({
+				consoleOutput: { enabled: true, mode: "pretty", pretty: { depth: -1 } },
+			}),
+		).toThrow(/consoleOutput.pretty.depth must be a non-negative integer/);
+	});
+
+	it("rejects invalid transports", () => {
+		expect(() => deadslog({ transports: {} })).toThrow(
+			/transports must be an array/,
+		);
+		expect(() =>
+			deadslog({ transports: [{ type: "carrier-pigeon" }] }),
+		).toThrow(/Invalid value for transports\[0\].type/);
+		expect(() => deadslog({ transports: [{ name: "no-write" }] })).toThrow(
+			/transports\[0\] must have a type or a write function/,
+		);
+		expect(() =>
+			deadslog({ transports: [{ type: "file", logFilePath: 42 }] }),
+		).toThrow(/transports\[0\].logFilePath must be a string/);
+		expect(() =>
+			deadslog({ transports: [{ write: () => {}, minLevel: "loud" }] }),
+		).toThrow(/Invalid value for transports\[0\].minLevel/);
+	});
+
 	it("supports all log levels", () => {
 		const logger = deadslog({
 			minLevel: "trace",
@@ -357,6 +2652,705 @@ describe("deadslog tests", () => {
 		expect(() => fs.appendFileSync(logFilePath11, "more logs")).not.toThrow();
 	});
 
+	it("rotates a log file left over from a previous day on the first write", async () => {
+		const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+		fs.mkdirSync(tempDir21, { recursive: true });
+		fs.writeFileSync(logFilePath21, "[INFO] old line\n");
+		fs.utimesSync(logFilePath21, yesterday, yesterday);
+
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath21,
+				rotate: true,
+				rotateInterval: "daily",
+				maxLogFiles: 3,
+				onMaxLogFilesReached: "deleteOld",
+			},
+		});
+
+		logger.info("new line");
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await logger.destroy();
+
+		const stamp = yesterday.toISOString().slice(0, 10);
+		const rotated = path.join(tempDir21, `test-output.${stamp}.log`);
+		expect(fs.readFileSync(rotated, "utf8")).toMatch(/old line/);
+		const contents = fs.readFileSync(logFilePath21, "utf8");
+		expect(contents).toMatch(/new line/);
+		expect(contents).not.toMatch(/old line/);
+	});
+
+	it("rotates on interval boundaries during quiet periods", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath22,
+				rotate: true,
+				rotateInterval: 200,
+				maxLogFiles: 5,
+				onMaxLogFilesReached: "archiveOld",
+			},
+		});
+
+		logger.info("before the boundary");
+
+		await new Promise((resolve) => setTimeout(resolve, 500));
+
+		const rotated = fs
+			.readdirSync(tempDir22)
+			.filter((file) => file !== "test-output.log");
+		expect(rotated).toHaveLength(1);
+		expect(rotated[0]).toMatch(
+			/^test-output\.\d{4}-\d{2}-\d{2}-\d{6}(\.\d+)?\.log\.gz$/,
+		);
+		expect(fs.readFileSync(logFilePath22, "utf8")).toBe("");
+		expect(logger.getMetrics().rotations).toBe(1);
+
+		await logger.destroy();
+	});
+
+	it("combines size and daily rotation with indexed date-stamped names", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath23,
+				rotate: true,
+				rotateInterval: "daily",
+				maxLogSize: 50,
+				maxLogFiles: 2,
+				onMaxLogFilesReached: "deleteOld",
+			},
+		});
+
+		for (let i = 0; i < 10; i++) logger.info(`Message ${i}`);
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await logger.destroy();
+
+		const stamp = new Date().toISOString().slice(0, 10);
+		const rotated = fs
+			.readdirSync(tempDir23)
+			.filter((file) => file !== "test-output.log");
+		expect(rotated).toHaveLength(2);
+		for (const file of rotated) {
+			expect(file).toMatch(
+				new RegExp(`^test-output\\.${stamp}(\\.\\d+)?\\.log$`),
+			);
+		}
+		// The oldest files were pruned, so the first file of the day is gone
+		expect(rotated).not.toContain(`test-output.${stamp}.log`);
+	});
+
+	it("rejects an invalid rotateInterval", () => {
+		expect(() =>
+			deadslog({
+				fileOutput: {
+					enabled: true,
+					logFilePath: logFilePath23,
+					rotate: true,
+					rotateInterval: "weekly",
+					maxLogFiles: 2,
+					onMaxLogFilesReached: "deleteOld",
+				},
+			}),
+		).toThrow(/Invalid value for rotateInterval/);
+	});
+
+	it("compresses archives with brotli without losing lines", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath24,
+				rotate: true,
+				maxLogSize: 100,
+				maxLogFiles: 20,
+				onMaxLogFilesReached: "archiveOld",
+				compression: { codec: "brotli", level: 5 },
+			},
+		});
+
+		for (let i = 0; i < 20; i++) logger.info(`Message ${i}`);
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await logger.destroy();
+
+		const files = fs.readdirSync(tempDir24);
+		expect(files).toContain("test-output.1.log.br");
+		expect(files.filter((file) => /\.(pending|tmp)$/.test(file))).toEqual([]);
+
+		const contents = files
+			.filter((file) => file.endsWith(".br"))
+			.map((file) =>
+				zlib
+					.brotliDecompressSync(fs.readFileSync(path.join(tempDir24, file)))
+					.toString("utf8"),
+			)
+			.concat(fs.readFileSync(logFilePath24, "utf8"))
+			.join("");
+		for (let i = 0; i < 20; i++) {
+			expect(contents).toMatch(new RegExp(`Message ${i}\\b`));
+		}
+	});
+
+	it("finishes archives interrupted by a crash on startup", async () => {
+		fs.mkdirSync(tempDir25, { recursive: true });
+		const pendingPath = path.join(tempDir25, "test-output.1.log.gz.pending");
+		fs.writeFileSync(pendingPath, "[INFO] before the crash\n");
+
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath25,
+				rotate: true,
+				maxLogSize: 1024,
+				maxLogFiles: 2,
+				onMaxLogFilesReached: "archiveOld",
+			},
+		});
+
+		await logger.destroy();
+
+		expect(fs.existsSync(pendingPath)).toBe(false);
+		const archive = fs.readFileSync(
+			path.join(tempDir25, "test-output.1.log.gz"),
+		);
+		expect(zlib.gunzipSync(archive).toString("utf8")).toBe(
+			"[INFO] before the crash\n",
+		);
+	});
+
+	it("rejects invalid compression options", () => {
+		const fileOutput = {
+			enabled: true,
+			logFilePath: logFilePath25,
+			rotate: true,
+			maxLogSize: 1024,
+			maxLogFiles: 2,
+			onMaxLogFilesReached: "archiveOld",
+		};
+		expect(() =>
+			deadslog({
+				fileOutput: { ...fileOutput, compression: { codec: "zip" } },
+			}),
+		).toThrow(/Invalid value for fileOutput.compression.codec/);
+		expect(() =>
+			deadslog({
+				fileOutput: {
+					...fileOutput,
+					compression: { codec: "gzip", level: 10 },
+				},
+			}),
+		).toThrow(/Valid levels for gzip are 0 to 9/);
+	});
+
+	it("prunes rotated files by age and total size at startup", async () => {
+		const lastMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+		fs.mkdirSync(tempDir26, { recursive: true });
+		const rotated = (name) => path.join(tempDir26, name);
+		fs.writeFileSync(rotated("test-output.2020-01-01.log.gz"), "x".repeat(10));
+		fs.utimesSync(
+			rotated("test-output.2020-01-01.log.gz"),
+			lastMonth,
+			lastMonth,
+		);
+		fs.writeFileSync(rotated("test-output.3.log"), "x".repeat(100));
+		fs.writeFileSync(rotated("test-output.2.log"), "x".repeat(100));
+		fs.writeFileSync(rotated("test-output.1.log.gz"), "x".repeat(100));
+		fs.writeFileSync(rotated("unrelated.1.log"), "x".repeat(100));
+		fs.utimesSync(rotated("unrelated.1.log"), lastMonth, lastMonth);
+
+		const reports = [];
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath26,
+				retention: {
+					maxAgeDays: 7,
+					maxTotalSize: 250,
+					onPrune: (report) => reports.push(report),
+				},
+			},
+		});
+
+		await logger.destroy();
+
+		expect(fs.readdirSync(tempDir26).sort()).toEqual([
+			"test-output.1.log.gz",
+			"test-output.2.log",
+			"test-output.log",
+			"unrelated.1.log",
+		]);
+		expect(reports).toHaveLength(1);
+		expect(reports[0]).toMatchObject({
+			trigger: "startup",
+			deleted: [
+				{
+					path: rotated("test-output.2020-01-01.log.gz"),
+					reason: "maxAgeDays",
+				},
+				{ path: rotated("test-output.3.log"), reason: "maxTotalSize" },
+			],
+			deletedBytes: 110,
+			remainingFiles: 2,
+			remainingBytes: 200,
+		});
+		expect(logger.getMetrics().filesPruned).toBe(2);
+	});
+
+	it("applies retention after each rotation", async () => {
+		const reports = [];
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: {
+				enabled: true,
+				logFilePath: logFilePath27,
+				rotate: true,
+				maxLogSize: 50,
+				maxLogFiles: 10,
+				onMaxLogFilesReached: "archiveOld",
+				retention: {
+					maxTotalSize: 1,
+					onPrune: (report) => reports.push(report),
+				},
+			},
+		});
+
+		for (let i = 0; i < 10; i++) logger.info(`Message ${i}`);
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		await logger.destroy();
+
+		expect(fs.readdirSync(tempDir27)).toEqual(["test-output.log"]);
+		expect(reports.length).toBeGreaterThan(0);
+		for (const report of reports) {
+			expect(report.trigger).toBe("rotation");
+			expect(report.remainingFiles).toBe(0);
+		}
+	});
+
+	it("rejects invalid retention options", () => {
+		expect(() =>
+			deadslog({
+				fileOutput: {
+					enabled: true,
+					logFilePath: logFilePath27,
+					retention: { maxAgeDays: -1 },
+				},
+			}),
+		).toThrow(/fileOutput.retention.maxAgeDays must be a positive number/);
+	});
+
+	// Rotation checks pause the queue, so a synchronous burst fills it
+	const queuedFileOutput = (logFilePath, queue) => ({
+		enabled: true,
+		logFilePath,
+		rotate: true,
+		maxLogSize: 1024 * 1024,
+		maxLogFiles: 1,
+		onMaxLogFilesReached: "deleteOld",
+		queue,
+	});
+
+	const readLines = (logFilePath) =>
+		fs
+			.readFileSync(logFilePath, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => line.split(" - ")[1]);
+
+	it("drops the newest or oldest messages when the queue is full", async () => {
+		const events = [];
+		const newest = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: queuedFileOutput(logFilePath30, {
+				maxSize: 3,
+				onShed: (event) => events.push(event),
+			}),
+		});
+		const oldest = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: queuedFileOutput(logFilePath31, {
+				maxSize: 3,
+				policy: "dropOldest",
+			}),
+		});
+
+		for (let i = 0; i < 10; i++) {
+			newest.info(`message ${i}`);
+			oldest.info(`message ${i}`);
+		}
+		const newestMetrics = newest.getMetrics();
+		const oldestMetrics = oldest.getMetrics();
+		await Promise.all([newest.destroy(), oldest.destroy()]);
+
+		expect(readLines(logFilePath30)).toEqual([
+			"message 0",
+			"message 1",
+			"message 2",
+			"message 3",
+		]);
+		expect(readLines(logFilePath31)).toEqual([
+			"message 0",
+			"message 7",
+			"message 8",
+			"message 9",
+		]);
+		expect(newestMetrics.overflows.dropNewest).toBe(6);
+		expect(oldestMetrics.overflows.dropOldest).toBe(6);
+		expect(events).toEqual([
+			{ policy: "dropNewest", queueSize: 3, queueBytes: expect.any(Number) },
+		]);
+	});
+
+	it("counts every message dropped to make room for a larger one", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: queuedFileOutput(logFilePath39, {
+				maxSize: 10,
+				maxBytes: 200,
+				policy: "dropOldest",
+			}),
+		});
+
+		for (let i = 0; i < 4; i++) logger.info(`message ${i}`);
+		logger.info("x".repeat(150));
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+
+		const lines = readLines(logFilePath39);
+		expect(lines).toEqual(["message 0", "x".repeat(150)]);
+		expect(metrics.overflows.dropOldest).toBe(5 - lines.length);
+	});
+
+	it("replays lines spilled to disk by a previous process", async () => {
+		fs.mkdirSync(tempDir42, { recursive: true });
+		fs.rmSync(logFilePath40, { force: true });
+		const spoolPath = `${logFilePath40}.spool`;
+		// The last line was cut short by a crash
+		fs.writeFileSync(
+			spoolPath,
+			"[INFO] [t] - spilled 1\n[INFO] [t] - spilled 2\n[INFO] [t] - spil",
+		);
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: queuedFileOutput(logFilePath40, {
+				maxSize: 3,
+				policy: "spillToDisk",
+			}),
+		});
+		expect(logger.getMetrics().spooledMessages).toBe(3);
+
+		logger.info("after restart");
+		await logger.destroy();
+
+		expect(readLines(logFilePath40)).toEqual([
+			"spilled 1",
+			"spilled 2",
+			"spil",
+			"after restart",
+		]);
+		expect(fs.existsSync(spoolPath)).toBe(false);
+	});
+
+	it("blocks log calls until the queue has room", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: queuedFileOutput(logFilePath32, {
+				maxSize: 3,
+				policy: "block",
+			}),
+		});
+
+		const calls = [];
+		for (let i = 0; i < 10; i++) calls.push(logger.info(`message ${i}`));
+		let lastWritten = false;
+		calls[9].then(() => {
+			lastWritten = true;
+		});
+		await Promise.resolve();
+
+		expect(lastWritten).toBe(false);
+		expect(logger.getMetrics().blockedWrites).toBe(6);
+		await Promise.all(calls);
+		expect(logger.getMetrics().overflows.block).toBe(6);
+
+		await logger.destroy();
+		expect(readLines(logFilePath32)).toEqual(
+			Array.from({ length: 10 }, (_, i) => `message ${i}`),
+		);
+	});
+
+	it("spills overflowing messages to disk and replays them in order", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: queuedFileOutput(logFilePath33, {
+				maxSize: 3,
+				policy: "spillToDisk",
+			}),
+		});
+
+		for (let i = 0; i < 10; i++) logger.info(`message ${i}`);
+		expect(logger.getMetrics().spooledMessages).toBe(6);
+		await logger.flush();
+		logger.info("message 10");
+
+		const metrics = logger.getMetrics();
+		await logger.destroy();
+		expect(readLines(logFilePath33)).toEqual(
+			Array.from({ length: 11 }, (_, i) => `message ${i}`),
+		);
+		expect(metrics.overflows.spillToDisk).toBe(6);
+		expect(metrics.spooledMessages).toBe(0);
+	});
+
+	it("rejects invalid queue options", () => {
+		expect(() =>
+			deadslog({
+				fileOutput: queuedFileOutput(logFilePath30, { policy: "ignore" }),
+			}),
+		).toThrow(/Invalid value for fileOutput.queue.policy: "ignore"/);
+		expect(() =>
+			deadslog({ fileOutput: queuedFileOutput(logFilePath30, { maxSize: 0 }) }),
+		).toThrow(/fileOutput.queue.maxSize must be a positive integer/);
+	});
+
+	it("writes from a worker thread with flush and metrics", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			fileOutput: { enabled: true, logFilePath: logFilePath34, worker: true },
+		});
+
+		for (let i = 0; i < 100; i++) logger.info(`message ${i}`);
+		await logger.flush();
+
+		const metrics = logger.getMetrics();
+		expect(metrics.worker).toBe(true);
+		expect(metrics.messagesLogged).toBe(100);
+		expect(readLines(logFilePath34)).toHaveLength(100);
+
+		logger.info("after flush");
+		await logger.destroy();
+		expect(readLines(logFilePath34).at(-1)).toBe("after flush");
+	});
+
+	it("writes every line of a worker before the process exits on its own", () => {
+		fs.mkdirSync(tempDir35, { recursive: true });
+		const script = path.join(tempDir35, "exit.mjs");
+		fs.writeFileSync(
+			script,
+			`import deadslog from ${JSON.stringify(path.join(process.cwd(), "src", "index.js"))};
+const logger = deadslog({
+	consoleOutput: { enabled: false },
+	fileOutput: { enabled: true, logFilePath: ${JSON.stringify(logFilePath35)}, worker: true },
+});
+for (let i = 0; i < 1000; i++) logger.info("message " + i);
+`,
+		);
+
+		execFileSync(process.execPath, [script], { timeout: 10000 });
+
+		const lines = readLines(logFilePath35);
+		expect(lines).toHaveLength(1000);
+		expect(lines.at(-1)).toBe("message 999");
+	});
+
+	it.skipIf(process.platform === "win32")(
+		"bounds the lines waiting for a stalled worker",
+		async () => {
+			fs.mkdirSync(tempDir42, { recursive: true });
+			fs.rmSync(logFilePath41, { force: true });
+			// Writes to a FIFO wait until it is opened for reading
+			execFileSync("mkfifo", [logFilePath41]);
+			const events = [];
+			const logger = deadslog({
+				consoleOutput: { enabled: false },
+				fileOutput: {
+					enabled: true,
+					logFilePath: logFilePath41,
+					worker: true,
+					queue: { maxSize: 3, onShed: (event) => events.push(event) },
+				},
+			});
+
+			for (let i = 0; i < 10; i++) {
+				logger.info(`message ${i}`);
+				await new Promise((resolve) => setTimeout(resolve, 5));
+			}
+			const metrics = logger.getMetrics();
+
+			const chunks = [];
+			const reader = fs.createReadStream(logFilePath41);
+			reader.on("data", (chunk) => chunks.push(chunk));
+			const ended = new Promise((resolve) => reader.on("end", resolve));
+			await logger.destroy();
+			await ended;
+
+			// The first line is being written, and three wait for it
+			expect(metrics.overflows.dropNewest).toBe(6);
+			expect(metrics.currentQueueSize).toBeLessThanOrEqual(3);
+			expect(events).toEqual([
+				{ policy: "dropNewest", queueSize: 3, queueBytes: expect.any(Number) },
+			]);
+			const lines = Buffer.concat(chunks)
+				.toString()
+				.trim()
+				.split("\n")
+				.map((line) => line.split(" - ")[1]);
+			expect(lines).toEqual([
+				"message 0",
+				"message 1",
+				"message 2",
+				"message 3",
+			]);
+		},
+	);
+
+	it("rejects an invalid worker option", () => {
+		expect(() =>
+			deadslog({
+				fileOutput: {
+					enabled: true,
+					logFilePath: logFilePath34,
+					worker: "yes",
+				},
+			}),
+		).toThrow(/fileOutput.worker must be a boolean/);
+	});
+
+	it("fails on an invalid log path with a worker like without one", () => {
+		fs.mkdirSync(tempDir35, { recursive: true });
+		const notADir = path.join(tempDir35, "notadir");
+		fs.writeFileSync(notADir, "");
+		const logFilePath = path.join(notADir, "app.log");
+
+		for (const worker of [false, true]) {
+			expect(() =>
+				deadslog({
+					consoleOutput: { enabled: false },
+					fileOutput: { enabled: true, logFilePath, worker },
+				}),
+			).toThrow(/Failed to initialize log file or directory/);
+		}
+	});
+
+	const runCrashScript = (name, options, body) => {
+		fs.mkdirSync(tempDir41, { recursive: true });
+		fs.rmSync(logFilePath38, { force: true });
+		const script = path.join(tempDir41, `${name}.mjs`);
+		fs.writeFileSync(
+			script,
+			`import fs from "node:fs";
+import deadslog from ${JSON.stringify(path.join(process.cwd(), "src", "index.js"))};
+const logger = deadslog({
+	consoleOutput: { enabled: false },
+	fileOutput: { enabled: true, logFilePath: ${JSON.stringify(logFilePath38)}, format: "json", ${options.fileOutput ?? ""} },
+	${options.logger}
+});
+for (let i = 0; i < 2000; i++) logger.info("message " + i);
+${body}
+`,
+		);
+		const { status } = spawnSync(process.execPath, [script], {
+			timeout: 10000,
+		});
+		const records = fs
+			.readFileSync(logFilePath38, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+		return { status, records };
+	};
+
+	it("logs uncaught exceptions and writes the queued lines before exiting", () => {
+		const { status, records } = runCrashScript(
+			"exception",
+			{
+				logger: `handleExceptions: true,
+	exitCode: 3,
+	onFatal: [(err, { event }) => logger.info("hook ran", { event, message: err.message })],`,
+			},
+			`setTimeout(() => {
+	const err = new Error("boom");
+	err.code = "E_BOOM";
+	throw err;
+});`,
+		);
+
+		expect(status).toBe(3);
+		expect(records).toHaveLength(2002);
+		expect(records[1999].msg).toBe("message 1999");
+		expect(records[2000]).toMatchObject({
+			level: "fatal",
+			msg: "Uncaught exception",
+			err: { name: "Error", message: "boom", code: "E_BOOM" },
+		});
+		expect(records[2000].err.stack).toContain("exception.mjs");
+		expect(records[2001]).toMatchObject({
+			msg: "hook ran",
+			event: "uncaughtException",
+			message: "boom",
+		});
+	});
+
+	it("logs unhandled rejections from a worker file output and awaits async hooks", () => {
+		const marker = path.join(tempDir41, "marker");
+		fs.rmSync(marker, { force: true });
+		const { status, records } = runCrashScript(
+			"rejection",
+			{
+				fileOutput: "worker: true",
+				logger: `handleRejections: true,
+	onFatal: async () => {
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		fs.writeFileSync(${JSON.stringify(marker)}, "done");
+	},`,
+			},
+			`Promise.reject(new Error("nope"));`,
+		);
+
+		expect(status).toBe(1);
+		expect(fs.readFileSync(marker, "utf8")).toBe("done");
+		// Lines the worker was writing when it was stopped may be written twice
+		const messages = new Set(records.map(({ msg }) => msg));
+		expect(messages.size).toBe(2001);
+		expect(records.at(-1)).toMatchObject({
+			level: "fatal",
+			msg: "Unhandled rejection",
+			err: { message: "nope" },
+		});
+	});
+
+	it("leaves crashes to Node.js once the handling loggers are destroyed", async () => {
+		const logger = deadslog({
+			consoleOutput: { enabled: false },
+			handleExceptions: true,
+			handleRejections: true,
+		});
+		const exceptionListeners = process.listenerCount("uncaughtException");
+		await logger.destroy();
+		expect(process.listenerCount("uncaughtException")).toBe(
+			exceptionListeners - 1,
+		);
+
+		expect(() => deadslog({ handleExceptions: "yes" })).toThrow(
+			/handleExceptions must be a boolean/,
+		);
+		expect(() => deadslog({ onFatal: [() => {}, "exit"] })).toThrow(
+			/onFatal must be a function or an array of functions/,
+		);
+		expect(() => deadslog({ exitCode: 256 })).toThrow(
+			/exitCode must be an integer between 0 and 255/,
+		);
+	});
+
 	it("flushes queued logs on destroy", async () => {
 		const logger = deadslog({
 			consoleOutput: { enabled: false },
@@ -0,0 +1,46 @@
+/**
+ * Headers redacted by default when they are captured.
+ * @constant {string[]}
+ */
+export const DEFAULT_REDACTED_HEADERS: string[];
+export function validateRequestLoggerOptions(options: RequestLoggerOptions, name?: string): void;
+export function httpLogger(logger: any, options?: RequestLoggerOptions): (req: any, res: any, next?: Function) => any;
+export function koaLogger(logger: any, options?: RequestLoggerOptions): (ctx: any, next: () => Promise<any>) => Promise<void>;
+export function fastifyLogger(logger: any, options?: RequestLoggerOptions): (fastify: any, opts: any, done: () => void) => void;
+/**
+ * Options of the request logger.
+ */
+export type RequestLoggerOptions = {
+    /**
+     * - Header propagating the request id, read from the request and set on the response.
+     */
+    requestIdHeader?: string;
+    /**
+     * - Generates the ids of requests without one. Defaults to a random UUID.
+     */
+    generateRequestId?: (req: any) => string;
+    /**
+     * - Request headers logged as `reqHeaders`.
+     */
+    requestHeaders?: string[];
+    /**
+     * - Response headers logged as `resHeaders`.
+     */
+    responseHeaders?: string[];
+    /**
+     * - Captured headers redacted along with the logger's redaction paths, with its censor. Defaults to authorization, proxy-authorization, cookie and set-cookie.
+     */
+    redactHeaders?: string[];
+    /**
+     * - Picks the level of a record. Defaults to error for 5xx statuses and failures, warn for 4xx and info otherwise.
+     */
+    level?: (status: number, err?: Error) => string;
+    /**
+     * - Requests not to log, e.g. health checks. They still get a request id and a logger.
+     */
+    ignore?: (req: any) => boolean;
+    /**
+     * - Log the first address of the `x-forwarded-for` header as the remote address.
+     */
+    trustProxy?: boolean;
+};
@@ -1,4 +1,54 @@
 export default deadslog;
+export type LogRecord = import("./utils/formatters.js").LogRecord;
+/**
+ * Log transport: either a built-in transport (`type` plus the options of that type)
+ * or a custom sink implementing `write`.
+ */
+export type Transport = {
+    /**
+     * - Built-in transport type: "console", "file", "syslog" or "http".
+     */
+    type?: string;
+    /**
+     * - Name used in metrics and diagnostics.
+     */
+    name?: string;
+    /**
+     * - Minimum log level for this transport.
+     */
+    minLevel?: string;
+    /**
+     * - Formatter for this transport. Defaults to the logger formatter.
+     */
+    formatter?: Function;
+    /**
+     * - Filters for this transport.
+     */
+    filters?: {
+        include?: string;
+        exclude?: string;
+    };
+    /**
+     * - Write a formatted line. Required for custom transports.
+     */
+    write?: (line: string, record: LogRecord) => (void | Promise<void>);
+    /**
+     * - Flush buffered lines.
+     */
+    flush?: () => Promise<void>;
+    /**
+     * - Flush and release the transport's resources.
+     */
+    close?: () => Promise<void>;
+    /**
+     * - Get the transport's metrics.
+     */
+    getMetrics?: () => any;
+    /**
+     * - Synchronously write or persist the buffered lines, when the process is about to exit after a fatal error.
+     */
+    drainSync?: () => void;
+};
 /**
  * Logger configuration object.
  */
@@ -9,6 +59,12 @@ export type LoggerConfig = {
     consoleOutput: {
         enabled: boolean;
         coloredCoding: boolean;
+        mode?: string;
+        pretty?: {
+            depth?: number;
+            maxStringLength?: number;
+            maxArrayLength?: number;
+        };
     };
     /**
      * - Configuration for file output.
@@ -20,15 +76,103 @@ export type LoggerConfig = {
         maxLogSize: number;
         maxLogFiles: number;
         onMaxLogFilesReached: string;
+        format?: string;
+        queue?: {
+            maxSize?: number;
+            maxBytes?: number;
+            policy?: string;
+            onShed?: (event: {
+                policy: string;
+                queueSize: number;
+                queueBytes: number;
+            }) => void;
+        };
+        worker?: boolean;
     };
     /**
-     * - Function to format log messages.
+     * - Additional transports receiving every record.
+     */
+    transports?: Array<Transport & {
+        [x: string]: any;
+    }>;
+    /**
+     * - Serialization of the Errors logged as the message or as top-level fields.
+     */
+    errors?: {
+        maxDepth?: number;
+        trimStack?: boolean | RegExp[];
+    };
+    /**
+     * - Redaction applied to every record before it is formatted.
+     */
+    redact?: {
+        paths?: string[];
+        patterns?: Array<RegExp | string>;
+        censor?: string;
+        mask?: string;
+    };
+    /**
+     * - Share of records to keep per level, between 0 and 1, e.g. `{ debug: 0.1 }`.
+     */
+    sampling?: {
+        [x: string]: number;
+    };
+    /**
+     * - Token bucket rate limiting.
+     */
+    rateLimit?: {
+        perSecond: number | {
+            [x: string]: number;
+        };
+        by?: string;
+    };
+    /**
+     * - Collapse consecutive identical messages into a "Last message repeated N times" line.
+     */
+    dedupe?: boolean;
+    /**
+     * - Log uncaught exceptions at the fatal level, write the queued lines synchronously, run the `onFatal` hooks and exit.
+     */
+    handleExceptions?: boolean;
+    /**
+     * - Do the same for unhandled promise rejections.
+     */
+    handleRejections?: boolean;
+    /**
+     * - Hooks run before exiting, with the error and `{ event }`. Promises they return are awaited for up to 5 seconds.
+     */
+    onFatal?: Function | Function[];
+    /**
+     * - Exit code after an uncaught exception or unhandled rejection. Defaults to 1.
+     */
+    exitCode?: number;
+    /**
+     * - Timing helpers.
+     */
+    timers?: {
+        level?: string;
+        histogram?: boolean;
+    };
+    /**
+     * - Function to format log records. Receives the whole record; wrap formatters of the `(level, message)` form with `deadslog.legacyFormatter`.
      */
     formatter: Function;
     /**
      * - Minimum log level to log.
      */
     minLevel: string;
+    /**
+     * - Custom levels and their values, e.g. `{ audit: 35, http: 25 }`. Built-in levels range from trace (10) to fatal (60).
+     */
+    levels?: {
+        [x: string]: number;
+    };
+    /**
+     * - Console colors keyed by level: names of `yoctocolors` functions or color functions.
+     */
+    colors?: {
+        [x: string]: string | Function;
+    };
     /**
      * - Configuration for filters.
      */
@@ -36,70 +180,271 @@ export type LoggerConfig = {
         include: string;
         exclude: string;
     };
+    /**
+     * - Namespace of the logger, e.g. "db:pool". Its debug output can be selected with the `DEADSLOG_DEBUG` environment variable.
+     */
+    name?: string;
+    /**
+     * - Triggers of runtime reconfiguration.
+     */
+    reconfigureOn?: {
+        signal?: string;
+        verboseLevel?: string;
+        configFile?: string;
+        interval?: number;
+    };
 };
 /**
- * Logger configuration object.
- * @typedef {Object} LoggerConfig
- * @property {Object} consoleOutput - Configuration for console output.
- * @property {boolean} consoleOutput.enabled - Whether console output is enabled.
- * @property {boolean} consoleOutput.coloredCoding - Whether to use colored output in the console.
- * @property {Object} fileOutput - Configuration for file output.
- * @property {boolean} fileOutput.enabled - Whether file output is enabled.
- * @property {string} fileOutput.logFilePath - Path to the log file.
- * @property {boolean} fileOutput.rotate - Whether to rotate log files.
- * @property {number} fileOutput.maxLogSize - Maximum size of a log file before rotation.
- * @property {number} fileOutput.maxLogFiles - Maximum number of log files to retain.
- * @property {string} fileOutput.onMaxLogFilesReached - Strategy for handling max log files.
- * @property {Function} formatter - Function to format log messages.
- * @property {string} minLevel - Minimum log level to log.
- * @property {Object} filters - Configuration for filters.
- * @property {string} filters.include - Word filter to include in log.
- * @property {string} filters.exclude - Word filter to exclude in log.
+ * Logs a message of a level with optional metadata fields.
+ * A message string may contain `util.format` specifiers (`%s`, `%d`, `%j`, `%o`...) consuming the
+ * following arguments; remaining objects are merged as fields, Errors set `err` and other values are appended.
  */
+export type LogMethod = (msg: any, ...args: any[]) => void;
 /**
- * Creates a logger instance.
- * @param {LoggerConfig} config - Configuration for the logger.
- * @returns {LoggerInstance}
+ * Logger instance with logging methods for various levels.
  */
-declare function deadslog({ consoleOutput, fileOutput, formatter, minLevel, filters, }?: LoggerConfig): {
+export type BaseLoggerInstance<CustomLevel extends string = never> = {
+    /**
+     * - Log a trace-level message with optional metadata fields.
+     */
+    trace: LogMethod;
+    /**
+     * - Log a debug-level message with optional metadata fields.
+     */
+    debug: LogMethod;
+    /**
+     * - Log an info-level message with optional metadata fields.
+     */
+    info: LogMethod;
     /**
-     * - Log a trace-level message.
+     * - Log a success-level message with optional metadata fields.
      */
-    trace: (msg: any) => void;
+    success: LogMethod;
     /**
-     * - Log a debug-level message.
+     * - Log a warning-level message with optional metadata fields.
      */
-    debug: (msg: any) => void;
+    warn: LogMethod;
     /**
-     * - Log an info-level message.
+     * - Log an error-level message with optional metadata fields.
      */
-    info: (msg: any) => void;
+    error: LogMethod;
     /**
-     * - Log a success-level message.
+     * - Log a fatal-level message with optional metadata fields.
      */
-    success: (msg: any) => void;
+    fatal: LogMethod;
     /**
-     * - Log a warning-level message.
+     * - Create a child logger that adds `bindings` to every record. A `name` extends the parent's namespace, and `redact.paths` extend the parent's redacted paths.
      */
-    warn: (msg: any) => void;
+    child: (bindings: any, options?: {
+        minLevel?: string;
+        name?: string;
+        redact?: {
+            paths?: string[];
+        };
+    }) => LoggerInstance<CustomLevel>;
     /**
-     * - Log an error-level message.
+     * - Run `fn` with `fields` added to every record logged within its async call chain.
      */
-    error: (msg: any) => void;
+    runWithContext: <T>(fields: any, fn: () => T) => T;
     /**
-     * - Log a fatal-level message.
+     * - Start a timer. Timers are shared by a logger and its children.
      */
-    fatal: (msg: any) => void;
+    time: (label?: string) => void;
     /**
-     * - Flush all queued log messages to file.
+     * - Stop a timer and log its label with the elapsed `durationMs`.
+     */
+    timeEnd: (label?: string, level?: string) => Promise<void>;
+    /**
+     * - Start a timer and return a function logging `msg` and `fields` with the elapsed `durationMs`.
+     */
+    startTimer: () => (options?: {
+        msg?: string;
+        level?: string;
+        fields?: any;
+    }) => Promise<void>;
+    /**
+     * - Run `fn`, logging when it starts, ends or fails, with its `durationMs`. Failures are logged at the error level and rethrown.
+     */
+    profile: <T>(label: string, fn: () => T | Promise<T>) => Promise<T>;
+    /**
+     * - Route `console.log`, `info`, `warn`, `error` and `debug` through the logger, at the levels of `methods` or info, info, warn, error and debug. deadslog's own console output still goes to the original methods.
+     */
+    captureConsole: (methods?: {
+        [x: string]: string;
+    }) => void;
+    /**
+     * - Restore the console methods captured by the logger or one of its children.
+     */
+    releaseConsole: () => void;
+    /**
+     * - Change the minimum level. Children without a level of their own follow their parent's.
+     */
+    setLevel: (level: string) => void;
+    /**
+     * - Replace the filters of the logger.
+     */
+    setFilters: (filters: {
+        include?: string;
+        exclude?: string;
+    }) => void;
+    /**
+     * - Validate and apply new settings, replacing the console or file output without losing queued messages.
+     */
+    reconfigure: (config: {
+        minLevel?: string;
+        filters?: any;
+        consoleOutput?: any;
+        fileOutput?: any;
+    }) => Promise<void>;
+    /**
+     * - Search the logger's log file and its rotated files, once queued messages are flushed. Yields the matching records in time order.
+     */
+    query: (options?: import("./utils/query.js").QueryOptions) => AsyncGenerator<any>;
+    /**
+     * - Flush all queued log messages of every transport.
      */
     flush: () => Promise<void>;
     /**
-     * - Clean up resources and close the logger.
+     * - Clean up resources and close the logger and its transports.
      */
     destroy: () => Promise<void>;
     /**
-     * - Get current file writing operations metrics of the logger.
+     * - Get current metrics of the logger's transports. Top-level fields are those of the first transport reporting metrics; `suppressed` counts the sampled, rate limited and deduplicated messages per level; `durations` summarizes the timed durations per label when `timers.histogram` is set.
      */
     getMetrics: (msg: any) => void;
 };
+/**
+ * Logger instance, with a logging method for each custom level.
+ */
+export type LoggerInstance<CustomLevel extends string = never> = BaseLoggerInstance<CustomLevel> & Record<CustomLevel, LogMethod>;
+/**
+ * @typedef {import("./utils/formatters.js").LogRecord} LogRecord
+ */
+/**
+ * Log transport: either a built-in transport (`type` plus the options of that type)
+ * or a custom sink implementing `write`.
+ * @typedef {Object} Transport
+ * @property {string} [type] - Built-in transport type: "console", "file", "syslog" or "http".
+ * @property {string} [name] - Name used in metrics and diagnostics.
+ * @property {string} [minLevel] - Minimum log level for this transport.
+ * @property {Function} [formatter] - Formatter for this transport. Defaults to the logger formatter.
+ * @property {{include?: string, exclude?: string}} [filters] - Filters for this transport.
+ * @property {(line: string, record: LogRecord) => (void|Promise<void>)} [write] - Write a formatted line. Required for custom transports.
+ * @property {() => Promise<void>} [flush] - Flush buffered lines.
+ * @property {() => Promise<void>} [close] - Flush and release the transport's resources.
+ * @property {() => Object} [getMetrics] - Get the transport's metrics.
+ * @property {() => void} [drainSync] - Synchronously write or persist the buffered lines, when the process is about to exit after a fatal error.
+ */
+/**
+ * Logger configuration object.
+ * @typedef {Object} LoggerConfig
+ * @property {Object} consoleOutput - Configuration for console output.
+ * @property {boolean} consoleOutput.enabled - Whether console output is enabled. Defaults to `false` when `transports` are given.
+ * @property {boolean} consoleOutput.coloredCoding - Whether to use colored output in the console.
+ * @property {string} [consoleOutput.mode] - Console output: "plain" (default) prints formatted lines, "pretty" renders records for development and "json" prints NDJSON.
+ * @property {{depth?: number, maxStringLength?: number, maxArrayLength?: number}} [consoleOutput.pretty] - Object depth and truncation limits of the pretty mode.
+ * @property {Object} fileOutput - Configuration for file output.
+ * @property {boolean} fileOutput.enabled - Whether file output is enabled.
+ * @property {string} fileOutput.logFilePath - Path to the log file.
+ * @property {boolean} fileOutput.rotate - Whether to rotate log files.
+ * @property {number} fileOutput.maxLogSize - Maximum size of a log file before rotation.
+ * @property {number} fileOutput.maxLogFiles - Maximum number of log files to retain.
+ * @property {string} fileOutput.onMaxLogFilesReached - Strategy for handling max log files.
+ * @property {string} [fileOutput.format] - Output format of the log file: "text" (default) or "json" (NDJSON).
+ * @property {Object} [fileOutput.queue] - Bounds of the write queue and policy for messages written to a full queue.
+ * @property {number} [fileOutput.queue.maxSize] - Maximum number of queued messages. Defaults to 100000.
+ * @property {number} [fileOutput.queue.maxBytes] - Maximum size of the queued messages in bytes.
+ * @property {string} [fileOutput.queue.policy] - "dropNewest" (default), "dropOldest", "block" (level methods wait for room) or "spillToDisk".
+ * @property {(event: {policy: string, queueSize: number, queueBytes: number}) => void} [fileOutput.queue.onShed] - Called when the queue starts overflowing.
+ * @property {boolean} [fileOutput.worker] - Whether to write, rotate and compress from a worker thread.
+ * @property {Array<Transport & Object<string, any>>} [transports] - Additional transports receiving every record.
+ * @property {Object} [errors] - Serialization of the Errors logged as the message or as top-level fields.
+ * @property {number} [errors.maxDepth] - Maximum depth of nested causes and aggregated errors. Defaults to 5.
+ * @property {boolean|RegExp[]} [errors.trimStack] - Stack frames to strip: `true` for node_modules and Node.js internals, or patterns of frames.
+ * @property {Object} [redact] - Redaction applied to every record before it is formatted.
+ * @property {string[]} [redact.paths] - Key paths to redact, e.g. `password`, `headers.authorization`, `*.token`.
+ * @property {Array<RegExp|string>} [redact.patterns] - Patterns of values to redact, or built-in pattern names: "creditCard", "jwt", "email".
+ * @property {string} [redact.censor] - How to redact: "mask" (default), "hash" or "remove".
+ * @property {string} [redact.mask] - Replacement used by the "mask" censor. Defaults to "[REDACTED]".
+ * @property {Object<string, number>} [sampling] - Share of records to keep per level, between 0 and 1, e.g. `{ debug: 0.1 }`.
+ * @property {Object} [rateLimit] - Token bucket rate limiting.
+ * @property {number|Object<string, number>} rateLimit.perSecond - Messages allowed per second, for every level or keyed by level.
+ * @property {string} [rateLimit.by] - Bucket key: "level" (default) or "message".
+ * @property {boolean} [dedupe] - Collapse consecutive identical messages into a "Last message repeated N times" line.
+ * @property {boolean} [handleExceptions] - Log uncaught exceptions at the fatal level, write the queued lines synchronously, run the `onFatal` hooks and exit.
+ * @property {boolean} [handleRejections] - Do the same for unhandled promise rejections.
+ * @property {Function|Function[]} [onFatal] - Hooks run before exiting, with the error and `{ event }`. Promises they return are awaited for up to 5 seconds.
+ * @property {number} [exitCode] - Exit code after an uncaught exception or unhandled rejection. Defaults to 1.
+ * @property {Object} [timers] - Timing helpers.
+ * @property {string} [timers.level] - Level of the records logged by `timeEnd()`, `startTimer()` and `profile()`. Defaults to "info".
+ * @property {boolean} [timers.histogram] - Summarize the measured durations per label in `getMetrics().durations`.
+ * @property {Function} formatter - Function to format log records. Receives the whole record; wrap formatters of the `(level, message)` form with `deadslog.legacyFormatter`.
+ * @property {string} minLevel - Minimum log level to log.
+ * @property {Object<string, number>} [levels] - Custom levels and their values, e.g. `{ audit: 35, http: 25 }`. Built-in levels range from trace (10) to fatal (60).
+ * @property {Object<string, string|Function>} [colors] - Console colors keyed by level: names of `yoctocolors` functions or color functions.
+ * @property {Object} filters - Configuration for filters.
+ * @property {string} filters.include - Word filter to include in log.
+ * @property {string} filters.exclude - Word filter to exclude in log.
+ * @property {string} [name] - Namespace of the logger, e.g. "db:pool". Its debug output can be selected with the `DEADSLOG_DEBUG` environment variable.
+ * @property {Object} [reconfigureOn] - Triggers of runtime reconfiguration.
+ * @property {string} [reconfigureOn.signal] - Signal toggling verbose logging, e.g. "SIGUSR2".
+ * @property {string} [reconfigureOn.verboseLevel] - Level set by the signal. Defaults to "debug".
+ * @property {string} [reconfigureOn.configFile] - JSON file of `reconfigure()` options, applied whenever it changes.
+ * @property {number} [reconfigureOn.interval] - Polling interval of the config file in milliseconds. Defaults to 1000.
+ */
+/**
+ * Logs a message of a level with optional metadata fields.
+ * A message string may contain `util.format` specifiers (`%s`, `%d`, `%j`, `%o`...) consuming the
+ * following arguments; remaining objects are merged as fields, Errors set `err` and other values are appended.
+ * @typedef {(msg: any, ...args: any[]) => void} LogMethod
+ */
+/**
+ * Logger instance with logging methods for various levels.
+ *
+ * @template {string} [CustomLevel=never]
+ * @typedef {Object} BaseLoggerInstance
+ * @property {LogMethod} trace - Log a trace-level message with optional metadata fields.
+ * @property {LogMethod} debug - Log a debug-level message with optional metadata fields.
+ * @property {LogMethod} info - Log an info-level message with optional metadata fields.
+ * @property {LogMethod} success - Log a success-level message with optional metadata fields.
+ * @property {LogMethod} warn - Log a warning-level message with optional metadata fields.
+ * @property {LogMethod} error - Log an error-level message with optional metadata fields.
+ * @property {LogMethod} fatal - Log a fatal-level message with optional metadata fields.
+ * @property {(bindings: Object, options?: {minLevel?: string, name?: string, redact?: {paths?: string[]}}) => LoggerInstance<CustomLevel>} child - Create a child logger that adds `bindings` to every record. A `name` extends the parent's namespace, and `redact.paths` extend the parent's redacted paths.
+ * @property {<T>(fields: Object, fn: () => T) => T} runWithContext - Run `fn` with `fields` added to every record logged within its async call chain.
+ * @property {(label?: string) => void} time - Start a timer. Timers are shared by a logger and its children.
+ * @property {(label?: string, level?: string) => Promise<void>} timeEnd - Stop a timer and log its label with the elapsed `durationMs`.
+ * @property {() => (options?: {msg?: string, level?: string, fields?: Object}) => Promise<void>} startTimer - Start a timer and return a function logging `msg` and `fields` with the elapsed `durationMs`.
+ * @property {<T>(label: string, fn: () => T | Promise<T>) => Promise<T>} profile - Run `fn`, logging when it starts, ends or fails, with its `durationMs`. Failures are logged at the error level and rethrown.
+ * @property {(methods?: Object<string, string>) => void} captureConsole - Route `console.log`, `info`, `warn`, `error` and `debug` through the logger, at the levels of `methods` or info, info, warn, error and debug. deadslog's own console output still goes to the original methods.
+ * @property {() => void} releaseConsole - Restore the console methods captured by the logger or one of its children.
+ * @property {(level: string) => void} setLevel - Change the minimum level. Children without a level of their own follow their parent's.
+ * @property {(filters: {include?: string, exclude?: string}) => void} setFilters - Replace the filters of the logger.
+ * @property {(config: {minLevel?: string, filters?: Object, consoleOutput?: Object, fileOutput?: Object}) => Promise<void>} reconfigure - Validate and apply new settings, replacing the console or file output without losing queued messages.
+ * @property {(options?: import("./utils/query.js").QueryOptions) => AsyncGenerator<Object>} query - Search the logger's log file and its rotated files, once queued messages are flushed. Yields the matching records in time order.
+ * @property  {() => Promise<void>} flush - Flush all queued log messages of every transport.
+ * @property  {() => Promise<void>} destroy - Clean up resources and close the logger and its transports.
+ * @property {(msg: any) => void} getMetrics - Get current metrics of the logger's transports. Top-level fields are those of the first transport reporting metrics; `suppressed` counts the sampled, rate limited and deduplicated messages per level; `durations` summarizes the timed durations per label when `timers.histogram` is set.
+ */
+/**
+ * Logger instance, with a logging method for each custom level.
+ * @template {string} [CustomLevel=never]
+ * @typedef {BaseLoggerInstance<CustomLevel> & Record<CustomLevel, LogMethod>} LoggerInstance
+ */
+/**
+ * Creates a logger instance.
+ * @template {Object<string, number>} [Levels={}]
+ * @param {LoggerConfig & {levels?: Levels}} config - Configuration for the logger.
+ * @returns {LoggerInstance<Extract<keyof Levels, string>>}
+ */
+declare function deadslog<Levels extends {
+    [x: string]: number;
+} = {}>({ consoleOutput, fileOutput, transports, formatter, minLevel, filters, errors, redact, sampling, rateLimit, dedupe, timers, handleExceptions, handleRejections, onFatal, exitCode, levels, colors, reconfigureOn, name, }?: LoggerConfig & {
+    levels?: Levels;
+}): LoggerInstance<Extract<keyof Levels, string>>;
+declare namespace deadslog {
+    export { queryLogs as query };
+    export { legacyFormatter };
+}
+import { queryLogs } from "./utils/query.js";
+import { legacyFormatter } from "./utils/formatters.js";
@@ -0,0 +1,28 @@
+/**
+ * Valid output modes of the console transport.
+ * @constant {string[]}
+ */
+export const validConsoleModes: string[];
+export function validateConsoleOptions(options: any, name?: string): void;
+export function colorizeLine(line: string, record: {
+    level: string;
+    namespace?: string;
+}, colors?: {
+    [x: string]: Function;
+}): string;
+export function createConsoleTransport({ coloredCoding, mode, pretty }?: {
+    coloredCoding?: boolean;
+    mode?: string;
+    pretty?: {
+        depth?: number;
+        maxStringLength?: number;
+        maxArrayLength?: number;
+    };
+}, { colors, levels }?: {
+    colors?: {
+        [x: string]: Function;
+    };
+    levels?: {
+        [x: string]: number;
+    };
+}): any;
@@ -0,0 +1,34 @@
+/**
+ * Valid output formats for file logging.
+ * @constant {string[]}
+ */
+export const validFormats: string[];
+export function validateFileOptions(fileOutput: any, name?: string): void;
+export function createFileTransport(fileOutput: {
+    logFilePath: string;
+    rotate?: boolean;
+    maxLogSize?: number;
+    rotateInterval?: string | number;
+    maxLogFiles?: number;
+    onMaxLogFilesReached?: string;
+    compression?: {
+        codec?: string;
+        level?: number;
+    };
+    retention?: {
+        maxAgeDays?: number;
+        maxTotalSize?: number;
+        onPrune?: (report: import("../utils/retention.js").RetentionReport) => void;
+    };
+    queue?: {
+        maxSize?: number;
+        maxBytes?: number;
+        policy?: string;
+        onShed?: (event: {
+            policy: string;
+            queueSize: number;
+            queueBytes: number;
+        }) => void;
+    };
+    worker?: boolean;
+}): any;
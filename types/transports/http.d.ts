@@ -0,0 +1,30 @@
+export function validateHttpOptions(options: any, name?: string): void;
+export function createHttpTransport({ url, method, headers, format, index, labels, batch, gzip: compress, timeout, retry, circuitBreaker, spoolPath, }: {
+    url: string;
+    method?: string;
+    headers?: {
+        [x: string]: string;
+    };
+    format?: string;
+    index?: string;
+    labels?: {
+        [x: string]: string;
+    };
+    batch?: {
+        maxCount?: number;
+        maxBytes?: number;
+        interval?: number;
+    };
+    gzip?: boolean;
+    timeout?: number;
+    retry?: {
+        maxRetries?: number;
+        minDelay?: number;
+        maxDelay?: number;
+    };
+    circuitBreaker?: {
+        threshold?: number;
+        resetTimeout?: number;
+    };
+    spoolPath?: string;
+}): any;
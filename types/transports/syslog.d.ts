@@ -0,0 +1,31 @@
+/**
+ * Valid protocols of the syslog transport.
+ * @constant {string[]}
+ */
+export const validSyslogProtocols: string[];
+/**
+ * Valid message formats of the syslog transport.
+ * @constant {string[]}
+ */
+export const validSyslogFormats: string[];
+export function validateSyslogOptions(options: any, name?: string): void;
+export function createSyslogTransport({ protocol, host, port, path, format, facility, appName, hostname, structuredData, sdId, severities, formatter, }?: {
+    protocol?: string;
+    host?: string;
+    port?: number;
+    path?: string;
+    format?: string;
+    facility?: string | number;
+    appName?: string;
+    hostname?: string;
+    structuredData?: boolean;
+    sdId?: string;
+    severities?: {
+        [x: string]: number;
+    };
+    formatter?: Function;
+}, { levels }?: {
+    levels?: {
+        [x: string]: number;
+    };
+}): any;
@@ -0,0 +1,15 @@
+export namespace defaultConsoleLevels {
+    let log: string;
+    let info: string;
+    let warn: string;
+    let error: string;
+    let debug: string;
+}
+export function validateConsoleLevels(methods: {
+    [x: string]: string;
+}, name?: string, levels?: string[]): void;
+export function passThroughConsole(fn: Function): any;
+export function captureConsole(owner: any, writers: {
+    [x: string]: (...args: any[]) => any;
+}): void;
+export function releaseConsole(owner: any): boolean;
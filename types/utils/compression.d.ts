@@ -0,0 +1,26 @@
+export namespace codecs {
+    namespace gzip {
+        let extension: string;
+        let minLevel: number;
+        let maxLevel: number;
+        function create(level: any): any;
+        function decompress(): any;
+    }
+    namespace brotli {
+        let extension_1: string;
+        export { extension_1 as extension };
+        let minLevel_1: number;
+        export { minLevel_1 as minLevel };
+        let maxLevel_1: number;
+        export { maxLevel_1 as maxLevel };
+        export function create_1(level: any): any;
+        export { create_1 as create };
+        export function decompress_1(): any;
+        export { decompress_1 as decompress };
+    }
+}
+export function validateCompressionOptions(compression: any, name?: string): void;
+export function compressFile(src: string, dest: string, { codec, level }?: {
+    codec?: string;
+    level?: number;
+}): Promise<void>;
@@ -0,0 +1,14 @@
+export function validateCrashOptions({ handleExceptions, handleRejections, onFatal, exitCode, }: {
+    handleExceptions?: boolean;
+    handleRejections?: boolean;
+    onFatal?: Function | Function[];
+    exitCode?: number;
+}): void;
+export function registerCrashHandler(owner: any, handler: {
+    events: string[];
+    logFatal: (error: any, event: string) => void;
+    drainSync: () => void;
+    onFatal: Function[];
+    exitCode: number;
+}): void;
+export function unregisterCrashHandler(owner: any): void;
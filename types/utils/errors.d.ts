@@ -0,0 +1,37 @@
+/**
+ * Stack frames stripped by `trimStack: true`: dependencies and Node.js internals.
+ * @constant {RegExp[]}
+ */
+export const defaultTrimmedFrames: RegExp[];
+export function validateErrorOptions(errors: any, name?: string): void;
+export function serializeError(err: Error, { maxDepth, trimStack }?: {
+    maxDepth?: number;
+    trimStack?: boolean | RegExp[];
+}): SerializedError;
+export function isSerializedError(value: any): boolean;
+export function createErrorSerializer(options?: any): (record: import("./formatters.js").LogRecord) => import("./formatters.js").LogRecord;
+/**
+ * Serialized form of an Error.
+ */
+export type SerializedError = {
+    /**
+     * - The error name, e.g. "TypeError".
+     */
+    name: string;
+    /**
+     * - The error message.
+     */
+    message: string;
+    /**
+     * - The stack trace, possibly trimmed.
+     */
+    stack?: string;
+    /**
+     * - The serialized cause.
+     */
+    cause?: SerializedError | any;
+    /**
+     * - The serialized errors of an AggregateError.
+     */
+    errors?: SerializedError[];
+};
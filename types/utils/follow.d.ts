@@ -0,0 +1,10 @@
+export function readLastLines(path: string, count: number): Promise<{
+    lines: string[];
+    size: number;
+}>;
+export function followFile(path: string, onLine: (line: string) => void, { position: start, interval }?: {
+    position?: number;
+    interval?: number;
+}): {
+    stop: () => Promise<void>;
+};
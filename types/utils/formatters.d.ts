@@ -0,0 +1,31 @@
+export function safeStringify(value: any): string;
+export function stringifyMessage(message: any): string;
+export function formatLogArgs(msg: any, args: any[]): {
+    msg: any;
+    fields: any | null;
+};
+export function formatErrorText(error: import("./errors.js").SerializedError): string;
+export function defaultFormatter(record: LogRecord): string;
+export function legacyFormatter(formatter: (level: string, message: string) => string): (record: LogRecord) => string;
+export function jsonFormatter(record: LogRecord): string;
+/**
+ * Log record passed to formatters.
+ */
+export type LogRecord = {
+    /**
+     * - The log level (e.g., "info", "error").
+     */
+    level: string;
+    /**
+     * - ISO timestamp of the log call.
+     */
+    time: string;
+    /**
+     * - The log message, which can be of any type.
+     */
+    msg: any;
+    /**
+     * - The namespace of the logger, when it has one.
+     */
+    namespace?: string;
+};
@@ -0,0 +1,47 @@
+/**
+ * Valid body formats of the HTTP transport.
+ * @constant {string[]}
+ */
+export const validHttpFormats: string[];
+export function buildRequestBody(format: string, entries: BatchEntry[], { index, labels }?: {
+    index?: string;
+    labels?: {
+        [x: string]: string;
+    };
+}): {
+    body: string;
+    contentType: string;
+};
+export function backoffDelay(attempt: number, { minDelay, maxDelay }: {
+    minDelay: number;
+    maxDelay: number;
+}): number;
+export function sendRequest(url: URL, { method, headers, body, timeout }: {
+    method: string;
+    headers: {
+        [x: string]: string;
+    };
+    body: Buffer | string;
+    timeout: number;
+}): Promise<number>;
+/**
+ * Log entry held in a batch: the formatted line and the record serialized as JSON.
+ */
+export type BatchEntry = {
+    /**
+     * - The formatted line.
+     */
+    line: string;
+    /**
+     * - The log record serialized as JSON.
+     */
+    json: string;
+    /**
+     * - The log level.
+     */
+    level: string;
+    /**
+     * - ISO timestamp of the record.
+     */
+    time: string;
+};
@@ -0,0 +1,60 @@
+export namespace defaultLevels {
+    let trace: number;
+    let debug: number;
+    let info: number;
+    let success: number;
+    let warn: number;
+    let error: number;
+    let fatal: number;
+}
+/**
+ * Order of log levels.
+ * @constant {string[]}
+ */
+export const levelOrder: string[];
+/**
+ * Names that custom levels cannot take, as they would shadow logger methods.
+ * @constant {string[]}
+ */
+export const reservedLevelNames: string[];
+export function compose(f: Function, g: Function): Function;
+export namespace colorMap {
+    let trace_1: Function;
+    export { trace_1 as trace };
+    export { gray as debug };
+    export { blue as info };
+    export { green as success };
+    export { yellow as warn };
+    export { red as error };
+    let fatal_1: Function;
+    export { fatal_1 as fatal };
+    export { white as default };
+}
+export function validateMinLevel(minLevel: string, name?: string, levels?: string[]): void;
+export function validateLevels(levels: {
+    [x: string]: number;
+}, name?: string): void;
+export function validateColors(colors: {
+    [x: string]: string | Function;
+}, levels: string[], name?: string): void;
+export function resolveLevels(levels?: {
+    [x: string]: number;
+}, colors?: {
+    [x: string]: string | Function;
+}): {
+    values: {
+        [x: string]: number;
+    };
+    order: string[];
+    colors: {
+        [x: string]: Function;
+    };
+};
+declare const gray: yoctocolors.Format;
+declare const blue: yoctocolors.Format;
+declare const green: yoctocolors.Format;
+declare const yellow: yoctocolors.Format;
+declare const red: yoctocolors.Format;
+declare const white: yoctocolors.Format;
+import * as yoctocolors from "yoctocolors";
+export {};
@@ -0,0 +1,15 @@
+/**
+ * Environment variable selecting the namespaces whose debug output is enabled.
+ * @constant {string}
+ */
+export const DEBUG_ENV_VAR: "DEADSLOG_DEBUG";
+export function validateNamespace(name: string, optionName?: string): void;
+export function parseNamespaceSelection(selection?: string): {
+    include: RegExp[];
+    exclude: RegExp[];
+} | null;
+export function isNamespaceSelected(selection: {
+    include: RegExp[];
+    exclude: RegExp[];
+}, name: string): boolean;
+export function namespaceColor(name: string): Function;
@@ -0,0 +1,17 @@
+export namespace DEFAULT_PRETTY_OPTIONS {
+    let depth: number;
+    let maxStringLength: number;
+    let maxArrayLength: number;
+}
+export function validatePrettyOptions(pretty: any, name?: string): void;
+export function createPrettyFormatter({ depth, maxStringLength, maxArrayLength, }?: {
+    depth?: number;
+    maxStringLength?: number;
+    maxArrayLength?: number;
+}, { colored, colors, levels }?: {
+    colored?: boolean;
+    colors?: {
+        [x: string]: Function;
+    };
+    levels?: string[];
+}): (record: import("./formatters.js").LogRecord) => string;
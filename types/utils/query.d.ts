@@ -0,0 +1,63 @@
+/**
+ * Groups log lines into entries.
+ * The lines following a text entry (stack traces, error causes) are appended to its
+ * message; lines before the first entry are skipped.
+ * @param {AsyncIterable<string>} lines - The log lines.
+ * @returns {AsyncGenerator<{record: Object, raw: string}>} - The entries and their raw text.
+ */
+export function parseEntries(lines: AsyncIterable<string>): AsyncGenerator<{
+    record: any;
+    raw: string;
+}>;
+/**
+ * Reads the lines of a log file, decompressing `.gz` and `.br` archives.
+ * @param {string} path - Path of the log file.
+ * @returns {AsyncGenerator<string>} - The lines.
+ */
+export function readLines(path: string): AsyncGenerator<string>;
+export function validateQueryOptions(options: QueryOptions, name?: string): void;
+export function parseLine(line: string): any | null;
+export function readEntries(path: string): AsyncGenerator<{
+    record: any;
+    raw: string;
+}>;
+export function createQueryMatcher(options: QueryOptions): (entry: {
+    record: any;
+    raw: string;
+}) => boolean;
+export function queryLogs(logFilePath: string, options?: QueryOptions): AsyncGenerator<any>;
+/**
+ * Search options of a log query.
+ */
+export type QueryOptions = {
+    /**
+     * - Earliest time of the entries, inclusive.
+     */
+    from?: Date | number | string;
+    /**
+     * - Latest time of the entries, inclusive.
+     */
+    to?: Date | number | string;
+    /**
+     * - Levels of the entries.
+     */
+    levels?: string[];
+    /**
+     * - Text the entry must contain.
+     */
+    text?: string;
+    /**
+     * - Pattern the entry must match.
+     */
+    regex?: RegExp | string;
+    /**
+     * - Maximum number of entries.
+     */
+    limit?: number;
+    /**
+     * - Field values the entry must have. RegExp values match string fields.
+     */
+    fields?: {
+        [x: string]: any;
+    };
+};
@@ -0,0 +1,17 @@
+/**
+ * Default maximum number of messages in a write queue.
+ * @constant {number}
+ */
+export const DEFAULT_QUEUE_SIZE: 100000;
+/**
+ * Valid policies for messages written to a full queue.
+ * @constant {string[]}
+ */
+export const validQueuePolicies: string[];
+export function validateQueueOptions(queue: any, name?: string): void;
+export function createSpool(spoolPath: string): {
+    push: (line: string) => void;
+    shift: (maxLines: number) => Promise<string[]>;
+    close: () => Promise<void>;
+    readonly size: number;
+};
@@ -0,0 +1,17 @@
+export namespace redactPatterns {
+    let creditCard: RegExp;
+    let jwt: RegExp;
+    let email: RegExp;
+}
+/**
+ * Valid censors for redacted values.
+ * @constant {string[]}
+ */
+export const validCensors: string[];
+export function validateRedactOptions(redact: any, name?: string): void;
+export function createRedactor({ paths, patterns, censor, mask, }: {
+    paths?: string[];
+    patterns?: Array<RegExp | string>;
+    censor?: string;
+    mask?: string;
+}): (record: import("./formatters.js").LogRecord) => import("./formatters.js").LogRecord;
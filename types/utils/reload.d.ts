@@ -0,0 +1,9 @@
+export function validateReconfigureTriggers(reconfigureOn: any, levels: string[], name?: string): void;
+export function attachReconfigureTriggers({ signal, configFile, interval }: {
+    signal?: string;
+    configFile?: string;
+    interval?: number;
+}, { onSignal, onConfig }: {
+    onSignal: () => void;
+    onConfig: (config: any) => Promise<void>;
+}): () => void;
@@ -0,0 +1,34 @@
+export function validateRetentionOptions(retention: any, name?: string): void;
+export function applyRetention(logFilePath: string, { maxAgeDays, maxTotalSize }: {
+    maxAgeDays?: number;
+    maxTotalSize?: number;
+}, trigger: string): Promise<RetentionReport>;
+/**
+ * Report of a retention run.
+ */
+export type RetentionReport = {
+    /**
+     * - What started the run: "startup" or "rotation".
+     */
+    trigger: string;
+    /**
+     * - Deleted files, oldest first, with the limit that caused the deletion: "maxAgeDays" or "maxTotalSize".
+     */
+    deleted: Array<{
+        path: string;
+        size: number;
+        reason: string;
+    }>;
+    /**
+     * - Total size of the deleted files.
+     */
+    deletedBytes: number;
+    /**
+     * - Number of rotated files left.
+     */
+    remainingFiles: number;
+    /**
+     * - Total size of the rotated files left.
+     */
+    remainingBytes: number;
+};
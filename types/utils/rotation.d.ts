@@ -0,0 +1,27 @@
+export namespace rotationIntervals {
+    let hourly: number;
+    let daily: number;
+}
+/**
+ * Extensions of compressed rotated files.
+ * @constant {string[]}
+ */
+export const archiveExtensions: any;
+export function resolveInterval(rotateInterval: string | number): number;
+export function periodStart(time: number, interval: number): number;
+export function formatStamp(time: number, interval: number): string;
+export function numberedFilePath(logFilePath: string, index: number, suffix?: string): string;
+export function datedFilePath(logFilePath: string, stamp: string, index?: number, suffix?: string): string;
+export function parseRotatedName(logFilePath: string, fileName: string): {
+    stamp: string | null;
+    index: number;
+    archived: boolean;
+} | null;
+export function listRotatedFiles(logFilePath: string): Promise<Array<{
+    path: string;
+    stamp: string | null;
+    index: number;
+    archived: boolean;
+    size: number;
+    mtimeMs: number;
+}>>;
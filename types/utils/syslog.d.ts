@@ -0,0 +1,50 @@
+export namespace syslogFacilities {
+    let kern: number;
+    let user: number;
+    let mail: number;
+    let daemon: number;
+    let auth: number;
+    let syslog: number;
+    let lpr: number;
+    let news: number;
+    let uucp: number;
+    let cron: number;
+    let authpriv: number;
+    let ftp: number;
+    let local0: number;
+    let local1: number;
+    let local2: number;
+    let local3: number;
+    let local4: number;
+    let local5: number;
+    let local6: number;
+    let local7: number;
+}
+export namespace defaultSeverities {
+    let trace: number;
+    let debug: number;
+    let info: number;
+    let success: number;
+    let warn: number;
+    let error: number;
+    let fatal: number;
+}
+export function resolveFacility(facility: string | number): number;
+export function createSeverityMap(levelValues: {
+    [x: string]: number;
+}, overrides?: {
+    [x: string]: number;
+}): (level: string) => number;
+export function formatRfc5424(record: import("./formatters.js").LogRecord, { priority, hostname, appName, sdId, message }: {
+    priority: number;
+    hostname: string;
+    appName: string;
+    sdId: string | null;
+    message: string;
+}): string;
+export function formatRfc3164(record: import("./formatters.js").LogRecord, { priority, hostname, appName, message }: {
+    priority: number;
+    hostname: string;
+    appName: string;
+    message: string;
+}): string;
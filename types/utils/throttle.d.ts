@@ -0,0 +1,26 @@
+/**
+ * Valid keys of rate limiting buckets.
+ * @constant {string[]}
+ */
+export const validRateLimitKeys: string[];
+export function validateSamplingOptions(sampling: {
+    [x: string]: number;
+}, name?: string, levels?: string[]): void;
+export function validateRateLimitOptions(rateLimit: any, name?: string, levels?: string[]): void;
+export function validateDedupeOptions(dedupe: boolean, name?: string): void;
+export function createSampler(sampling: {
+    [x: string]: number;
+}): (level: string) => boolean;
+export function createRateLimiter({ perSecond, by }: {
+    perSecond: number | {
+        [x: string]: number;
+    };
+    by?: string;
+}): (record: import("./formatters.js").LogRecord) => boolean;
+export function createDeduplicator(): {
+    check: (record: import("./formatters.js").LogRecord) => {
+        duplicate: boolean;
+        summary: import("./formatters.js").LogRecord | null;
+    };
+    flush: () => import("./formatters.js").LogRecord | null;
+};
@@ -0,0 +1,9 @@
+export function validateTimerOptions(timers: any, name?: string, levels?: string[]): void;
+export function now(): bigint;
+export function elapsedMs(start: bigint): number;
+export function createDurationHistogram(): {
+    record: (label: string, duration: number) => void;
+    summary: () => {
+        [x: string]: any;
+    };
+};